@@ -0,0 +1,143 @@
+/**
+ * Local mock image-generation server for developing without a network or API key.
+ * Answers the request shapes of every HTTP provider in src/lib/imageProviders.js with a deterministic PNG
+ * (a gradient and stripes derived from the prompt), at the size that was asked for:
+ *   POST /v1/images/generations   OpenAI-compatible ({ size: "WxH" }   -> { data: [{ b64_json }] })
+ *   POST /generate                 generic JSON      ({ width, height } -> { b64_json })
+ *   POST /sdapi/v1/txt2img         Stable Diffusion  ({ width, height } -> { images: [b64] })
+ * A prompt containing "fail" answers 500; one containing "busy" answers 429 (Retry-After: 1) the first
+ * time it is seen, then succeeds. MOCK_DELAY=ms slows every answer down.
+ *
+ *   npm run mock:images              (PORT defaults to 8787)
+ *   VITE_IMAGE_PROVIDER=sd VITE_GPT_IMAGE_ENDPOINT=http://localhost:8787/sdapi/v1/txt2img npm run dev
+ */
+import http from "node:http";
+import { deflateSync } from "node:zlib";
+
+const PORT = Number(process.env.PORT) || 8787;
+const DELAY = Number(process.env.MOCK_DELAY) || 0;
+const MAX_SIDE = 4096;
+
+function hashString(str) {
+  let h = 2166136261 >>> 0; // FNV-1a
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619) >>> 0;
+  }
+  return h >>> 0;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 255] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, "ascii");
+  data.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+// RGB PNG: vertical gradient between two prompt-derived colors with faint diagonal stripes
+function mockPng(prompt, width, height) {
+  const h = hashString(prompt);
+  const top = [h & 255, (h >>> 8) & 255, (h >>> 16) & 255];
+  const bottom = top.map((v) => 255 - v);
+  const stride = width * 3 + 1;
+  const raw = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const t = height > 1 ? y / (height - 1) : 0;
+    for (let x = 0; x < width; x++) {
+      const stripe = ((x + y) >> 5) % 2 ? 16 : 0;
+      for (let ch = 0; ch < 3; ch++) {
+        raw[y * stride + 1 + x * 3 + ch] = Math.min(255, Math.round(top[ch] + (bottom[ch] - top[ch]) * t) + stripe);
+      }
+    }
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr.set([8, 2, 0, 0, 0], 8); // 8-bit RGB
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// Request shape -> requested size and the response envelope
+const ROUTES = {
+  "/v1/images/generations": {
+    size: (body) => (body.size || "1024x1024").split("x").map(Number),
+    reply: (b64) => ({ created: Math.floor(Date.now() / 1000), data: [{ b64_json: b64 }] }),
+  },
+  "/generate": {
+    size: (body) => [body.width, body.height],
+    reply: (b64) => ({ b64_json: b64 }),
+  },
+  "/sdapi/v1/txt2img": {
+    size: (body) => [body.width ?? 512, body.height ?? 512],
+    reply: (b64) => ({ images: [b64], parameters: {}, info: "{}" }),
+  },
+};
+
+const busySeen = new Set();
+
+function send(res, status, json, headers = {}) {
+  res.writeHead(status, {
+    ...headers,
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Expose-Headers": "Retry-After",
+  });
+  res.end(json === undefined ? "" : JSON.stringify(json));
+}
+
+async function readJson(req) {
+  const parts = [];
+  for await (const part of req) parts.push(part);
+  return JSON.parse(Buffer.concat(parts).toString("utf8") || "{}");
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204);
+  const route = ROUTES[new URL(req.url, "http://localhost").pathname];
+  if (!route) return send(res, 404, { error: { message: `No mock for ${req.method} ${req.url}` } });
+  if (req.method !== "POST") return send(res, 405, { error: { message: "Use POST" } });
+
+  let body;
+  try {
+    body = await readJson(req);
+  } catch {
+    return send(res, 400, { error: { message: "Body is not valid JSON" } });
+  }
+  const prompt = String(body.prompt || "");
+  const [w, h] = route.size(body).map(Math.round);
+  if (!prompt) return send(res, 400, { error: { message: "Missing prompt" } });
+  if (!(w >= 1 && h >= 1 && w <= MAX_SIDE && h <= MAX_SIDE)) {
+    return send(res, 400, { error: { message: `Unsupported size ${w}x${h}` } });
+  }
+  if (DELAY) await new Promise((r) => setTimeout(r, DELAY));
+  if (/\bfail\b/i.test(prompt)) return send(res, 500, { error: { message: "Mock failure requested by prompt" } });
+  if (/\bbusy\b/i.test(prompt) && !busySeen.has(prompt)) {
+    busySeen.add(prompt);
+    return send(res, 429, { error: { message: "Mock rate limit, retry shortly" } }, { "Retry-After": "1" });
+  }
+
+  console.log(`${req.url} ${w}x${h} "${prompt}"`);
+  send(res, 200, route.reply(mockPng(prompt, w, h).toString("base64")));
+});
+
+server.listen(PORT, () => console.log(`Mock image server on http://localhost:${PORT}`));
@@ -1,11 +1,21 @@
-import React, { useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import CanvasEditor from "./editors/CanvasEditor.jsx";
+import LevelEditor from "./editors/LevelEditor.jsx";
 import RightSidebar from "./shared/RightSidebar/RightSidebar.jsx";
+import PlayPanel from "./shared/PlayPanel/PlayPanel.jsx";
+import { downloadBlob } from "../lib/canvas.js";
+import { PROJECT_EXTENSION, decodeProject, parseProject, serializeProject } from "../lib/project.js";
+import { flattenFrame } from "../lib/layers.js";
+import { createAutosaver, listSnapshots, loadSnapshot, makeThumbnail } from "../lib/autosave.js";
+import { toScene } from "../lib/scene.js";
+import { GAME_BUNDLE_DEFAULTS, buildPlayableHtml, gameBundleZip } from "../lib/gameBundle.js";
+import { fitRect } from "../lib/level.js";
+import { createJobManager } from "../lib/jobs.js";
 
 /**
  * SpriteStudio orchestrator (simplified).
- * - Focuses on Sprite (Canvas) editing and Right Sidebar (Edit/Play).
- * - Platforms/Level Editor removed per product direction: GPT-5 will autogenerate game code from sprite(s) + background.
+ * - Sprite (Canvas) editing, the Level editor (platforms, coins, spawns) and Right Sidebar (Edit/Play).
+ * - The game is generated from sprite(s) + background + level (see lib/gameBundle.js).
  */
 export default function SpriteStudio() {
   // Game world state
@@ -15,8 +25,149 @@ export default function SpriteStudio() {
   const [characters, setCharacters] = useState([]);
   const [background, setBackground] = useState(null);
 
-  // Platforms removed from UI (kept as empty array for scene contract compatibility)
-  const [platforms] = useState([]);
+  // AI generation jobs started from the sidebar (cancel, timeout, retry; see lib/jobs.js)
+  const [jobs, setJobs] = useState([]);
+  const jobsRef = useRef(null);
+  if (!jobsRef.current) jobsRef.current = createJobManager({ onChange: setJobs });
+  useEffect(() => () => jobsRef.current.list().forEach((j) => jobsRef.current.cancel(j.id)), []);
+
+  // Level layout (see LevelEditor): platforms here, coins in background.targets, spawns on each character
+  const [platforms, setPlatforms] = useState([]);
+  const [view, setView] = useState("sprite"); // "sprite" | "level"; Play covers both
+
+  // Resizing the world pulls platforms and coins back inside it, so none end up off-screen
+  function changeWorld(next) {
+    setWorld(next);
+    if (next.width === world.width && next.height === world.height) return;
+    setPlatforms((list) => list.map((r) => fitRect(r, next)));
+    setBackground((bg) => (bg?.targets ? { ...bg, targets: bg.targets.map((r) => fitRect(r, next)) } : bg));
+  }
+
+  // Imperative handle into the editor (frames, palette, fps, attributes) for project save/load
+  const editorRef = useRef(null);
+
+  function saveProject() {
+    const doc = serializeProject({
+      editor: editorRef.current.getSnapshot(),
+      studio: { world, characters, background, platforms },
+    });
+    const blob = new Blob([JSON.stringify(doc)], { type: "application/json" });
+    downloadBlob(blob, `project${PROJECT_EXTENSION}`);
+  }
+
+  function applyProject({ editor, studio }) {
+    editorRef.current.loadSnapshot(editor);
+    setWorld(studio.world);
+    setCharacters(studio.characters);
+    setBackground(studio.background);
+    setPlatforms(studio.platforms);
+  }
+
+  async function openProject(file) {
+    try {
+      applyProject(await parseProject(await file.text()));
+    } catch (e) {
+      alert(e?.message || String(e));
+    }
+  }
+
+  // Offline game export: SCENE -> index.html + game.js (+ assets) as a zip, no LLM involved
+  const [inlineAssets, setInlineAssets] = useState(GAME_BUNDLE_DEFAULTS.inline);
+  function exportGame() {
+    try {
+      const scene = toScene({ characters, platforms, background, world });
+      downloadBlob(gameBundleZip(scene, { inline: inlineAssets }), "game.zip");
+    } catch (e) {
+      alert(`Could not export the game: ${e.message}`);
+    }
+  }
+
+  // Play mode: the same bundle as a single HTML file behind a blob: URL, run in PlayPanel's sandboxed iframe
+  const [playing, setPlaying] = useState(false);
+  const [playUrl, setPlayUrl] = useState(null);
+  // { status: "idle" | "ready" | "failed", builtAt?, error?, stale? }
+  const [game, setGame] = useState({ status: "idle" });
+
+  function generateGame() {
+    try {
+      const html = buildPlayableHtml(toScene({ characters, platforms, background, world }));
+      setPlayUrl(URL.createObjectURL(new Blob([html], { type: "text/html" })));
+      setGame({ status: "ready", builtAt: Date.now() });
+      return true;
+    } catch (e) {
+      setGame({ status: "failed", error: e.message });
+      return false;
+    }
+  }
+
+  function togglePlay() {
+    if (playing) return setPlaying(false);
+    if ((game.status === "ready" && !game.stale) || generateGame()) setPlaying(true);
+  }
+
+  // Revoke each build once it is replaced or the studio unmounts
+  useEffect(() => () => playUrl && URL.revokeObjectURL(playUrl), [playUrl]);
+  // A build no longer matches the scene once any input changes
+  useEffect(() => {
+    setGame((g) => (g.status === "ready" && !g.stale ? { ...g, stale: true } : g));
+  }, [characters, platforms, background, world]);
+
+  // ------------------------------ Autosave / recovery (IndexedDB) ------------------------------
+  // Latest studio state for the debounced capture
+  const studioRef = useRef({ world, characters, background, platforms });
+  studioRef.current = { world, characters, background, platforms };
+
+  // Snapshots of earlier sessions. null = checking, [] = nothing to restore / decided, [...] = offer restore
+  const [recovery, setRecovery] = useState(null);
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+
+  const autosaverRef = useRef(null);
+  if (!autosaverRef.current) {
+    autosaverRef.current = createAutosaver(
+      () => {
+        const editor = editorRef.current?.getSnapshot();
+        if (!editor) return null;
+        return {
+          doc: serializeProject({ editor, studio: studioRef.current }),
+          thumb: makeThumbnail(flattenFrame(editor.frames[0])),
+        };
+      },
+      {
+        onSaved: setLastSavedAt,
+        onError: (e) => console.warn("[Autosave] failed:", e?.message || e),
+      }
+    );
+  }
+
+  useEffect(() => {
+    const saver = autosaverRef.current;
+    listSnapshots()
+      .then((list) => setRecovery(list.filter((s) => s.session !== saver.session)))
+      .catch(() => setRecovery([]));
+    // The untouched starting project is not worth a snapshot
+    saver.prime();
+    const onHide = () => saver.flush();
+    window.addEventListener("pagehide", onHide);
+    return () => {
+      window.removeEventListener("pagehide", onHide);
+      saver.cancel();
+    };
+  }, []);
+
+  // Always on: this session's snapshots are pruned apart from the ones offered for restore (see lib/autosave.js)
+  function scheduleAutosave() {
+    autosaverRef.current.schedule();
+  }
+  useEffect(scheduleAutosave, [world, characters, background, platforms]);
+
+  async function restoreSnapshot(id) {
+    try {
+      applyProject(await decodeProject(await loadSnapshot(id)));
+      setRecovery([]);
+    } catch (e) {
+      alert(e?.message || String(e));
+    }
+  }
 
   // Handle character extraction from canvas
   function handleCharacterExtract(characterData) {
@@ -27,24 +178,143 @@ export default function SpriteStudio() {
     setCharacters((prev) => [...prev, characterData]);
   }
 
+  // Characters remember their source frames (see lib/character.js): rebuild one after editing them
+  function reextractCharacter(index) {
+    try {
+      const next = editorRef.current.reextractCharacter(characters[index]);
+      setCharacters((prev) => prev.map((c, i) => (i === index ? next : c)));
+    } catch (e) {
+      alert(`Could not re-extract ${characters[index].name}: ${e.message}`);
+    }
+  }
+
+  function editCharacterSource(index) {
+    try {
+      setPlaying(false);
+      setView("sprite");
+      editorRef.current.showCharacterSource(characters[index].source);
+    } catch (e) {
+      alert(`Could not open ${characters[index].name}: ${e.message}`);
+    }
+  }
+
   return (
     <div className="h-screen w-full flex flex-col bg-neutral-50">
       {/* Header */}
       <div className="flex items-center gap-2 px-3 py-2 border-b border-neutral-200 bg-white shadow-sm">
         <div className="text-sm font-medium text-neutral-800">🎨 Sprite Studio</div>
         <div className="text-xs text-neutral-500">
-          Create sprites and backgrounds. GPT‑5 will autogenerate the game from these inputs.
+          Create sprites and backgrounds; the game is generated locally from them.
+        </div>
+        <div className="flex rounded border overflow-hidden text-sm">
+          {[
+            ["sprite", "Sprite"],
+            ["level", "Level"],
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => {
+                setView(key);
+                setPlaying(false);
+              }}
+              className={`px-2 py-1 ${view === key && !playing ? "bg-neutral-800 text-white" : "bg-white hover:bg-gray-50"}`}
+            >
+              {label}
+            </button>
+          ))}
         </div>
         <div className="flex-1" />
+        <label className="px-2 py-1 rounded border bg-white hover:bg-gray-50 text-sm cursor-pointer">
+          Open
+          <input
+            type="file"
+            accept={`${PROJECT_EXTENSION},application/json`}
+            className="hidden"
+            onChange={(e) => {
+              const f = e.target.files?.[0];
+              e.target.value = "";
+              if (f) openProject(f);
+            }}
+          />
+        </label>
+        <button onClick={saveProject} className="px-2 py-1 rounded border bg-white hover:bg-gray-50 text-sm">
+          Save
+        </button>
+        <button
+          onClick={exportGame}
+          className="px-2 py-1 rounded border bg-white hover:bg-gray-50 text-sm"
+          title="Download a playable Phaser game (index.html + game.js + assets) as a zip"
+        >
+          Export game
+        </button>
+        <label
+          className="flex items-center gap-1 text-xs text-neutral-600"
+          title="Embed images in game.js so the game opens straight from disk; off writes assets/ files that need a web server"
+        >
+          <input type="checkbox" checked={inlineAssets} onChange={(e) => setInlineAssets(e.target.checked)} />
+          Inline assets
+        </label>
+        {lastSavedAt && (
+          <div className="text-xs text-neutral-400" title="Autosaved locally (IndexedDB)">
+            Autosaved {new Date(lastSavedAt).toLocaleTimeString()}
+          </div>
+        )}
         <div className="text-sm text-gray-600">World: {world.width}×{world.height}</div>
       </div>
 
+      {/* Restore previous session */}
+      {recovery?.length > 0 && (
+        <div className="flex items-center gap-3 px-3 py-2 border-b border-amber-200 bg-amber-50 text-sm overflow-x-auto">
+          <div className="text-amber-900 whitespace-nowrap">Restore previous session?</div>
+          {recovery.map((snap) => (
+            <button
+              key={snap.id}
+              onClick={() => restoreSnapshot(snap.id)}
+              className="flex items-center gap-2 px-2 py-1 rounded border border-amber-300 bg-white hover:border-amber-500"
+              title="Restore this snapshot"
+            >
+              {snap.thumb && (
+                <img src={snap.thumb} alt="" className="w-8 h-8 border" style={{ imageRendering: "pixelated" }} />
+              )}
+              <span className="text-xs whitespace-nowrap">{new Date(snap.savedAt).toLocaleString()}</span>
+            </button>
+          ))}
+          <div className="flex-1" />
+          <button onClick={() => setRecovery([])} className="px-2 py-1 rounded border bg-white hover:bg-gray-50">
+            Start fresh
+          </button>
+        </div>
+      )}
+
       {/* Main Content Area */}
       <div className="flex-1 flex">
-        {/* Editor Area */}
-        <div className="flex-1">
-          <CanvasEditor onCharacterExtract={handleCharacterExtract} />
+        {/* Editor Area (kept mounted in the other views so no editor state is lost) */}
+        <div className={playing || view !== "sprite" ? "hidden" : "flex-1"}>
+          <CanvasEditor
+            ref={editorRef}
+            active={!playing && view === "sprite"}
+            onCharacterExtract={handleCharacterExtract}
+            onChange={scheduleAutosave}
+          />
         </div>
+        {!playing && view === "level" && (
+          <div className="flex-1 min-w-0">
+            <LevelEditor
+              world={world}
+              background={background}
+              platforms={platforms}
+              characters={characters}
+              onPlatformsChange={setPlatforms}
+              onBackgroundChange={setBackground}
+              onCharactersChange={setCharacters}
+            />
+          </div>
+        )}
+        {playing && (
+          <div className="flex-1">
+            <PlayPanel src={playUrl} onExit={() => setPlaying(false)} />
+          </div>
+        )}
 
         {/* Right Sidebar */}
         <RightSidebar
@@ -53,8 +323,16 @@ export default function SpriteStudio() {
           platforms={platforms}
           background={background}
           onCharactersChange={setCharacters}
+          onCharacterEdit={editCharacterSource}
+          onCharacterReextract={reextractCharacter}
           onBackgroundChange={setBackground}
-          onWorldChange={setWorld}
+          onWorldChange={changeWorld}
+          jobs={jobs}
+          jobManager={jobsRef.current}
+          game={game}
+          playing={playing}
+          onGenerate={generateGame}
+          onPlayToggle={togglePlay}
         />
       </div>
     </div>
@@ -1,34 +1,184 @@
-import React, { useEffect, useLayoutEffect, useRef, useState } from "react";
+import React, { forwardRef, useEffect, useImperativeHandle, useLayoutEffect, useMemo, useRef, useState } from "react";
 import {
   clamp,
   createPixelCanvas,
   drawCheckers,
-  hexToRgba,
-  floodFill,
+  fillRegion,
   canvasToBlob,
   downloadBlob,
   nearestNeighborDraw,
-  drawLinePixel,
+  drawRectPixel,
+  drawEllipsePixel,
+  loadImage,
+  fileToCanvas,
 } from "../../lib/canvas.js";
-import { backgroundFromText } from "../../lib/background.js";
-import { generateImageFromPrompt } from "../../lib/gptImage.js";
+import {
+  BackgroundThemes,
+  TimesOfDay,
+  TileModes,
+  ParallaxLayers,
+  BACKGROUND_DEFAULTS,
+  backgroundRecipe,
+  backgroundVariants,
+  generateBackground,
+  parseBackgroundDescription,
+  randomSeed,
+  recipeParams,
+} from "../../lib/background.js";
+import {
+  BlendModes,
+  createFrame,
+  createLayer,
+  cloneFrame,
+  resizeFrame,
+  flattenFrame,
+  makeId,
+} from "../../lib/layers.js";
+import {
+  createHistory,
+  captureLayer,
+  createPixelCommand,
+  createStateCommand,
+  createCompositeCommand,
+} from "../../lib/history.js";
+import {
+  rectSelection,
+  lassoSelection,
+  wandSelection,
+  selectAll,
+  selectionContains,
+  restoreOutsideMask,
+  clearSelected,
+  fillSelection,
+  liftSelection,
+  floatingFromCanvas,
+  cloneFloating,
+  flipFloating,
+  rotateFloating,
+  scaleFloating,
+  floatingContains,
+  stampFloating,
+  floatingSelection,
+  maskEdges,
+} from "../../lib/selection.js";
+import {
+  DEFAULT_PALETTE,
+  PaletteFormats,
+  parsePalette,
+  formatPalette,
+  extractPalette,
+  nearestColor,
+  normalizeHex,
+  pixelsOfColor,
+  recolorPixels,
+} from "../../lib/palette.js";
+import {
+  BrushShapes,
+  DitherPatterns,
+  FillStyles,
+  paintMask,
+  createBrushTip,
+  brushFromImageData,
+  linePoints,
+  stampLine,
+  applyPattern,
+  createPixelPerfect,
+} from "../../lib/brush.js";
+import {
+  LoopModes,
+  TAG_COLORS,
+  DEFAULT_TAG_NAMES,
+  createTag,
+  tagRange,
+  frameDuration,
+  remapTags,
+  nextPlaybackFrame,
+  playbackSequence,
+  tagsMeta,
+} from "../../lib/animation.js";
+import { encodeGif, decodeGif } from "../../lib/gif.js";
+import { FitModes, QuantizeModes, DitherModes, PIXELATE_DEFAULTS, fitRects, pixelate } from "../../lib/pixelate.js";
+import { encodeApng } from "../../lib/apng.js";
+import {
+  SheetLayouts,
+  SheetFormats,
+  SHEET_DEFAULTS,
+  packSpritesheet,
+  sheetMetadata,
+  SliceModes,
+  SLICE_DEFAULTS,
+  gridCells,
+  detectCells,
+  sliceCells,
+  parseAtlas,
+  atlasFrameCanvas,
+} from "../../lib/spritesheet.js";
+import { SymmetryModes, defaultAxis, snapAxis, mirrorTransforms, mirrorRects } from "../../lib/symmetry.js";
+import { defaultImageProvider, generateImageFromPrompt } from "../../lib/gptImage.js";
+import { imageProviderLabels } from "../../lib/imageProviders.js";
+import { createJobManager } from "../../lib/jobs.js";
+import { makeThumbnail } from "../../lib/autosave.js";
+import { extractCharacter } from "../../lib/character.js";
+import JobRow from "../shared/JobProgress/JobRow.jsx";
 
 /**
  * CanvasEditor – Pixel editor with tools, onion skin, timeline, import/export.
  * This file is a direct extraction/refactor of the previous monolith,
  * now depending on lib/* pure helpers. Behavior is preserved.
+ *
+ * The ref exposes getSnapshot()/loadSnapshot() so SpriteStudio can save and re-open projects;
+ * onChange() fires after any document edit (used for autosave).
  */
 
-export default function CanvasEditor({ onCharacterExtract }) {
+const AI_HISTORY_SIZE = 12; // past AI generations kept for re-applying
+
+// Input holding a draft until blur / Enter; follows `value` when it changes elsewhere (undo, history jumps)
+function DraftInput({ value, onCommit, ...props }) {
+  const [draft, setDraft] = useState(value);
+  useEffect(() => setDraft(value), [value]);
+  return (
+    <input
+      {...props}
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={() => {
+        onCommit(draft);
+        setDraft(value); // a rejected edit snaps back; an accepted one arrives as the new `value`
+      }}
+      onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+    />
+  );
+}
+
+const CanvasEditor = forwardRef(function CanvasEditor({ onCharacterExtract, onChange, active = true }, ref) {
   // Sprite settings
   const [spriteW, setSpriteW] = useState(64);
   const [spriteH, setSpriteH] = useState(64);
   const [color, setColor] = useState("#3b82f6"); // Tailwind blue-500
+  const [palette, setPalette] = useState(DEFAULT_PALETTE);
+  const [indexed, setIndexed] = useState(false); // drawing locked to the palette; swatch edits recolor pixels
+  const [swatchIndex, setSwatchIndex] = useState(null); // selected swatch for editing
+  const [paletteFormat, setPaletteFormat] = useState("gpl");
+  const recolorRef = useRef(null); // pending swatch recolor {index, paletteBefore, paletteAfter, layers, timer}
   const [brush, setBrush] = useState(1);
+  const [brushShape, setBrushShape] = useState("square"); // see lib/brush.js
+  const [customBrush, setCustomBrush] = useState(null); // tip captured from a selection
+  const [pattern, setPattern] = useState("solid"); // ordered-dither pattern for brushes and fills
+  const [pixelPerfect, setPixelPerfect] = useState(false); // drop L-shaped corners in 1px strokes
+  // Bucket options (see fillRegion / paintMask); the magic wand shares tolerance, connectivity and contiguous
+  const [fillTolerance, setFillTolerance] = useState(0);
+  const [fillConnectivity, setFillConnectivity] = useState(4);
+  const [fillContiguous, setFillContiguous] = useState(true); // off = replace the color everywhere
+  const [fillAllFrames, setFillAllFrames] = useState(false);
+  const [fillStyle, setFillStyle] = useState("solid");
+  const [gradientTo, setGradientTo] = useState("#ffffff");
   const [showGrid, setShowGrid] = useState(true);
+  const [wrapPreview, setWrapPreview] = useState(false); // show the canvas tiled 3×3 to spot seams
   const [zoom, setZoom] = useState(8); // scale factor (1..32)
   const [fps, setFps] = useState(8);
   const [onion, setOnion] = useState(false);
+  const [symmetry, setSymmetry] = useState("none"); // see lib/symmetry.js
+  const [axis, setAxis] = useState(() => defaultAxis(64, 64)); // mirror lines, draggable in the view
 
   // Character attributes (MVP): toggles
   const [attrJump, setAttrJump] = useState(true);
@@ -42,10 +192,19 @@ export default function CanvasEditor({ onCharacterExtract }) {
     Bucket: "bucket",
     Rect: "rect",
     Circle: "circle",
+    Line: "line",
+    Polygon: "polygon",
     Eyedrop: "eye",
     Hand: "hand",
+    Select: "select",
+    Lasso: "lasso",
+    Wand: "wand",
   };
   const [tool, setTool] = useState(Tools.Pencil);
+  const isSelectTool = (t) => t === Tools.Select || t === Tools.Lasso || t === Tools.Wand;
+  // Drag-to-size shapes (Polygon is click-per-vertex, see addPolygonPoint)
+  const isShapeTool = (t) => t === Tools.Rect || t === Tools.Circle || t === Tools.Line;
+  const [shapeFill, setShapeFill] = useState(true); // Rect/Circle/Polygon: filled or outline (brush thick)
 
   // Canvas & view
   const viewRef = useRef(null); // display canvas
@@ -54,21 +213,121 @@ export default function CanvasEditor({ onCharacterExtract }) {
   const [pan, setPan] = useState({ x: 0, y: 0 });
   const [isSpace, setIsSpace] = useState(false); // spacebar panning
 
-  // Frames data (each frame is its own pixel canvas)
-  const [frames, setFrames] = useState(() => [createPixelCanvas(spriteW, spriteH)]);
+  // Frames data (each frame is a stack of layers, see lib/layers.js)
+  const [frames, setFrames] = useState(() => [createFrame(spriteW, spriteH)]);
   const [current, setCurrent] = useState(0);
+  const [layerIndex, setLayerIndex] = useState(0); // active layer within the current frame
   const [playing, setPlaying] = useState(false);
+  const [tags, setTags] = useState([]); // named clips over frame ranges, see lib/animation.js
+  const [playTagId, setPlayTagId] = useState(null); // preview loops this tag (null = all frames)
+  const playDirRef = useRef(1); // ping-pong direction
+  const [sheetOpts, setSheetOpts] = useState(SHEET_DEFAULTS); // spritesheet export, see lib/spritesheet.js
+  const [animScale, setAnimScale] = useState(1); // integer upscale for GIF/APNG export
+  const [sheetSource, setSheetSource] = useState(null); // sheet waiting to be sliced {canvas, name, auto}
+  const [sliceOpts, setSliceOpts] = useState(SLICE_DEFAULTS);
+  const [pixelSource, setPixelSource] = useState(null); // image waiting in the pixelate preview {label, canvas, image}
+  const [pixelOpts, setPixelOpts] = useState(PIXELATE_DEFAULTS);
+  const [bgDesc, setBgDesc] = useState(""); // last background description (parsed into bgParams)
+  const [bgParams, setBgParams] = useState(BACKGROUND_DEFAULTS); // see lib/background.js
+  const [bgLayers, setBgLayers] = useState(false); // add sky/far/mid/near as separate layers
+  const [bgVariants, setBgVariants] = useState(null); // gallery of [{seed, canvas}] to pick a seed from
+  const [imageProvider, setImageProvider] = useState(defaultImageProvider); // see lib/imageProviders.js
+  const [aiJobs, setAiJobs] = useState([]); // see lib/jobs.js
+  const [aiHistory, setAiHistory] = useState([]); // [{id, prompt, provider, seed, fit, canvas, thumb}]
+
+  // AI generation jobs (cancel, timeout, retry)
+  const jobsRef = useRef(null);
+  if (!jobsRef.current) jobsRef.current = createJobManager({ onChange: setAiJobs });
+  useEffect(() => () => jobsRef.current.list().forEach((j) => jobsRef.current.cancel(j.id)), []);
 
-  // History per frame
-  const historyRef = useRef(new Map()); // frameIndex -> {stack: ImageData[], idx:number}
+  // Global command history (pixel + timeline edits), see lib/history.js
+  const historyRef = useRef(null);
+  if (!historyRef.current) historyRef.current = createHistory();
+  const [historyView, setHistoryView] = useState(() => historyRef.current.getState());
+  const pixelEditRef = useRef(null); // pending pixel edit {frameId, layerId, canvas, before}
+  const [redrawTick, setRedrawTick] = useState(0); // bumps when canvases change outside React state
+
+  // Latest frames for history commands that resolve layers by id at undo/redo time
+  const framesRef = useRef(frames);
+  framesRef.current = frames;
+
+  // Scratch canvas reused for compositing layers in draw()
+  const compositeRef = useRef(null);
 
   // Shape preview
-  const previewRef = useRef(null); // {x0,y0,x1,y1}
+  const previewRef = useRef(null); // {x0,y0,x1,y1} or {points} for lasso
+  const polygonRef = useRef(null); // polygon being placed {points, hover}
+  const strokeRef = useRef(null); // pixel-perfect filter for the current pencil/eraser stroke
+  const shapeCanvasRef = useRef(null); // scratch canvas for the live shape preview
+
+  // Selection (see lib/selection.js): mask in sprite space, plus an optional floating piece being moved
+  const [selection, setSelection] = useState(null);
+  const floatingRef = useRef(null); // {canvas, mask, x, y, label}
+  const clipboardRef = useRef(null); // floating piece copied with Ctrl/Cmd+C
+  const antsRef = useRef(0); // marching ants dash offset
+  const drawRef = useRef(null);
+  const keyActionsRef = useRef({}); // latest handlers for the (mount-once) keyboard listener
 
   // Pointer state
   const draggingRef = useRef(false);
   const lastPtRef = useRef({ x: 0, y: 0 });
 
+  // ------------------------------ Project snapshot (see lib/project.js) ------------------------------
+  useImperativeHandle(ref, () => ({
+    getSnapshot: () => ({
+      spriteW,
+      spriteH,
+      fps,
+      color,
+      palette,
+      indexed,
+      attributes: { jump: attrJump, slide: attrSlide, punch: attrPunch },
+      frames,
+      tags,
+    }),
+    loadSnapshot: (snap) => {
+      historyRef.current.clear();
+      floatingRef.current = null;
+      pixelEditRef.current = null;
+      setSelection(null);
+      setPlaying(false);
+      setSpriteW(snap.spriteW);
+      setSpriteH(snap.spriteH);
+      setFps(snap.fps);
+      setColor(snap.color);
+      setPalette(snap.palette);
+      setIndexed(!!snap.indexed);
+      setSwatchIndex(null);
+      recolorRef.current = null;
+      setAttrJump(snap.attributes.jump);
+      setAttrSlide(snap.attributes.slide);
+      setAttrPunch(snap.attributes.punch);
+      setFrames(snap.frames);
+      setTags(snap.tags || []);
+      setPlayTagId(null);
+      setCurrent(0);
+      setLayerIndex(0);
+    },
+    /** Re-run the extraction for an existing character from its recorded source frames. */
+    reextractCharacter: (character) => buildCharacter(character),
+    showCharacterSource,
+  }));
+
+  // Notify the host about document edits. Pixel edits mutate canvases in place, so they call this directly.
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+  function markDirty() {
+    onChangeRef.current?.();
+  }
+  useEffect(() => {
+    markDirty();
+  }, [frames, tags, spriteW, spriteH, fps, color, palette, indexed, attrJump, attrSlide, attrPunch]);
+
+  // Keep the mirror axes centered when the sprite is resized
+  useEffect(() => {
+    setAxis(defaultAxis(spriteW, spriteH));
+  }, [spriteW, spriteH]);
+
   // ------------------------------ Resize observer for view ------------------------------
   useLayoutEffect(() => {
     const ro = new ResizeObserver((entries) => {
@@ -80,57 +339,82 @@ export default function CanvasEditor({ onCharacterExtract }) {
     return () => ro.disconnect();
   }, []);
 
-  // Ensure frame canvases match sprite size
-  useEffect(() => {
-    setFrames((prev) =>
-      prev.map((c) => {
-        if (c.width === spriteW && c.height === spriteH) return c;
-        // Resize with nearest neighbor
-        const tmp = createPixelCanvas(spriteW, spriteH);
-        const tctx = tmp.getContext("2d");
-        tctx.imageSmoothingEnabled = false;
-        tctx.drawImage(c, 0, 0, c.width, c.height, 0, 0, spriteW, spriteH);
-        return tmp;
-      })
-    );
-    // Reset history because dimensions changed
-    historyRef.current = new Map();
-  }, [spriteW, spriteH]);
+  useEffect(
+    () =>
+      historyRef.current.subscribe((state) => {
+        setHistoryView(state);
+        markDirty();
+      }),
+    []
+  );
 
-  // Playback loop
+  // Playback: each frame stays up for its own duration; a selected tag is played with its loop mode
   useEffect(() => {
     if (!playing) return;
-    const interval = Math.max(1, Math.floor(1000 / fps));
-    const id = setInterval(() => {
-      setCurrent((i) => (i + 1) % frames.length);
-      requestAnimationFrame(draw);
-    }, interval);
-    return () => clearInterval(id);
-  }, [playing, fps, frames.length]);
+    const tag = tags.find((t) => t.id === playTagId);
+    const range = (tag && tagRange(tag, frames)) || { start: 0, end: frames.length - 1 };
+    if (current < range.start || current > range.end) {
+      playDirRef.current = 1;
+      setCurrent(range.start);
+      return;
+    }
+    const id = setTimeout(() => {
+      const step = nextPlaybackFrame(current, range, tag?.loop, playDirRef.current);
+      playDirRef.current = step.dir;
+      if (step.done) setPlaying(false);
+      else setCurrent(step.index);
+    }, frameDuration(frames[current], fps));
+    return () => clearTimeout(id);
+  }, [playing, current, fps, frames, tags, playTagId]);
 
-  // Keyboard handlers
+  // Keyboard handlers (ignored while the host shows another view, e.g. Play or the level editor)
+  const activeRef = useRef(active);
+  activeRef.current = active;
   useEffect(() => {
     function onKey(e) {
-      if (e.repeat) return;
+      if (e.repeat || !activeRef.current) return;
+      // Let form fields keep their own keys
+      if (e.target?.closest?.("input, textarea, select")) return;
       if (e.code === "Space") {
         setIsSpace(e.type === "keydown");
       }
       // Shortcuts
       const mod = e.metaKey || e.ctrlKey;
       if (e.type === "keydown") {
+        const act = keyActionsRef.current;
         if (mod && e.key.toLowerCase() === "z") {
-          e.shiftKey ? redo() : undo();
+          e.shiftKey ? act.redo() : act.undo();
           e.preventDefault();
         }
         if (mod && e.key.toLowerCase() === "y") {
-          redo();
+          act.redo();
+          e.preventDefault();
+        }
+        if (mod && e.key.toLowerCase() === "c") act.copy();
+        if (mod && e.key.toLowerCase() === "x") act.cut();
+        if (mod && e.key.toLowerCase() === "a") {
+          act.selectAll();
+          e.preventDefault();
+        }
+        if (mod && e.key.toLowerCase() === "d") {
+          act.deselect();
           e.preventDefault();
         }
+        if (e.key === "Escape") act.escape();
+        if (e.key === "Enter") act.enter();
+        if (e.key === "Delete" || e.key === "Backspace") act.deleteSelected();
+        if (mod) return;
+        if (e.key === "m" || e.key === "M") setTool(Tools.Select);
+        if (e.key === "l" || e.key === "L") setTool(Tools.Lasso);
+        if (e.key === "w" || e.key === "W") setTool(Tools.Wand);
         if (e.key === "1") setTool(Tools.Pencil);
         if (e.key === "2") setTool(Tools.Eraser);
         if (e.key === "3") setTool(Tools.Bucket);
         if (e.key === "4") setTool(Tools.Rect);
         if (e.key === "5") setTool(Tools.Circle);
+        if (e.key === "6") setTool(Tools.Line);
+        if (e.key === "7") setTool(Tools.Polygon);
+        if (e.key === "f" || e.key === "F") setShapeFill((v) => !v);
         if (e.key === "i" || e.key === "I") setTool(Tools.Eyedrop);
         if (e.key === "h" || e.key === "H") setTool(Tools.Hand);
         if (e.key === "g" || e.key === "G") setShowGrid((v) => !v);
@@ -139,54 +423,300 @@ export default function CanvasEditor({ onCharacterExtract }) {
         if (e.key === " ") setIsSpace(false);
       }
     }
+    // Paste: prefer an image from the system clipboard, else the internal clipboard
+    function onPaste(e) {
+      if (!activeRef.current || e.target?.closest?.("input, textarea, select")) return;
+      const item = Array.from(e.clipboardData?.items || []).find((it) => it.type.startsWith("image/"));
+      const file = item?.getAsFile();
+      keyActionsRef.current.paste(file || null);
+      e.preventDefault();
+    }
     window.addEventListener("keydown", onKey);
     window.addEventListener("keyup", onKey);
+    window.addEventListener("paste", onPaste);
     return () => {
       window.removeEventListener("keydown", onKey);
       window.removeEventListener("keyup", onKey);
+      window.removeEventListener("paste", onPaste);
     };
   }, []);
 
   // ------------------------------ Drawing helpers ------------------------------
-  const currCanvas = frames[current];
-
-  function pushHistory() {
-    // Snapshot current frame image for undo
-    const key = current;
-    const stackObj = historyRef.current.get(key) || { stack: [], idx: -1 };
-    const ctx = currCanvas.getContext("2d");
-    const snap = ctx.getImageData(0, 0, currCanvas.width, currCanvas.height);
-    // If we undid previously, discard redo tail
-    if (stackObj.idx < stackObj.stack.length - 1) {
-      stackObj.stack = stackObj.stack.slice(0, stackObj.idx + 1);
-    }
-    stackObj.stack.push(snap);
-    // Limit history size
-    if (stackObj.stack.length > 50) stackObj.stack.shift();
-    stackObj.idx = stackObj.stack.length - 1;
-    historyRef.current.set(key, stackObj);
-  }
+  const currFrame = frames[current] || frames[0];
+  const activeLayerIdx = clamp(layerIndex, 0, currFrame.layers.length - 1);
+  const currLayer = currFrame.layers[activeLayerIdx];
+  const currCanvas = currLayer.canvas;
+  const brushTip = createBrushTip(brushShape, brush, customBrush);
 
+  // ------------------------------ History ------------------------------
   function undo() {
-    const key = current;
-    const h = historyRef.current.get(key);
-    if (!h || h.idx <= 0) return;
-    h.idx -= 1;
-    const ctx = currCanvas.getContext("2d");
-    ctx.putImageData(h.stack[h.idx], 0, 0);
-    requestAnimationFrame(draw);
+    anchorFloating();
+    commitRecolor();
+    historyRef.current.undo();
   }
-
   function redo() {
-    const key = current;
-    const h = historyRef.current.get(key);
-    if (!h || h.idx >= h.stack.length - 1) return;
-    h.idx += 1;
-    const ctx = currCanvas.getContext("2d");
-    ctx.putImageData(h.stack[h.idx], 0, 0);
+    anchorFloating();
+    commitRecolor();
+    historyRef.current.redo();
+  }
+  function jumpHistory(i) {
+    anchorFloating();
+    commitRecolor();
+    historyRef.current.jumpTo(i);
+  }
+
+  function resolveLayerCanvas(frameId, layerId) {
+    const f = framesRef.current.find((fr) => fr.id === frameId);
+    return f?.layers.find((l) => l.id === layerId)?.canvas || null;
+  }
+  function revealFrame(frameId) {
+    const i = framesRef.current.findIndex((fr) => fr.id === frameId);
+    if (i >= 0) setCurrent(i);
+    setRedrawTick((t) => t + 1);
+  }
+
+  // Pixel edits: capture the active layer before, diff it after (dirty rectangle only)
+  function beginPixelEdit(mask = null) {
+    pixelEditRef.current = {
+      frameId: currFrame.id,
+      layerId: currLayer.id,
+      canvas: currCanvas,
+      before: captureLayer(currCanvas),
+      mask, // selection limiting this edit, if any
+    };
+  }
+  function commitPixelEdit(label) {
+    const edit = pixelEditRef.current;
+    pixelEditRef.current = null;
+    if (!edit) return;
+    const { frameId, layerId, canvas, before } = edit;
+    historyRef.current.push(
+      createPixelCommand({ label, frameId, layerId, canvas, before, resolve: resolveLayerCanvas, onApply: revealFrame })
+    );
+    markDirty();
+  }
+  function editPixels(label, fn) {
+    beginPixelEdit();
+    fn(currCanvas.getContext("2d"));
+    commitPixelEdit(label);
     requestAnimationFrame(draw);
   }
 
+  // ------------------------------ Selection ------------------------------
+  // Paint tools only affect selected pixels: revert anything drawn outside the mask
+  function applySelectionMask() {
+    const edit = pixelEditRef.current;
+    if (edit?.mask) restoreOutsideMask(edit.canvas, edit.before, edit.mask);
+  }
+
+  function setFloating(f) {
+    floatingRef.current = f && { ...f, edges: maskEdges(f.mask, f.canvas.width, f.canvas.height) };
+    setRedrawTick((t) => t + 1);
+  }
+
+  // Cut the selected pixels off the active layer into a floating piece (one history step until anchored)
+  function liftToFloating() {
+    if (floatingRef.current) return floatingRef.current;
+    if (!selection || currLayer.locked) return null;
+    beginPixelEdit();
+    setFloating({ ...liftSelection(currCanvas, selection, { cut: true }), label: "Move selection" });
+    setSelection(null);
+    return floatingRef.current;
+  }
+
+  // Drop the floating piece onto the layer it came from; returns the resulting selection
+  function anchorFloating() {
+    const f = floatingRef.current;
+    if (!f) return null;
+    const target = pixelEditRef.current?.canvas || currCanvas;
+    stampFloating(target, f);
+    floatingRef.current = null;
+    const sel = floatingSelection(f, target.width, target.height);
+    setSelection(sel);
+    commitPixelEdit(f.label);
+    setRedrawTick((t) => t + 1);
+    return sel;
+  }
+
+  function transformSelection(fn) {
+    const f = liftToFloating();
+    if (!f) return;
+    setFloating({ ...fn(f), label: f.label === "Paste" ? "Paste" : "Transform selection" });
+  }
+  function scaleSelection() {
+    const f = liftToFloating();
+    if (!f) return;
+    const answer = prompt("Scale selection to W×H pixels", `${f.canvas.width}x${f.canvas.height}`);
+    const m = /^\s*(\d+)\s*[x×,\s]\s*(\d+)\s*$/i.exec(answer || "");
+    if (!m) return;
+    const nw = clamp(parseInt(m[1]), 1, 1024),
+      nh = clamp(parseInt(m[2]), 1, 1024);
+    transformSelection((fl) => scaleFloating(fl, nw, nh));
+  }
+
+  // The selected pixels of the active layer (or the floating piece) become a custom brush tip
+  function captureBrush() {
+    const piece = floatingRef.current || (selection && liftSelection(currCanvas, selection));
+    if (!piece) return;
+    const { canvas } = piece;
+    const img = canvas.getContext("2d", { willReadFrequently: true }).getImageData(0, 0, canvas.width, canvas.height);
+    setCustomBrush(brushFromImageData(img, piece.mask));
+    setBrushShape("custom");
+    if (tool !== Tools.Line && tool !== Tools.Polygon) setTool(Tools.Pencil);
+  }
+
+  function deselect() {
+    anchorFloating();
+    setSelection(null);
+  }
+  function selectAllPixels() {
+    anchorFloating();
+    setSelection(selectAll(spriteW, spriteH));
+  }
+
+  async function writeSystemClipboard(canvas) {
+    try {
+      if (!navigator.clipboard?.write || typeof ClipboardItem === "undefined") return;
+      const blob = await canvasToBlob(canvas);
+      await navigator.clipboard.write([new ClipboardItem({ [blob.type]: blob })]);
+    } catch (e) {
+      console.warn("[Clipboard] write failed:", e?.message || e);
+    }
+  }
+
+  function copySelection() {
+    const f = floatingRef.current;
+    const piece = f ? cloneFloating(f) : selection ? liftSelection(currCanvas, selection) : null;
+    if (!piece) return false;
+    clipboardRef.current = piece;
+    writeSystemClipboard(piece.canvas);
+    return true;
+  }
+  function deleteSelected(label = "Delete selection") {
+    if (floatingRef.current) {
+      // Lifted pixels were already cut from the layer; dropping the piece finishes the edit
+      floatingRef.current = null;
+      commitPixelEdit(label);
+      setRedrawTick((t) => t + 1);
+    } else if (selection && !currLayer.locked) {
+      const sel = selection;
+      editPixels(label, () => clearSelected(currCanvas, sel));
+    }
+  }
+  function cutSelection() {
+    if (copySelection()) deleteSelected("Cut");
+  }
+
+  // Paste as a floating piece on the active layer. `blob` is an image from the system clipboard (optional).
+  async function pasteSelection(blob) {
+    if (currLayer.locked) return;
+    let piece = clipboardRef.current && cloneFloating(clipboardRef.current);
+    if (blob) {
+      const url = URL.createObjectURL(blob);
+      try {
+        const img = await loadImage(url);
+        // Our own copies round-trip through the system clipboard; keep their position and mask
+        if (!piece || piece.canvas.width !== img.width || piece.canvas.height !== img.height) {
+          piece = floatingFromCanvas(img, 0, 0);
+        }
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    }
+    if (!piece) return;
+    anchorFloating();
+    beginPixelEdit();
+    setFloating({ ...piece, label: "Paste" });
+    setSelection(null);
+    setTool(Tools.Select);
+  }
+  async function pasteFromSystemClipboard() {
+    try {
+      const items = (await navigator.clipboard?.read?.()) || [];
+      for (const it of items) {
+        const type = it.types.find((t) => t.startsWith("image/"));
+        if (type) return pasteSelection(await it.getType(type));
+      }
+    } catch (e) {
+      console.warn("[Clipboard] read failed:", e?.message || e);
+    }
+    return pasteSelection(null);
+  }
+
+  keyActionsRef.current = {
+    undo,
+    redo,
+    copy: copySelection,
+    cut: cutSelection,
+    paste: pasteSelection,
+    selectAll: selectAllPixels,
+    deselect,
+    anchor: anchorFloating,
+    deleteSelected: () => deleteSelected(),
+    // A polygon in progress takes Esc (cancel) and Enter (close) before the selection does
+    escape: () => (polygonRef.current ? cancelPolygon() : deselect()),
+    enter: () => (polygonRef.current ? finishPolygon() : anchorFloating()),
+  };
+
+  // Switching frame or layer drops any floating piece where it was lifted from
+  useEffect(() => {
+    anchorFloating();
+  }, [current, layerIndex]);
+
+  // An unfinished polygon is dropped when the target or tool changes
+  useEffect(() => {
+    cancelPolygon();
+  }, [current, layerIndex, tool]);
+
+  // Marching ants animation
+  useEffect(() => {
+    if (!selection && !floatingRef.current) return;
+    const id = setInterval(() => {
+      antsRef.current = (antsRef.current + 1) % 8;
+      drawRef.current?.();
+    }, 120);
+    return () => clearInterval(id);
+  }, [selection, redrawTick]);
+
+  // Document edits: frames array + sprite size, swapped as immutable states
+  function docState() {
+    return { frames, tags, spriteW, spriteH, currentId: currFrame.id };
+  }
+  function applyDocState(st) {
+    // History jumps replay several steps before the next render: older pixel steps must resolve against these frames
+    framesRef.current = st.frames;
+    setFrames(st.frames);
+    setTags(st.tags);
+    setSpriteW(st.spriteW);
+    setSpriteH(st.spriteH);
+    const i = st.frames.findIndex((f) => f.id === st.currentId);
+    setCurrent(Math.max(0, i));
+  }
+  function commitDoc(label, next, opts = {}) {
+    anchorFloating();
+    const before = docState();
+    const after = { ...before, ...next };
+    // Timeline edits keep tags on the same frames
+    if (next.frames && !next.tags) after.tags = remapTags(before.tags, before.frames, next.frames);
+    historyRef.current.push(createStateCommand({ label, before, after, apply: applyDocState, ...opts }));
+    applyDocState(after);
+  }
+  function frameBytes(f) {
+    return f.layers.reduce((n, l) => n + l.canvas.width * l.canvas.height * 4, 0);
+  }
+
+  function resizeSprite(w, h) {
+    // Resize with nearest neighbor; typing in W/H collapses into one step
+    const nw = clamp(w || 1, 1, 1024),
+      nh = clamp(h || 1, 1, 1024);
+    setSelection(null);
+    commitDoc(
+      `Resize ${nw}×${nh}`,
+      { frames: frames.map((f) => resizeFrame(f, nw, nh)), spriteW: nw, spriteH: nh },
+      { mergeKey: "resize", bytes: frames.reduce((n, f) => n + frameBytes(f), 0) }
+    );
+  }
+
   // Convert client -> sprite pixel coordinates
   function clientToPixel(e) {
     const rect = viewRef.current.getBoundingClientRect();
@@ -197,6 +727,19 @@ export default function CanvasEditor({ onCharacterExtract }) {
     return { x, y };
   }
 
+  // Symmetry axis line under the pointer ("x" | "y" | null), within a few screen pixels
+  function axisAt(e) {
+    if (symmetry === "none") return null;
+    const rect = viewRef.current.getBoundingClientRect();
+    const sx = e.clientX - rect.left - pan.x;
+    const sy = e.clientY - rect.top - pan.y;
+    const inX = sx >= 0 && sx <= spriteW * zoom,
+      inY = sy >= 0 && sy <= spriteH * zoom;
+    if (symmetry !== "vertical" && inY && Math.abs(sx - axis.x * zoom) <= 4) return "x";
+    if (symmetry !== "horizontal" && inX && Math.abs(sy - axis.y * zoom) <= 4) return "y";
+    return null;
+  }
+
   function draw() {
     const canvas = viewRef.current;
     if (!canvas) return;
@@ -225,47 +768,118 @@ export default function CanvasEditor({ onCharacterExtract }) {
     const vx = pan.x;
     const vy = pan.y;
     drawCheckers(ctx, vx, vy, vw, vh, Math.max(8, zoom));
+    if (wrapPreview) {
+      for (let ty = -1; ty <= 1; ty++) {
+        for (let tx = -1; tx <= 1; tx++) {
+          if (tx || ty) drawCheckers(ctx, vx + tx * vw, vy + ty * vh, vw, vh, Math.max(8, zoom));
+        }
+      }
+    }
 
     // Onion skin (prev frame)
     if (onion && frames.length > 1) {
-      const prev = frames[(current - 1 + frames.length) % frames.length];
+      const prev = flattenFrame(frames[(current - 1 + frames.length) % frames.length]);
       ctx.imageSmoothingEnabled = false;
       ctx.globalAlpha = 0.35;
       ctx.drawImage(prev, 0, 0, prev.width, prev.height, vx, vy, vw, vh);
       ctx.globalAlpha = 1;
     }
 
-    // Current frame
+    // Current frame (all visible layers composited)
+    let comp = compositeRef.current;
+    if (!comp || comp.width !== currCanvas.width || comp.height !== currCanvas.height) {
+      comp = compositeRef.current = createPixelCanvas(currCanvas.width, currCanvas.height);
+    }
+    flattenFrame(currFrame, comp);
     ctx.imageSmoothingEnabled = false;
-    ctx.drawImage(currCanvas, 0, 0, currCanvas.width, currCanvas.height, vx, vy, vw, vh);
+    ctx.drawImage(comp, 0, 0, comp.width, comp.height, vx, vy, vw, vh);
+    if (wrapPreview) {
+      // Neighbouring copies, slightly faded so the editable tile stands out
+      ctx.globalAlpha = 0.85;
+      for (let ty = -1; ty <= 1; ty++) {
+        for (let tx = -1; tx <= 1; tx++) {
+          if (tx || ty) ctx.drawImage(comp, 0, 0, comp.width, comp.height, vx + tx * vw, vy + ty * vh, vw, vh);
+        }
+      }
+      ctx.globalAlpha = 1;
+    }
 
-    // Shape preview overlay
+    // Floating selection piece (not yet stamped into the layer)
+    const fl = floatingRef.current;
+    if (fl) {
+      ctx.imageSmoothingEnabled = false;
+      const fw = fl.canvas.width,
+        fh = fl.canvas.height;
+      ctx.drawImage(fl.canvas, 0, 0, fw, fh, vx + fl.x * zoom, vy + fl.y * zoom, fw * zoom, fh * zoom);
+    }
+
+    // Shape preview: the exact pixels the shape will produce
+    const shape = isShapeTool(tool) ? previewRef.current : tool === Tools.Polygon && polygonRef.current;
+    if (shape) {
+      let sc = shapeCanvasRef.current;
+      if (!sc || sc.width !== spriteW || sc.height !== spriteH) {
+        sc = shapeCanvasRef.current = createPixelCanvas(spriteW, spriteH);
+      }
+      const sctx = sc.getContext("2d");
+      sctx.clearRect(0, 0, spriteW, spriteH);
+      paintShape(sctx, shape.points ? { points: [...shape.points, shape.hover] } : shape);
+      ctx.imageSmoothingEnabled = false;
+      ctx.globalAlpha = 0.8;
+      ctx.drawImage(sc, 0, 0, spriteW, spriteH, vx, vy, vw, vh);
+      ctx.globalAlpha = 1;
+    }
+
+    // Selection preview overlay
     const prev = previewRef.current;
-    if (prev) {
+    if (prev?.points) {
+      // Lasso path in progress
+      ctx.save();
+      ctx.translate(vx, vy);
+      ctx.beginPath();
+      prev.points.forEach(([px, py], i) => {
+        const X = (px + 0.5) * zoom,
+          Y = (py + 0.5) * zoom;
+        if (i === 0) ctx.moveTo(X, Y);
+        else ctx.lineTo(X, Y);
+      });
+      ctx.setLineDash([4, 4]);
+      ctx.strokeStyle = "#111";
+      ctx.lineWidth = 1;
+      ctx.stroke();
+      ctx.restore();
+    } else if (prev && tool === Tools.Select) {
       ctx.save();
       ctx.translate(vx, vy);
       ctx.scale(zoom, zoom);
       ctx.strokeStyle = "#111";
       ctx.lineWidth = 1 / zoom; // hairline
-      ctx.fillStyle = "rgba(17,17,17,0.15)";
       const x = Math.min(prev.x0, prev.x1),
         y = Math.min(prev.y0, prev.y1);
       const w2 = Math.abs(prev.x1 - prev.x0) + 1,
         h2 = Math.abs(prev.y1 - prev.y0) + 1;
-      if (tool === Tools.Rect) {
-        ctx.fillRect(x, y, w2, h2);
-        ctx.strokeRect(x + 0.5 / zoom, y + 0.5 / zoom, w2 - 1 / zoom, h2 - 1 / zoom);
-      } else if (tool === Tools.Circle) {
-        // draw ellipse approximated by circle within rect bounds
-        const cx = x + w2 / 2,
-          cy = y + h2 / 2;
-        const rx = Math.max(0.5, w2 / 2),
-          ry = Math.max(0.5, h2 / 2);
-        ctx.beginPath();
-        ctx.ellipse(cx, cy, rx, ry, 0, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.stroke();
+      ctx.setLineDash([4 / zoom, 4 / zoom]);
+      ctx.strokeRect(x, y, w2, h2);
+      ctx.restore();
+    }
+
+    // Marching ants around the selection (or the floating piece)
+    const ants = fl ? { edges: fl.edges, ox: fl.x, oy: fl.y } : selection && { edges: selection.edges, ox: 0, oy: 0 };
+    if (ants) {
+      ctx.save();
+      ctx.translate(vx, vy);
+      ctx.beginPath();
+      for (const [x0, y0, x1, y1] of ants.edges) {
+        ctx.moveTo((x0 + ants.ox) * zoom + 0.5, (y0 + ants.oy) * zoom + 0.5);
+        ctx.lineTo((x1 + ants.ox) * zoom + 0.5, (y1 + ants.oy) * zoom + 0.5);
       }
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 4]);
+      ctx.strokeStyle = "#fff";
+      ctx.lineDashOffset = -antsRef.current;
+      ctx.stroke();
+      ctx.strokeStyle = "#000";
+      ctx.lineDashOffset = 4 - antsRef.current;
+      ctx.stroke();
       ctx.restore();
     }
 
@@ -288,6 +902,26 @@ export default function CanvasEditor({ onCharacterExtract }) {
       ctx.restore();
     }
 
+    // Symmetry axes
+    if (symmetry !== "none") {
+      ctx.save();
+      ctx.translate(vx, vy);
+      ctx.beginPath();
+      if (symmetry !== "vertical") {
+        ctx.moveTo(axis.x * zoom, 0);
+        ctx.lineTo(axis.x * zoom, vh);
+      }
+      if (symmetry !== "horizontal") {
+        ctx.moveTo(0, axis.y * zoom);
+        ctx.lineTo(vw, axis.y * zoom);
+      }
+      ctx.strokeStyle = "rgba(236,72,153,0.9)"; // pink-500
+      ctx.lineWidth = 1;
+      ctx.setLineDash([6, 3]);
+      ctx.stroke();
+      ctx.restore();
+    }
+
     // Border
     ctx.strokeStyle = "#bbb";
     ctx.strokeRect(vx - 0.5, vy - 0.5, vw + 1, vh + 1);
@@ -295,18 +929,33 @@ export default function CanvasEditor({ onCharacterExtract }) {
     ctx.restore();
   }
 
+  drawRef.current = draw;
   useEffect(() => {
     requestAnimationFrame(draw);
-  }, [frames, current, viewSize, zoom, pan, showGrid, onion, tool]);
+  }, [
+    frames,
+    current,
+    layerIndex,
+    viewSize,
+    zoom,
+    pan,
+    showGrid,
+    wrapPreview,
+    onion,
+    tool,
+    redrawTick,
+    selection,
+    symmetry,
+    axis,
+  ]);
 
-  // Center sprite and take initial history snapshot once on mount
+  // Center sprite once on mount
   useEffect(() => {
     const id = requestAnimationFrame(() => {
       setPan({
         x: Math.floor((viewSize.w - spriteW * zoom) / 2),
         y: Math.floor((viewSize.h - spriteH * zoom) / 2),
       });
-      pushHistory();
     });
     return () => cancelAnimationFrame(id);
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -321,32 +970,102 @@ export default function CanvasEditor({ onCharacterExtract }) {
       return;
     }
 
+    const hit = axisAt(e);
+    if (hit) {
+      draggingRef.current = hit === "x" ? "axis-x" : "axis-y";
+      return;
+    }
+
     const { x, y } = clientToPixel(e);
+    if (isSelectTool(tool)) {
+      beginSelectStroke(x, y);
+      requestAnimationFrame(draw);
+      return;
+    }
     if (x < 0 || y < 0 || x >= spriteW || y >= spriteH) return;
+    // Locked or hidden layers are not editable (eyedropper still samples)
+    if ((currLayer.locked || !currLayer.visible) && tool !== Tools.Eyedrop) return;
 
-    pushHistory();
+    if (tool === Tools.Polygon) {
+      addPolygonPoint(x, y);
+      requestAnimationFrame(draw);
+      return;
+    }
+    const sel = anchorFloating() || selection;
+    if (sel && !selectionContains(sel, x, y) && tool !== Tools.Eyedrop && !isShapeTool(tool))
+      return; // paint tools start inside the selection
+    if (tool === Tools.Bucket && fillAllFrames) {
+      fillAcrossFrames(x, y, sel);
+      requestAnimationFrame(draw);
+      return;
+    }
+    beginPixelEdit(sel);
     draggingRef.current = true;
     lastPtRef.current = { x, y };
-    const ctx = currCanvas.getContext("2d");
 
     if (tool === Tools.Pencil || tool === Tools.Eraser) {
-      drawLinePixel(ctx, x, y, x, y, color, brush, tool === Tools.Eraser);
+      strokeRef.current = pixelPerfect && brushTip.w === 1 && brushTip.h === 1 ? createPixelPerfect() : null;
+      paintStroke(x, y, x, y);
     } else if (tool === Tools.Bucket) {
-      const target = getPixel(currCanvas, x, y);
-      const repl = hexToRgba(color);
-      floodFill(currCanvas, x, y, target, repl);
-    } else if (tool === Tools.Rect || tool === Tools.Circle) {
+      bucketFill(currCanvas, x, y);
+    } else if (isShapeTool(tool)) {
       previewRef.current = { x0: x, y0: y, x1: x, y1: y };
     } else if (tool === Tools.Eyedrop) {
       const rgba = getPixel(currCanvas, x, y);
-      setColor(rgbaToHex(rgba));
+      const hex = rgbaToHex(rgba);
+      setColor(indexed ? nearestColor(hex, palette) : hex);
     }
+    applySelectionMask();
     requestAnimationFrame(draw);
   }
 
+  // Select/Lasso/Wand: drag inside the selection to move it, elsewhere to make a new one
+  function beginSelectStroke(x, y) {
+    const cx = clamp(x, 0, spriteW - 1),
+      cy = clamp(y, 0, spriteH - 1);
+    const f = floatingRef.current;
+    if (floatingContains(f, x, y) || (!f && selectionContains(selection, x, y) && !currLayer.locked)) {
+      liftToFloating();
+      draggingRef.current = "move";
+      lastPtRef.current = { x, y };
+      return;
+    }
+    anchorFloating();
+    if (tool === Tools.Wand) {
+      const inside = x >= 0 && y >= 0 && x < spriteW && y < spriteH;
+      setSelection(inside ? wandSelection(currCanvas, x, y, fillOpts) : null);
+      return;
+    }
+    draggingRef.current = "select";
+    previewRef.current = tool === Tools.Lasso ? { points: [[cx, cy]] } : { x0: cx, y0: cy, x1: cx, y1: cy };
+  }
+
   function moveStroke(e) {
     const mode = draggingRef.current;
-    if (!mode) return;
+    if (!mode) {
+      const hover = axisAt(e);
+      viewRef.current.style.cursor = hover === "x" ? "col-resize" : hover === "y" ? "row-resize" : "";
+      const poly = polygonRef.current;
+      if (poly) {
+        const { x, y } = clientToPixel(e);
+        if (poly.hover[0] !== x || poly.hover[1] !== y) {
+          poly.hover = [x, y];
+          requestAnimationFrame(draw);
+        }
+      }
+      return;
+    }
+    if (mode === "axis-x" || mode === "axis-y") {
+      const rect = viewRef.current.getBoundingClientRect();
+      if (mode === "axis-x") {
+        const ax = snapAxis((e.clientX - rect.left - pan.x) / zoom, spriteW);
+        setAxis((a) => ({ ...a, x: ax }));
+      } else {
+        const ay = snapAxis((e.clientY - rect.top - pan.y) / zoom, spriteH);
+        setAxis((a) => ({ ...a, y: ay }));
+      }
+      return;
+    }
 
     if (mode === "pan") {
       const last = lastPtRef.current;
@@ -358,12 +1077,38 @@ export default function CanvasEditor({ onCharacterExtract }) {
     }
 
     const { x, y } = clientToPixel(e);
-    const ctx = currCanvas.getContext("2d");
+    if (mode === "move") {
+      const f = floatingRef.current;
+      const last = lastPtRef.current;
+      if (f) {
+        f.x += x - last.x;
+        f.y += y - last.y;
+      }
+      lastPtRef.current = { x, y };
+      requestAnimationFrame(draw);
+      return;
+    }
+    if (mode === "select") {
+      const prev = previewRef.current;
+      const cx = clamp(x, 0, spriteW - 1),
+        cy = clamp(y, 0, spriteH - 1);
+      if (prev?.points) {
+        const [lx, ly] = prev.points[prev.points.length - 1];
+        if (lx !== cx || ly !== cy) prev.points.push([cx, cy]);
+      } else if (prev) {
+        prev.x1 = cx;
+        prev.y1 = cy;
+      }
+      requestAnimationFrame(draw);
+      return;
+    }
+
     if (tool === Tools.Pencil || tool === Tools.Eraser) {
       const last = lastPtRef.current;
-      drawLinePixel(ctx, last.x, last.y, x, y, color, brush, tool === Tools.Eraser);
+      paintStroke(last.x, last.y, x, y);
+      applySelectionMask();
       lastPtRef.current = { x, y };
-    } else if (tool === Tools.Rect || tool === Tools.Circle) {
+    } else if (isShapeTool(tool)) {
       const prev = previewRef.current;
       if (!prev) return;
       prev.x1 = clamp(x, 0, spriteW - 1);
@@ -377,39 +1122,163 @@ export default function CanvasEditor({ onCharacterExtract }) {
     draggingRef.current = false;
     if (!mode) return;
 
-    if (mode === "pan") return;
+    if (mode === "pan" || mode === "move" || mode === "axis-x" || mode === "axis-y") return;
+    if (mode === "select") {
+      const prev = previewRef.current;
+      previewRef.current = null;
+      if (prev?.points) {
+        setSelection(prev.points.length > 2 ? lassoSelection(spriteW, spriteH, prev.points) : null);
+      } else if (prev) {
+        // A click without dragging clears the selection
+        const click = prev.x0 === prev.x1 && prev.y0 === prev.y1;
+        setSelection(click ? null : rectSelection(spriteW, spriteH, prev.x0, prev.y0, prev.x1, prev.y1));
+      }
+      requestAnimationFrame(draw);
+      return;
+    }
 
-    const { x, y } = clientToPixel(e);
-    const ctx = currCanvas.getContext("2d");
-    if (tool === Tools.Rect || tool === Tools.Circle) {
+    if (isShapeTool(tool)) {
       const prev = previewRef.current;
       if (!prev) return;
       previewRef.current = null;
-      const x0 = clamp(Math.min(prev.x0, prev.x1), 0, spriteW - 1);
-      const y0 = clamp(Math.min(prev.y0, prev.y1), 0, spriteH - 1);
-      const x1 = clamp(Math.max(prev.x0, prev.x1), 0, spriteW - 1);
-      const y1 = clamp(Math.max(prev.y0, prev.y1), 0, spriteH - 1);
-      const w = x1 - x0 + 1;
-      const h = y1 - y0 + 1;
-      ctx.save();
-      ctx.fillStyle = color;
-      ctx.strokeStyle = color;
-      ctx.imageSmoothingEnabled = false;
-      if (tool === Tools.Rect) {
-        ctx.fillRect(x0, y0, w, h);
-      } else {
-        // Rasterize ellipse by drawing to temp canvas at native res, then copy
-        const tmp = createPixelCanvas(w, h);
-        const t = tmp.getContext("2d");
-        t.fillStyle = color;
-        t.beginPath();
-        t.ellipse(w / 2, h / 2, Math.max(0.5, w / 2), Math.max(0.5, h / 2), 0, 0, Math.PI * 2);
-        t.fill();
-        // Composite with nearest-neighbor
-        ctx.drawImage(tmp, x0, y0);
+      paintShape(currCanvas.getContext("2d"), prev);
+    }
+    applySelectionMask();
+    commitPixelEdit(Object.keys(Tools).find((k) => Tools[k] === tool) || "Edit");
+    requestAnimationFrame(draw);
+  }
+
+  // Pencil/Eraser segment with the current tip and pattern, mirrored; pixel-perfect strokes revert corners
+  function paintStroke(x0, y0, x1, y1) {
+    const transforms = mirrorTransforms(symmetry, axis, brushTip.w);
+    const opts = { color, erase: tool === Tools.Eraser, pattern };
+    const pp = strokeRef.current;
+    if (!pp) {
+      for (const t of transforms) stampLine(currCanvas, ...t(x0, y0), ...t(x1, y1), brushTip, opts);
+      return;
+    }
+    for (const [x, y] of linePoints(x0, y0, x1, y1)) {
+      const corner = pp(x, y);
+      if (corner === "skip") continue;
+      for (const t of transforms) {
+        if (corner) restorePixel(...t(corner[0], corner[1]));
+        const [px, py] = t(x, y);
+        stampLine(currCanvas, px, py, px, py, brushTip, opts);
       }
-      ctx.restore();
     }
+  }
+
+  // Bucket fill with the fill options; each mirrored seed fills its own region
+  const fillOpts = { tolerance: fillTolerance, connectivity: fillConnectivity, contiguous: fillContiguous };
+  function bucketFill(canvas, x, y) {
+    for (const t of mirrorTransforms(symmetry, axis)) {
+      const [px, py] = t(x, y);
+      if (px < 0 || py < 0 || px >= canvas.width || py >= canvas.height) continue;
+      const mask = fillRegion(captureLayer(canvas), px, py, fillOpts);
+      paintMask(canvas, mask, { color, color2: gradientTo, style: fillStyle, pattern });
+    }
+  }
+
+  // The same fill on the active layer slot of every frame, recorded as one history step
+  function fillAcrossFrames(x, y, sel) {
+    const redraw = () => setRedrawTick((t) => t + 1);
+    const commands = [];
+    for (const f of frames) {
+      const layer = f.layers[Math.min(activeLayerIdx, f.layers.length - 1)];
+      if (layer.locked) continue;
+      const before = captureLayer(layer.canvas);
+      bucketFill(layer.canvas, x, y);
+      if (sel) restoreOutsideMask(layer.canvas, before, sel);
+      commands.push(
+        createPixelCommand({
+          label: "Fill",
+          frameId: f.id,
+          layerId: layer.id,
+          canvas: layer.canvas,
+          before,
+          resolve: resolveLayerCanvas,
+          onApply: redraw,
+        })
+      );
+    }
+    historyRef.current.push(createCompositeCommand({ label: "Fill all frames", commands }));
+    markDirty();
+    redraw();
+  }
+
+  // Put back one pixel from the pending edit's "before" image
+  function restorePixel(x, y) {
+    const edit = pixelEditRef.current;
+    if (!edit || x < 0 || y < 0 || x >= edit.before.width || y >= edit.before.height) return;
+    const o = (x + y * edit.before.width) * 4;
+    edit.canvas.getContext("2d").putImageData(new ImageData(edit.before.data.slice(o, o + 4), 1, 1), x, y);
+  }
+
+  // Rasterize a shape (plus its mirror copies) with hard-edged pixels, through the dither pattern.
+  // `shape` is {x0,y0,x1,y1} for Rect/Circle/Line or {points} for a polygon.
+  function paintShape(ctx, shape) {
+    if (pattern === "solid") {
+      rasterizeShape(ctx, shape);
+      return;
+    }
+    const tmp = createPixelCanvas(ctx.canvas.width, ctx.canvas.height);
+    rasterizeShape(tmp.getContext("2d"), shape);
+    applyPattern(tmp, pattern);
+    ctx.drawImage(tmp, 0, 0);
+  }
+
+  function rasterizeShape(ctx, shape) {
+    const line = (a, b) => stampLine(ctx.canvas, a[0], a[1], b[0], b[1], brushTip, { color });
+    if (shape.points) {
+      for (const t of mirrorTransforms(symmetry, axis, shapeFill ? 1 : brushTip.w)) {
+        const pts = shape.points.map(([px, py]) => t(px, py));
+        if (shapeFill) {
+          const sel = lassoSelection(ctx.canvas.width, ctx.canvas.height, pts);
+          if (sel) fillSelection(ctx.canvas, sel, color);
+        } else {
+          pts.forEach((p, i) => line(p, pts[(i + 1) % pts.length]));
+        }
+      }
+    } else if (tool === Tools.Line) {
+      for (const t of mirrorTransforms(symmetry, axis, brushTip.w)) line(t(shape.x0, shape.y0), t(shape.x1, shape.y1));
+    } else {
+      const drawFn = tool === Tools.Rect ? drawRectPixel : drawEllipsePixel;
+      for (const r of mirrorRects(symmetry, axis, shape)) {
+        drawFn(ctx, r.x0, r.y0, r.x1, r.y1, color, { filled: shapeFill, size: brush });
+      }
+    }
+  }
+
+  // Polygon: click to add vertices; click the first/last vertex, double-click or Enter to close
+  function addPolygonPoint(x, y) {
+    const poly = polygonRef.current;
+    const px = clamp(x, 0, spriteW - 1),
+      py = clamp(y, 0, spriteH - 1);
+    if (!poly) {
+      polygonRef.current = { points: [[px, py]], hover: [px, py] };
+      return;
+    }
+    const [fx, fy] = poly.points[0];
+    const [lx, ly] = poly.points[poly.points.length - 1];
+    if ((px === fx && py === fy) || (px === lx && py === ly)) finishPolygon();
+    else poly.points.push([px, py]);
+  }
+
+  function finishPolygon() {
+    const poly = polygonRef.current;
+    polygonRef.current = null;
+    if (poly && poly.points.length > 1 && !currLayer.locked && currLayer.visible) {
+      beginPixelEdit(anchorFloating() || selection);
+      paintShape(currCanvas.getContext("2d"), poly);
+      applySelectionMask();
+      commitPixelEdit("Polygon");
+    }
+    requestAnimationFrame(draw);
+  }
+
+  function cancelPolygon() {
+    if (!polygonRef.current) return;
+    polygonRef.current = null;
     requestAnimationFrame(draw);
   }
 
@@ -426,164 +1295,523 @@ export default function CanvasEditor({ onCharacterExtract }) {
 
   // ------------------------------ Timeline ops ------------------------------
   function addFrame() {
-    const c = createPixelCanvas(spriteW, spriteH);
-    setFrames((f) => {
-      const nf = f.slice();
-      nf.splice(current + 1, 0, c);
-      return nf;
-    });
-    setCurrent((i) => i + 1);
+    const c = createFrame(spriteW, spriteH);
+    const nf = frames.slice();
+    nf.splice(current + 1, 0, c);
+    commitDoc("Add frame", { frames: nf, currentId: c.id });
   }
   function duplicateFrame() {
-    const src = frames[current];
-    const c = createPixelCanvas(spriteW, spriteH);
-    c.getContext("2d").drawImage(src, 0, 0);
-    setFrames((f) => {
-      const nf = f.slice();
-      nf.splice(current + 1, 0, c);
-      return nf;
+    const c = cloneFrame(currFrame);
+    const nf = frames.slice();
+    nf.splice(current + 1, 0, c);
+    commitDoc("Duplicate frame", { frames: nf, currentId: c.id }, { bytes: frameBytes(c) });
+  }
+  // Every unlocked layer of the current frame, recorded as one history step
+  function clearFrame() {
+    const commands = currFrame.layers
+      .filter((layer) => !layer.locked)
+      .map((layer) => {
+        const before = captureLayer(layer.canvas);
+        layer.canvas.getContext("2d").clearRect(0, 0, layer.canvas.width, layer.canvas.height);
+        return createPixelCommand({
+          label: "Clear frame",
+          frameId: currFrame.id,
+          layerId: layer.id,
+          canvas: layer.canvas,
+          before,
+          resolve: resolveLayerCanvas,
+          onApply: revealFrame,
+        });
+      });
+    historyRef.current.push(createCompositeCommand({ label: "Clear frame", commands }));
+    markDirty();
+    requestAnimationFrame(draw);
+  }
+  function deleteFrame() {
+    if (frames.length === 1) {
+      // clear instead
+      clearFrame();
+      return;
+    }
+    const nf = frames.filter((_, i) => i !== current);
+    commitDoc(
+      "Delete frame",
+      { frames: nf, currentId: nf[clamp(current - 1, 0, nf.length - 1)].id },
+      { bytes: frameBytes(currFrame) }
+    );
+  }
+  function moveFrame(dir) {
+    const j = current + dir;
+    if (j < 0 || j >= frames.length) return;
+    const nf = frames.slice();
+    const [item] = nf.splice(current, 1);
+    nf.splice(j, 0, item);
+    commitDoc("Move frame", { frames: nf });
+  }
+
+  function setFrameDuration(ms) {
+    const duration = ms > 0 ? clamp(Math.round(ms), 1, 60000) : null;
+    if (duration === currFrame.duration) return;
+    commitDoc(
+      "Frame duration",
+      { frames: frames.map((f, i) => (i === current ? { ...f, duration } : f)) },
+      { mergeKey: `duration:${currFrame.id}` }
+    );
+  }
+
+  // ------------------------------ Tags ------------------------------
+  function addTag() {
+    const name = DEFAULT_TAG_NAMES.find((n) => !tags.some((t) => t.name === n)) || `tag ${tags.length + 1}`;
+    const tag = createTag(name, currFrame.id, currFrame.id, { color: TAG_COLORS[tags.length % TAG_COLORS.length] });
+    commitDoc("Add tag", { tags: [...tags, tag] });
+  }
+  function updateTag(id, patch) {
+    commitDoc(
+      "Edit tag",
+      { tags: tags.map((t) => (t.id === id ? { ...t, ...patch } : t)) },
+      { mergeKey: `tag:${id}:${Object.keys(patch).join(",")}` }
+    );
+  }
+  // Loop one tag in the preview, starting from its first frame
+  function playTag(tag) {
+    const r = tagRange(tag, frames);
+    if (!r) return;
+    playDirRef.current = 1;
+    setPlayTagId(tag.id);
+    setCurrent(r.start);
+    setPlaying(true);
+  }
+  function deleteTag(id) {
+    if (playTagId === id) setPlayTagId(null);
+    commitDoc("Delete tag", { tags: tags.filter((t) => t.id !== id) });
+  }
+
+  // ------------------------------ Layer ops (current frame) ------------------------------
+  function updateCurrentFrame(label, fn, opts) {
+    commitDoc(label, { frames: frames.map((fr, i) => (i === current ? fn(fr) : fr)) }, opts);
+  }
+  function addLayer() {
+    const layer = createLayer(spriteW, spriteH, { name: `Layer ${currFrame.layers.length + 1}` });
+    const at = activeLayerIdx + 1;
+    updateCurrentFrame("Add layer", (fr) => {
+      const nl = fr.layers.slice();
+      nl.splice(at, 0, layer);
+      return { ...fr, layers: nl };
+    });
+    setLayerIndex(at);
+  }
+  function deleteLayer() {
+    if (currFrame.layers.length === 1) return;
+    const at = activeLayerIdx;
+    const bytes = currCanvas.width * currCanvas.height * 4;
+    updateCurrentFrame("Delete layer", (fr) => ({ ...fr, layers: fr.layers.filter((_, i) => i !== at) }), { bytes });
+    setLayerIndex(Math.max(0, at - 1));
+  }
+  function moveLayer(dir) {
+    const j = activeLayerIdx + dir;
+    if (j < 0 || j >= currFrame.layers.length) return;
+    updateCurrentFrame("Move layer", (fr) => {
+      const nl = fr.layers.slice();
+      const [item] = nl.splice(activeLayerIdx, 1);
+      nl.splice(j, 0, item);
+      return { ...fr, layers: nl };
     });
-    setCurrent((i) => i + 1);
+    setLayerIndex(j);
+  }
+  function updateLayer(idx, patch) {
+    const keys = Object.keys(patch).join(",");
+    updateCurrentFrame(
+      `Layer ${keys}`,
+      (fr) => ({
+        ...fr,
+        layers: fr.layers.map((l, i) => (i === idx ? { ...l, ...patch } : l)),
+      }),
+      // Slider drags (opacity) collapse into one step
+      { mergeKey: `${currFrame.layers[idx].id}:${keys}` }
+    );
+  }
+
+  // ------------------------------ Import/Export ------------------------------
+  async function exportPNG() {
+    const blob = await canvasToBlob(flattenFrame(currFrame));
+    downloadBlob(blob, `sprite_frame_${current + 1}.png`);
+  }
+
+  async function exportSpritesheet() {
+    const packed = packSpritesheet(frames.map((f) => flattenFrame(f)), sheetOpts);
+    const meta = sheetMetadata(packed, sheetOpts.format, {
+      image: "spritesheet.png",
+      tags: tagsMeta(tags, frames, fps),
+      durations: frames.map((f) => frameDuration(f, fps)),
+    });
+    const blob = await canvasToBlob(packed.canvas);
+    const json = new Blob([JSON.stringify(meta, null, 2)], { type: "application/json" });
+    downloadBlob(blob, "spritesheet.png");
+    downloadBlob(json, "spritesheet.json");
+  }
+  function setSheetOpt(key, value) {
+    setSheetOpts((o) => ({ ...o, [key]: value }));
+  }
+
+  async function exportAnimation(format) {
+    // Same frames, timing and loop mode as the preview (the selected tag, or every frame)
+    const tag = tags.find((t) => t.id === playTagId);
+    const { indices, delays, loops } = playbackSequence(frames, tag, fps);
+    const images = indices.map((i) => {
+      const out = createPixelCanvas(spriteW * animScale, spriteH * animScale);
+      nearestNeighborDraw(flattenFrame(frames[i]), out);
+      return out.getContext("2d").getImageData(0, 0, out.width, out.height);
+    });
+    const name = tag?.name || "animation";
+    if (format === "gif") {
+      downloadBlob(new Blob([encodeGif(images, { delays, loops })], { type: "image/gif" }), `${name}.gif`);
+    } else {
+      downloadBlob(new Blob([await encodeApng(images, { delays, loops })], { type: "image/png" }), `${name}.png`);
+    }
+  }
+
+  // ------------------------------ Character extraction (see lib/character.js) ------------------------------
+  // The frames a character is cut from: its tag's current range, else its recorded frames, else the whole
+  // timeline (a new extraction uses the tag looping in the preview, if any)
+  function characterFrames({ tagId, frameIds } = {}) {
+    const tag = tags.find((t) => t.id === tagId);
+    const r = tag && tagRange(tag, frames);
+    if (r) return frames.slice(r.start, r.end + 1);
+    if (frameIds) return frames.filter((f) => frameIds.includes(f.id));
+    return frames;
+  }
+
+  // Throws when the frames are gone or empty
+  function buildCharacter(previous) {
+    const source = previous?.source || { tagId: playTagId };
+    const list = characterFrames(source);
+    if (previous && !list.length) throw new Error("Its frames are no longer in the timeline");
+    return extractCharacter(list, {
+      abilities: { jump: attrJump, slide: attrSlide, punch: attrPunch },
+      fps,
+      tagId: tags.some((t) => t.id === source.tagId) ? source.tagId : null,
+      previous,
+    });
+  }
+
+  function handleExtractCharacter() {
+    try {
+      onCharacterExtract?.(buildCharacter());
+    } catch (e) {
+      alert(`Could not extract the character: ${e.message}`);
+    }
+  }
+
+  // Jump to a character's source frames for re-editing (loops its tag when it still exists)
+  function showCharacterSource(source) {
+    const first = characterFrames(source)[0];
+    if (!first) throw new Error("Its frames are no longer in the timeline");
+    setPlaying(false);
+    setPlayTagId(tags.some((t) => t.id === source.tagId) ? source.tagId : null);
+    setCurrent(frames.indexOf(first));
+    setLayerIndex(0);
+  }
+
+  async function handleImport(file) {
+    try {
+      openPixelate("Import", await fileToCanvas(file), "contain");
+    } catch (e) {
+      alert(`Could not import: ${e.message}`);
+    }
+  }
+
+  // ------------------------------ Pixelate import (see lib/pixelate.js) ------------------------------
+  // Imported and generated images are previewed here before they replace the current layer
+  function openPixelate(label, canvas, fit) {
+    setPixelOpts((o) => ({
+      ...o,
+      width: spriteW,
+      height: spriteH,
+      fit,
+      quantize: indexed ? "project" : o.quantize === "project" ? "median" : o.quantize,
+    }));
+    setPixelSource({ label, canvas, image: canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height) });
+  }
+  function setPixelOpt(key, value) {
+    setPixelOpts((o) => ({ ...o, [key]: value }));
+  }
+  const pixelResult = useMemo(
+    () => (pixelSource ? pixelate(pixelSource.image, pixelOpts, palette) : null),
+    [pixelSource, pixelOpts, palette]
+  );
+  function applyPixelate() {
+    const { image } = pixelResult;
+    editPixels(pixelSource.label, (ctx) => {
+      ctx.clearRect(0, 0, spriteW, spriteH);
+      const x = Math.floor((spriteW - image.width) / 2),
+        y = Math.floor((spriteH - image.height) / 2);
+      ctx.putImageData(new ImageData(image.data, image.width, image.height), x, y);
+    });
+    setPixelSource(null);
+  }
+
+  // ------------------------------ Sheet import (see lib/spritesheet.js, lib/gif.js) ------------------------------
+  // Animated GIFs and JSON atlases (picked together with their image) replace the timeline right away;
+  // plain sheets wait in the Slice section for a grid.
+  async function importSheet(files) {
+    try {
+      const json = files.find((f) => f.name.toLowerCase().endsWith(".json"));
+      const image = files.find((f) => f.type.startsWith("image/"));
+      if (!image) throw new Error(json ? "Pick the atlas image together with its JSON" : "No image selected");
+      if (json) {
+        const atlas = parseAtlas(await json.text());
+        const sheet = await fileToCanvas(image);
+        const canvases = atlas.frames.map((f) => atlasFrameCanvas(sheet, f));
+        replaceFrames("Import atlas", canvases, atlas.frames.map((f) => f.duration), atlas.tags);
+        return;
+      }
+      if (image.type === "image/gif") {
+        const gif = decodeGif(await image.arrayBuffer());
+        if (gif.frames.length > 1) {
+          const canvases = gif.frames.map((f) => {
+            const c = createPixelCanvas(gif.width, gif.height);
+            c.getContext("2d").putImageData(new ImageData(f.data, gif.width, gif.height), 0, 0);
+            return c;
+          });
+          replaceFrames("Import GIF", canvases, gif.frames.map((f) => f.delay));
+          return;
+        }
+      }
+      const canvas = await fileToCanvas(image);
+      const auto = detectCells(canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height));
+      // A strip of square frames is the common case; otherwise start from the current sprite size
+      const strip = canvas.width > canvas.height && canvas.width % canvas.height === 0;
+      setSliceOpts((o) => ({
+        ...o,
+        cellW: strip ? canvas.height : Math.min(spriteW, canvas.width),
+        cellH: strip ? canvas.height : Math.min(spriteH, canvas.height),
+      }));
+      setSheetSource({ canvas, name: image.name, auto });
+    } catch (e) {
+      alert(`Could not import: ${e.message}`);
+    }
+  }
+
+  function sheetCells() {
+    if (!sheetSource) return [];
+    if (sliceOpts.mode === "auto") return sheetSource.auto;
+    return gridCells(sheetSource.canvas.width, sheetSource.canvas.height, sliceOpts);
+  }
+
+  function confirmSlice() {
+    const cells = sheetCells();
+    if (!cells.length) return;
+    try {
+      replaceFrames("Import sheet", sliceCells(sheetSource.canvas, cells));
+      setSheetSource(null);
+    } catch (e) {
+      alert(`Could not import: ${e.message}`);
+    }
+  }
+
+  // One frame per canvas (bottom-centered in the largest), sprite size set from them; one undo step
+  function replaceFrames(label, canvases, durations = [], sheetTags = []) {
+    const w = Math.max(...canvases.map((c) => c.width)),
+      h = Math.max(...canvases.map((c) => c.height));
+    if (w > 1024 || h > 1024) throw new Error(`Frames are ${w}×${h}; sprites are limited to 1024×1024`);
+    const next = canvases.map((c, i) => {
+      const f = createFrame(w, h, { duration: durations[i] });
+      f.layers[0].canvas.getContext("2d").drawImage(c, Math.floor((w - c.width) / 2), h - c.height);
+      return f;
+    });
+    const nextTags = sheetTags.map((t, i) =>
+      createTag(t.name, next[t.from].id, next[t.to].id, { loop: t.loop, color: TAG_COLORS[i % TAG_COLORS.length] })
+    );
+    setSelection(null);
+    setPlayTagId(null);
+    setLayerIndex(0);
+    commitDoc(
+      label,
+      { frames: next, tags: nextTags, spriteW: w, spriteH: h },
+      { bytes: frames.reduce((n, f) => n + frameBytes(f), 0) }
+    );
+  }
+
+  // ------------------------------ Palette (see lib/palette.js) ------------------------------
+  function commitPalette(label, next, mergeKey) {
+    const before = palette;
+    setPalette(next);
+    historyRef.current.push(createStateCommand({ label, before, after: next, apply: setPalette, mergeKey }));
+  }
+
+  function pickSwatch(i) {
+    setSwatchIndex(i);
+    setColor(palette[i]);
+  }
+
+  function addSwatch() {
+    const c = normalizeHex(color);
+    if (palette.includes(c)) return;
+    commitPalette("Add swatch", [...palette, c]);
+    setSwatchIndex(palette.length);
+  }
+
+  function removeSwatch(i) {
+    if (palette.length <= 1) return;
+    commitPalette("Remove swatch", palette.filter((_, j) => j !== i));
+    setSwatchIndex(null);
   }
-  function deleteFrame() {
-    if (frames.length === 1) {
-      // clear instead
-      const ctx = currCanvas.getContext("2d");
-      ctx.clearRect(0, 0, currCanvas.width, currCanvas.height);
-      pushHistory();
-      requestAnimationFrame(draw);
+
+  function setIndexedMode(on) {
+    setIndexed(on);
+    if (on) setColor(nearestColor(normalizeHex(color), palette));
+  }
+
+  // Edit a swatch. In indexed mode every pixel of the old color (all frames/layers) follows it.
+  // Color-picker drags re-apply from the captured originals and settle into one history step.
+  function editSwatch(i, hex) {
+    const prev = palette[i];
+    const next = palette.map((c, j) => (j === i ? hex : c));
+    if (normalizeHex(color) === prev) setColor(hex);
+    if (!indexed) {
+      commitPalette("Edit swatch", next, `swatch:${i}`);
       return;
     }
-    setFrames((f) => {
-      const nf = f.slice();
-      nf.splice(current, 1);
-      return nf;
-    });
-    setCurrent((i) => clamp(i - 1, 0, frames.length - 2));
-  }
-  function moveFrame(dir) {
-    const j = current + dir;
-    if (j < 0 || j >= frames.length) return;
-    setFrames((f) => {
-      const nf = f.slice();
-      const [item] = nf.splice(current, 1);
-      nf.splice(j, 0, item);
-      return nf;
-    });
-    setCurrent(j);
+    let rc = recolorRef.current;
+    if (!rc || rc.index !== i) {
+      commitRecolor();
+      rc = recolorRef.current = { index: i, paletteBefore: palette, layers: [] };
+      for (const f of frames) {
+        for (const l of f.layers) {
+          const before = captureLayer(l.canvas);
+          const indices = pixelsOfColor(before, prev);
+          if (indices.length) rc.layers.push({ frameId: f.id, layerId: l.id, canvas: l.canvas, before, indices });
+        }
+      }
+    }
+    for (const l of rc.layers) l.canvas.getContext("2d").putImageData(recolorPixels(l.before, l.indices, hex), 0, 0);
+    rc.paletteAfter = next;
+    setPalette(next);
+    setRedrawTick((t) => t + 1);
+    clearTimeout(rc.timer);
+    rc.timer = setTimeout(commitRecolor, 500);
   }
 
-  // ------------------------------ Import/Export ------------------------------
-  async function exportPNG() {
-    const blob = await canvasToBlob(currCanvas);
-    downloadBlob(blob, `sprite_frame_${current + 1}.png`);
+  function commitRecolor() {
+    const rc = recolorRef.current;
+    if (!rc) return;
+    recolorRef.current = null;
+    clearTimeout(rc.timer);
+    const redraw = () => setRedrawTick((t) => t + 1);
+    const commands = rc.layers.map(({ frameId, layerId, canvas, before }) =>
+      createPixelCommand({
+        label: "Recolor",
+        frameId,
+        layerId,
+        canvas,
+        before,
+        resolve: resolveLayerCanvas,
+        onApply: redraw,
+      })
+    );
+    commands.push({ undo: () => setPalette(rc.paletteBefore), redo: () => setPalette(rc.paletteAfter) });
+    historyRef.current.push(createCompositeCommand({ label: "Recolor swatch", commands }));
+    markDirty();
   }
 
-  async function exportSpritesheet() {
-    // Horizontal strip spritesheet + JSON
-    const cols = frames.length;
-    const rows = 1;
-    const sheet = createPixelCanvas(spriteW * cols, spriteH * rows);
-    const sctx = sheet.getContext("2d");
-    frames.forEach((c, i) => {
-      sctx.drawImage(c, i * spriteW, 0);
-    });
-    const meta = { frameWidth: spriteW, frameHeight: spriteH, frames: [] };
-    for (let i = 0; i < frames.length; i++)
-      meta.frames.push({ x: i * spriteW, y: 0, w: spriteW, h: spriteH, index: i });
-    const blob = await canvasToBlob(sheet);
-    const json = new Blob([JSON.stringify(meta, null, 2)], { type: "application/json" });
-    downloadBlob(blob, "spritesheet.png");
-    downloadBlob(json, "spritesheet.json");
+  async function importPalette(file) {
+    try {
+      let colors;
+      if (file.type.startsWith("image/")) {
+        const c = await fileToCanvas(file);
+        colors = extractPalette(c.getContext("2d").getImageData(0, 0, c.width, c.height));
+        if (!colors.length) throw new Error("Image has no opaque pixels");
+      } else {
+        colors = parsePalette(file.name, await file.arrayBuffer()).colors;
+      }
+      commitPalette("Load palette", colors);
+      setSwatchIndex(null);
+      if (indexed) setColor(nearestColor(normalizeHex(color), colors));
+    } catch (e) {
+      alert(`Could not load palette: ${e.message}`);
+    }
   }
 
-  function handleImport(file) {
-    const img = new Image();
-    img.onload = () => {
-      const ctx = currCanvas.getContext("2d");
-      // Fit inside sprite bounds, preserving aspect (nearest neighbor)
-      const scale = Math.min(spriteW / img.width, spriteH / img.height);
-      const w = Math.max(1, Math.floor(img.width * scale));
-      const h = Math.max(1, Math.floor(img.height * scale));
-      const x = Math.floor((spriteW - w) / 2);
-      const y = Math.floor((spriteH - h) / 2);
-      ctx.imageSmoothingEnabled = false;
-      ctx.clearRect(0, 0, spriteW, spriteH);
-      ctx.drawImage(img, x, y, w, h);
-      pushHistory();
-      requestAnimationFrame(draw);
-    };
-    img.src = URL.createObjectURL(file);
+  function exportPalette() {
+    downloadBlob(formatPalette(palette, paletteFormat), `palette${PaletteFormats[paletteFormat].ext}`);
   }
 
-  // ------------------------------ Background: apply from description ------------------------------
-  async function applyBackgroundFromDescription(desc, mode = "behind") {
-    if (!desc) return;
-    const bg = backgroundFromText(spriteW, spriteH, desc);
-    const ctx = currCanvas.getContext("2d");
-    pushHistory();
+  // ------------------------------ Background: procedural (see lib/background.js) ------------------------------
+  // Generated layers keep their recipe, so the project can store it instead of the pixels
+  function applyBackground(params, { mode = "behind", layers = false, description = bgDesc } = {}) {
+    if (layers) {
+      // Parallax layers go below the existing ones, sky at the bottom
+      const parts = generateBackground(spriteW, spriteH, params, { layers: true });
+      const added = ParallaxLayers.map((name) =>
+        createLayer(spriteW, spriteH, {
+          name: `BG ${name}`,
+          canvas: parts[name],
+          recipe: backgroundRecipe(params, { description, layer: name }),
+        })
+      );
+      updateCurrentFrame("Background layers", (fr) => ({ ...fr, layers: [...added, ...fr.layers] }));
+      setLayerIndex(activeLayerIdx + added.length);
+      return;
+    }
+    const bg = generateBackground(spriteW, spriteH, params);
     if (mode === "replace") {
-      ctx.clearRect(0, 0, spriteW, spriteH);
-      ctx.drawImage(bg, 0, 0);
+      editPixels("Background", (ctx) => {
+        ctx.clearRect(0, 0, spriteW, spriteH);
+        ctx.drawImage(bg, 0, 0);
+      });
     } else {
-      // behind: keep existing pixels on top
-      const fore = createPixelCanvas(spriteW, spriteH);
-      fore.getContext("2d").drawImage(currCanvas, 0, 0);
-      ctx.clearRect(0, 0, spriteW, spriteH);
-      ctx.drawImage(bg, 0, 0);
-      ctx.drawImage(fore, 0, 0);
+      // behind: add as a separate bottom layer so existing pixels stay editable
+      const recipe = backgroundRecipe(params, { description });
+      const layer = createLayer(spriteW, spriteH, { name: "Background", canvas: bg, recipe });
+      updateCurrentFrame("Background layer", (fr) => ({ ...fr, layers: [layer, ...fr.layers] }));
+      setLayerIndex(activeLayerIdx + 1);
     }
-    requestAnimationFrame(draw);
+  }
+
+  async function applyBackgroundFromDescription(desc, mode = "behind") {
+    if (!desc) return;
+    const params = parseBackgroundDescription(desc);
+    setBgDesc(desc);
+    setBgParams(params);
+    setBgVariants(null);
+    applyBackground(params, { mode, layers: bgLayers, description: desc });
+  }
+  function setBgParam(key, value) {
+    setBgParams((p) => ({ ...p, [key]: value }));
+    if (key !== "seed") setBgVariants(null);
+  }
+  function loadRecipe(recipe) {
+    setBgDesc(recipe.description || "");
+    setBgParams(recipeParams(recipe));
+    setBgVariants(null);
   }
 
   // ------------------------------ Background: AI (GPT) ------------------------------
-  async function applyBackgroundFromAI(desc, fit = "cover") {
+  // Runs as a job; failures stay in the job list with retry / procedural choices instead of a silent fallback
+  async function applyBackgroundFromAI(desc, fit = "cover", { provider = imageProvider, seed = randomSeed() } = {}) {
     if (!desc) return;
-    console.info("[AI BG] start:", desc);
+    let canvas;
     try {
-      // Generate image via API (returns data URL)
-      const dataUrl = await generateImageFromPrompt(desc, { width: 1280, height: 720 });
-      await new Promise((resolve, reject) => {
-        const img = new Image();
-        img.onload = () => {
-          console.info("[AI BG] loaded image, applying", { w: img.width, h: img.height, fit });
-          const ctx = currCanvas.getContext("2d");
-          pushHistory();
-          ctx.clearRect(0, 0, spriteW, spriteH);
-          ctx.imageSmoothingEnabled = false;
-
-          if (fit === "stretch") {
-            ctx.drawImage(img, 0, 0, spriteW, spriteH);
-          } else {
-            // cover (centered), preserving aspect ratio
-            const s = Math.max(spriteW / img.width, spriteH / img.height);
-            const dw = Math.floor(img.width * s);
-            const dh = Math.floor(img.height * s);
-            const dx = Math.floor((spriteW - dw) / 2);
-            const dy = Math.floor((spriteH - dh) / 2);
-            ctx.drawImage(img, dx, dy, dw, dh);
-          }
-
-          requestAnimationFrame(draw);
-          resolve();
-        };
-        img.onerror = () => reject(new Error("Failed to load AI image"));
-        img.crossOrigin = "anonymous";
-        img.src = dataUrl;
-      });
-      console.info("[AI BG] success");
-    } catch (e) {
-      console.warn("[AI BG] error, falling back to procedural:", e?.message || e);
-      // Fallback: default to deterministic background generator
-      const bg = backgroundFromText(spriteW, spriteH, desc);
-      const ctx = currCanvas.getContext("2d");
-      pushHistory();
-      ctx.clearRect(0, 0, spriteW, spriteH);
-      ctx.drawImage(bg, 0, 0);
-      requestAnimationFrame(draw);
-      console.info("[AI BG] fallback applied");
+      canvas = await jobsRef.current.run(
+        `AI background: ${desc}`,
+        async (signal) => {
+          const dataUrl = await generateImageFromPrompt(desc, { width: 1280, height: 720, provider, seed, signal });
+          const img = await loadImage(dataUrl);
+          const c = createPixelCanvas(img.width, img.height);
+          c.getContext("2d").drawImage(img, 0, 0);
+          return c;
+        },
+        { prompt: desc, provider, seed, fit }
+      );
+    } catch {
+      return; // Failed or cancelled: the job row holds the outcome and its choices
     }
+    const entry = { id: makeId("gen"), prompt: desc, provider, seed, fit, canvas, thumb: makeThumbnail(canvas, 48) };
+    setAiHistory((h) => [entry, ...h].slice(0, AI_HISTORY_SIZE));
+    // "cover" and "stretch" carry over as pixelate fit modes
+    openPixelate("AI background", canvas, fit);
   }
+  const providerName = (key) => imageProviderLabels()[key] || key;
 
   // ------------------------------ UI Subcomponents (kept local for now) ------------------------------
   const Icon = {
@@ -622,6 +1850,36 @@ export default function CanvasEditor({ onCharacterExtract }) {
         <path d="M6 11V6a2 2 0 1 1 4 0v3h1V4a2 2 0 1 1 4 0v5h1V6a2 2 0 1 1 4 0v9a6 6 0 1 1-12 0v-4H6z" />
       </svg>
     ),
+    Select: (p) => (
+      <svg viewBox="0 0 24 24" {...p}>
+        <path d="M3 3h4v2H5v2H3V3zm6 0h6v2H9V3zm8 0h4v4h-2V5h-2V3zM3 9h2v6H3V9zm16 0h2v6h-2V9zM3 17h2v2h2v2H3v-4zm16 0h2v4h-4v-2h2v-2zM9 19h6v2H9v-2z" />
+      </svg>
+    ),
+    Line: (p) => (
+      <svg viewBox="0 0 24 24" {...p}>
+        <path d="M4 18.6 18.6 4 20 5.4 5.4 20z" />
+      </svg>
+    ),
+    Polygon: (p) => (
+      <svg viewBox="0 0 24 24" {...p}>
+        <path d="M12 2 22 9.3 18.2 21H5.8L2 9.3 12 2zm0 2.5L4.4 10l2.9 9h9.4l2.9-9L12 4.5z" />
+      </svg>
+    ),
+    Fill: (p) => (
+      <svg viewBox="0 0 24 24" {...p}>
+        <path d="M4 4h16v16H4V4zm2 2v12h12V6H6zm2 2h8v8H8V8z" />
+      </svg>
+    ),
+    Lasso: (p) => (
+      <svg viewBox="0 0 24 24" {...p}>
+        <path d="M12 3c5 0 9 2.7 9 6.5S17 16 12 16c-1 0-2-.1-2.9-.3.2.4.4.8.4 1.3 0 1.9-1.8 3.5-4 4l-.5-2c1.2-.3 2.5-1 2.5-2 0-.4-.3-.8-.8-1.2C4.5 14.6 3 12.2 3 9.5 3 5.7 7 3 12 3zm0 2C8 5 5 7 5 9.5S8 14 12 14s7-2 7-4.5S16 5 12 5z" />
+      </svg>
+    ),
+    Wand: (p) => (
+      <svg viewBox="0 0 24 24" {...p}>
+        <path d="M3 19.6 14.6 8 16 9.4 4.4 21 3 19.6zM15 2l1 2.5L18.5 5 16 6l-1 2.5L14 6l-2.5-1L14 4.5 15 2zm5 6 .7 1.5L22 10l-1.3.5L20 12l-.7-1.5L18 10l1.3-.5L20 8z" />
+      </svg>
+    ),
     Undo: (p) => (
       <svg viewBox="0 0 24 24" {...p}>
         <path d="M7 6v4H3L9 16l6-6H11V6z" />
@@ -637,6 +1895,11 @@ export default function CanvasEditor({ onCharacterExtract }) {
         <path d="M3 3h18v18H3V3zm6 0v18M3 9h18M12 3v18M3 15h18" />
       </svg>
     ),
+    Tile: (p) => (
+      <svg viewBox="0 0 24 24" {...p}>
+        <path d="M3 3h5v5H3V3zm6.5 0h5v5h-5V3zM16 3h5v5h-5V3zM3 9.5h5v5H3v-5zm6.5 0h5v5h-5v-5zm6.5 0h5v5h-5v-5zM3 16h5v5H3v-5zm6.5 0h5v5h-5v-5zM16 16h5v5h-5v-5z" />
+      </svg>
+    ),
     Zoom: (p) => (
       <svg viewBox="0 0 24 24" {...p}>
         <path d="M10 18a8 8 0 1 1 5.3-14l4.7 4.7-1.4 1.4-4.6-4.6A6 6 0 1 0 10 16v2z" />
@@ -707,13 +1970,26 @@ export default function CanvasEditor({ onCharacterExtract }) {
             }}
           />
         </label>
+        <label
+          className="inline-flex items-center gap-2 px-3 py-1.5 rounded-xl border border-neutral-200 bg-white cursor-pointer hover:border-neutral-400"
+          title="Spritesheet, animated GIF, or a JSON atlas picked together with its image"
+        >
+          <Icon.Upload className="w-4 h-4" />
+          <span className="text-sm">Import sheet</span>
+          <input
+            type="file"
+            accept="image/*,.json"
+            multiple
+            className="hidden"
+            onChange={(e) => {
+              const files = [...(e.target.files || [])];
+              if (files.length) importSheet(files);
+              e.target.value = "";
+            }}
+          />
+        </label>
         <button
-          onClick={() => {
-            const ctx = currCanvas.getContext("2d");
-            ctx.clearRect(0, 0, currCanvas.width, currCanvas.height);
-            pushHistory();
-            requestAnimationFrame(draw);
-          }}
+          onClick={() => editPixels("New sprite", (ctx) => ctx.clearRect(0, 0, currCanvas.width, currCanvas.height))}
           className="px-3 py-1.5 rounded-xl border border-neutral-200 bg-white hover:border-neutral-400"
         >
           New Sprite
@@ -735,7 +2011,7 @@ export default function CanvasEditor({ onCharacterExtract }) {
               await applyBackgroundFromAI(desc, "cover");
             }}
             className="px-2 py-1 rounded border bg-gradient-to-r from-purple-600 to-indigo-600 text-white text-sm"
-            title="AI Generate (requires API key)"
+            title="AI Generate (provider and key: see the Background panel and .env)"
           >
             AI Generate
           </button>
@@ -755,6 +2031,13 @@ export default function CanvasEditor({ onCharacterExtract }) {
           >
             <Icon.Redo className="w-4 h-4" />
           </button>
+          <button
+            onClick={pasteFromSystemClipboard}
+            className="px-2 py-1.5 rounded-xl border border-neutral-200 bg-white hover:border-neutral-400 text-sm"
+            title="Paste (Ctrl/Cmd+V)"
+          >
+            Paste
+          </button>
         </div>
       </div>
       <div className="flex items-center gap-3">
@@ -772,6 +2055,27 @@ export default function CanvasEditor({ onCharacterExtract }) {
         >
           <Icon.Grid className="w-4 h-4" />
         </button>
+        <button
+          onClick={() => setWrapPreview((v) => !v)}
+          className={`px-2 py-1.5 rounded-xl border ${
+            wrapPreview ? "bg-black text-white border-black" : "bg-white border-neutral-200 hover:border-neutral-400"
+          }`}
+          title="Wrap preview: show the canvas tiled 3×3 to check seams"
+        >
+          <Icon.Tile className="w-4 h-4" />
+        </button>
+        <select
+          value={symmetry}
+          onChange={(e) => setSymmetry(e.target.value)}
+          className="px-2 py-1.5 rounded-xl border border-neutral-200 bg-white text-sm"
+          title="Mirror drawing (drag the pink axis to move it)"
+        >
+          {Object.entries(SymmetryModes).map(([k, label]) => (
+            <option key={k} value={k}>
+              {k === "none" ? "Mirror: Off" : label}
+            </option>
+          ))}
+        </select>
         <button
           onClick={() => setPlaying((p) => !p)}
           className="px-3 py-1.5 rounded-xl border border-neutral-200 bg-white hover:border-neutral-400"
@@ -793,11 +2097,25 @@ export default function CanvasEditor({ onCharacterExtract }) {
         >
           Spritesheet
         </button>
+        <button
+          onClick={() => exportAnimation("gif")}
+          className="px-3 py-1.5 rounded-xl border border-neutral-200 bg-white hover:border-neutral-400"
+          title="Animated GIF of the playback"
+        >
+          GIF
+        </button>
+        <button
+          onClick={() => exportAnimation("apng")}
+          className="px-3 py-1.5 rounded-xl border border-neutral-200 bg-white hover:border-neutral-400"
+          title="Animated PNG of the playback (full alpha)"
+        >
+          APNG
+        </button>
         {onCharacterExtract && (
           <button
             onClick={handleExtractCharacter}
             className="px-3 py-1.5 rounded-xl bg-blue-600 text-white hover:bg-blue-700 flex items-center gap-2"
-            title="Extract current frame as a game character"
+            title="Extract the frames (or the tag playing in the preview) as a game character: trimmed, with a collider"
           >
             🎮 Extract Character
           </button>
@@ -823,17 +2141,254 @@ export default function CanvasEditor({ onCharacterExtract }) {
       <ToolButton title="Circle (5)" active={tool === Tools.Circle} onClick={() => setTool(Tools.Circle)}>
         <Icon.Circle className="w-5 h-5" />
       </ToolButton>
+      <ToolButton title="Line (6)" active={tool === Tools.Line} onClick={() => setTool(Tools.Line)}>
+        <Icon.Line className="w-5 h-5" />
+      </ToolButton>
+      <ToolButton title="Polygon (7)" active={tool === Tools.Polygon} onClick={() => setTool(Tools.Polygon)}>
+        <Icon.Polygon className="w-5 h-5" />
+      </ToolButton>
+      <ToolButton
+        title={`${shapeFill ? "Filled" : "Outline"} shapes (F)`}
+        active={shapeFill}
+        onClick={() => setShapeFill((v) => !v)}
+      >
+        <Icon.Fill className="w-5 h-5" />
+      </ToolButton>
       <ToolButton title="Eyedropper (I)" active={tool === Tools.Eyedrop} onClick={() => setTool(Tools.Eyedrop)}>
         <Icon.Eyedrop className="w-5 h-5" />
       </ToolButton>
       <ToolButton title="Hand (H) / hold Space" active={tool === Tools.Hand || isSpace} onClick={() => setTool(Tools.Hand)}>
         <Icon.Hand className="w-5 h-5" />
       </ToolButton>
+      <div className="h-px bg-neutral-200 my-1" />
+      <ToolButton title="Rectangle select (M)" active={tool === Tools.Select} onClick={() => setTool(Tools.Select)}>
+        <Icon.Select className="w-5 h-5" />
+      </ToolButton>
+      <ToolButton title="Lasso select (L)" active={tool === Tools.Lasso} onClick={() => setTool(Tools.Lasso)}>
+        <Icon.Lasso className="w-5 h-5" />
+      </ToolButton>
+      <ToolButton title="Magic wand (W)" active={tool === Tools.Wand} onClick={() => setTool(Tools.Wand)}>
+        <Icon.Wand className="w-5 h-5" />
+      </ToolButton>
     </div>
   );
 
   const RightPanel = () => (
-    <div className="w-64 border-l border-neutral-200 bg-white p-3 flex flex-col gap-3">
+    <div className="w-64 border-l border-neutral-200 bg-white p-3 flex flex-col gap-3 overflow-y-auto">
+      {pixelSource && pixelResult && (
+        <section className="space-y-2">
+          <div className="flex items-center justify-between">
+            <h3 className="text-sm font-semibold text-neutral-700">Pixelate</h3>
+            <span className="text-xs text-neutral-400">
+              {pixelSource.canvas.width}×{pixelSource.canvas.height} → {pixelOpts.width}×{pixelOpts.height}
+            </span>
+          </div>
+          <div className="grid grid-cols-2 gap-2 text-xs text-neutral-500">
+            {[
+              ["Before", pixelSource.canvas],
+              ["After", null],
+            ].map(([label, src]) => (
+              <div key={label} className="space-y-1">
+                <canvas
+                  width={112}
+                  height={112}
+                  className="w-full border rounded-lg"
+                  ref={(el) => {
+                    if (!el) return;
+                    const ctx = el.getContext("2d");
+                    let img = src;
+                    if (!img) {
+                      const { image } = pixelResult;
+                      img = createPixelCanvas(image.width, image.height);
+                      img.getContext("2d").putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+                    }
+                    const { dst } = fitRects(img.width, img.height, el.width, el.height, "contain");
+                    ctx.clearRect(0, 0, el.width, el.height);
+                    drawCheckers(ctx, dst.x, dst.y, dst.w, dst.h, 8);
+                    ctx.imageSmoothingEnabled = !!src;
+                    ctx.drawImage(img, dst.x, dst.y, dst.w, dst.h);
+                  }}
+                  style={{ imageRendering: "pixelated" }}
+                />
+                <div className="text-center">{label}</div>
+              </div>
+            ))}
+          </div>
+          <div className="grid grid-cols-2 gap-2 text-sm">
+            <label className="flex items-center gap-2">
+              W
+              <input
+                type="number"
+                className="w-full px-2 py-1 border rounded-lg"
+                value={pixelOpts.width}
+                min={1}
+                max={spriteW}
+                onChange={(e) => setPixelOpt("width", clamp(parseInt(e.target.value || "1"), 1, spriteW))}
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              H
+              <input
+                type="number"
+                className="w-full px-2 py-1 border rounded-lg"
+                value={pixelOpts.height}
+                min={1}
+                max={spriteH}
+                onChange={(e) => setPixelOpt("height", clamp(parseInt(e.target.value || "1"), 1, spriteH))}
+              />
+            </label>
+            <select
+              className="col-span-2 px-2 py-1 border rounded-lg"
+              value={pixelOpts.fit}
+              onChange={(e) => setPixelOpt("fit", e.target.value)}
+            >
+              {Object.entries(FitModes).map(([k, label]) => (
+                <option key={k} value={k}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <select
+              className="px-2 py-1 border rounded-lg"
+              value={pixelOpts.quantize}
+              onChange={(e) => setPixelOpt("quantize", e.target.value)}
+            >
+              {Object.entries(QuantizeModes).map(([k, label]) => (
+                <option key={k} value={k}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <label className="flex items-center gap-2" title="Number of colors">
+              N
+              <input
+                type="number"
+                className="w-full px-2 py-1 border rounded-lg disabled:opacity-40"
+                value={pixelOpts.colors}
+                min={2}
+                max={256}
+                disabled={pixelOpts.quantize === "none" || pixelOpts.quantize === "project"}
+                onChange={(e) => setPixelOpt("colors", clamp(parseInt(e.target.value || "2"), 2, 256))}
+              />
+            </label>
+            <label className="flex items-center gap-2 col-span-2">
+              Dither
+              <select
+                className="w-full px-2 py-1 border rounded-lg disabled:opacity-40"
+                value={pixelOpts.dither}
+                disabled={pixelOpts.quantize === "none"}
+                onChange={(e) => setPixelOpt("dither", e.target.value)}
+              >
+                {Object.entries(DitherModes).map(([k, label]) => (
+                  <option key={k} value={k}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label
+              className="flex items-center gap-2 col-span-2"
+              title="Pixels less opaque than this become transparent"
+            >
+              Alpha
+              <input
+                type="range"
+                min={0}
+                max={255}
+                value={pixelOpts.alphaThreshold}
+                onChange={(e) => setPixelOpt("alphaThreshold", parseInt(e.target.value))}
+              />
+              <span className="w-8 text-right">{pixelOpts.alphaThreshold}</span>
+            </label>
+          </div>
+          <div className="flex gap-2">
+            <button onClick={applyPixelate} className="flex-1 px-2 py-1 rounded-lg bg-black text-white text-sm">
+              Apply to frame
+            </button>
+            <button onClick={() => setPixelSource(null)} className="px-2 py-1 rounded-lg border text-sm">
+              Cancel
+            </button>
+          </div>
+        </section>
+      )}
+      {sheetSource && (
+        <section className="space-y-2">
+          <div className="flex items-center justify-between">
+            <h3 className="text-sm font-semibold text-neutral-700">Slice sheet</h3>
+            <span className="text-xs text-neutral-400">
+              {sheetSource.canvas.width}×{sheetSource.canvas.height}
+            </span>
+          </div>
+          <canvas
+            width={240}
+            height={Math.max(1, Math.round((240 * sheetSource.canvas.height) / sheetSource.canvas.width))}
+            className="w-full border rounded-lg"
+            ref={(el) => {
+              if (!el) return;
+              const ctx = el.getContext("2d");
+              const k = el.width / sheetSource.canvas.width;
+              drawCheckers(ctx, 0, 0, el.width, el.height, 8);
+              ctx.imageSmoothingEnabled = false;
+              ctx.drawImage(sheetSource.canvas, 0, 0, el.width, el.height);
+              ctx.strokeStyle = "rgba(239,68,68,0.9)";
+              sheetCells().forEach((c) => ctx.strokeRect(c.x * k + 0.5, c.y * k + 0.5, c.w * k - 1, c.h * k - 1));
+            }}
+            style={{ imageRendering: "pixelated" }}
+          />
+          <div className="grid grid-cols-2 gap-2 text-sm">
+            <select
+              className="col-span-2 px-2 py-1 border rounded-lg"
+              value={sliceOpts.mode}
+              onChange={(e) => setSliceOpts((o) => ({ ...o, mode: e.target.value }))}
+            >
+              {Object.entries(SliceModes).map(([k, label]) => (
+                <option key={k} value={k}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            {sliceOpts.mode === "grid" &&
+              [
+                ["cellW", "W", 1],
+                ["cellH", "H", 1],
+                ["offsetX", "Off X", 0],
+                ["offsetY", "Off Y", 0],
+                ["spacingX", "Gap X", 0],
+                ["spacingY", "Gap Y", 0],
+              ].map(([key, label, min]) => (
+                <label key={key} className="flex items-center gap-2">
+                  <span className="whitespace-nowrap">{label}</span>
+                  <input
+                    type="number"
+                    className="w-full px-2 py-1 border rounded-lg"
+                    value={sliceOpts[key]}
+                    min={min}
+                    max={1024}
+                    onChange={(e) => {
+                      const v = clamp(parseInt(e.target.value || `${min}`), min, 1024);
+                      setSliceOpts((o) => ({ ...o, [key]: v }));
+                    }}
+                  />
+                </label>
+              ))}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={confirmSlice}
+              disabled={!sheetCells().length}
+              className="flex-1 px-2 py-1 rounded-lg bg-black text-white text-sm disabled:opacity-40"
+            >
+              Import {sheetCells().length} frames
+            </button>
+            <button onClick={() => setSheetSource(null)} className="px-2 py-1 rounded-lg border text-sm">
+              Cancel
+            </button>
+          </div>
+          <p className="text-xs text-neutral-500">
+            Replaces the timeline (undoable). Sprite size is set from the cells.
+          </p>
+        </section>
+      )}
       <section className="space-y-2">
         <h3 className="text-sm font-semibold text-neutral-700">Properties</h3>
         <div className="grid grid-cols-2 gap-2 text-sm">
@@ -845,7 +2400,7 @@ export default function CanvasEditor({ onCharacterExtract }) {
               value={spriteW}
               min={1}
               max={1024}
-              onChange={(e) => setSpriteW(parseInt(e.target.value || "1"))}
+              onChange={(e) => resizeSprite(parseInt(e.target.value || "1"), spriteH)}
             />
           </label>
           <label className="flex items-center gap-2 col-span-1">
@@ -856,7 +2411,7 @@ export default function CanvasEditor({ onCharacterExtract }) {
               value={spriteH}
               min={1}
               max={1024}
-              onChange={(e) => setSpriteH(parseInt(e.target.value || "1"))}
+              onChange={(e) => resizeSprite(spriteW, parseInt(e.target.value || "1"))}
             />
           </label>
           <label className="flex items-center gap-2 col-span-2">
@@ -864,39 +2419,339 @@ export default function CanvasEditor({ onCharacterExtract }) {
             <input type="range" min={1} max={16} value={brush} onChange={(e) => setBrush(parseInt(e.target.value))} />
             <span className="w-6 text-right">{brush}</span>
           </label>
+          <label className="flex items-center gap-2 col-span-2">
+            Tip
+            <select
+              className="w-full px-2 py-1 border rounded-lg"
+              value={brushShape}
+              onChange={(e) => setBrushShape(e.target.value)}
+            >
+              {Object.entries(BrushShapes).map(([k, label]) => (
+                <option key={k} value={k} disabled={k === "custom" && !customBrush}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2 col-span-2">
+            Pattern
+            <select
+              className="w-full px-2 py-1 border rounded-lg"
+              value={pattern}
+              onChange={(e) => setPattern(e.target.value)}
+            >
+              {Object.entries(DitherPatterns).map(([k, p]) => (
+                <option key={k} value={k}>
+                  {p.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2 col-span-2" title="Removes L-shaped corners from 1px strokes">
+            <input type="checkbox" checked={pixelPerfect} onChange={(e) => setPixelPerfect(e.target.checked)} />
+            Pixel-perfect
+          </label>
+        </div>
+      </section>
+      {(tool === Tools.Bucket || tool === Tools.Wand) && (
+        <section className="space-y-2">
+          <h3 className="text-sm font-semibold text-neutral-700">{tool === Tools.Wand ? "Magic wand" : "Fill"}</h3>
+          <div className="grid grid-cols-2 gap-2 text-sm">
+            <label
+              className="flex items-center gap-2 col-span-2"
+              title="Max per-channel difference from the clicked color"
+            >
+              Tolerance
+              <input
+                type="range"
+                min={0}
+                max={255}
+                value={fillTolerance}
+                onChange={(e) => setFillTolerance(parseInt(e.target.value))}
+              />
+              <span className="w-8 text-right">{fillTolerance}</span>
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={fillContiguous} onChange={(e) => setFillContiguous(e.target.checked)} />
+              Contiguous
+            </label>
+            <select
+              className="px-2 py-1 border rounded-lg disabled:opacity-40"
+              value={fillConnectivity}
+              disabled={!fillContiguous}
+              onChange={(e) => setFillConnectivity(parseInt(e.target.value))}
+            >
+              <option value={4}>4-way</option>
+              <option value={8}>8-way</option>
+            </select>
+            {tool === Tools.Bucket && (
+              <>
+                <label className="flex items-center gap-2 col-span-2">
+                  <input type="checkbox" checked={fillAllFrames} onChange={(e) => setFillAllFrames(e.target.checked)} />
+                  All frames
+                </label>
+                <label className="flex items-center gap-2 col-span-2">
+                  Style
+                  <select
+                    className="w-full px-2 py-1 border rounded-lg"
+                    value={fillStyle}
+                    onChange={(e) => setFillStyle(e.target.value)}
+                  >
+                    {Object.entries(FillStyles).map(([k, label]) => (
+                      <option key={k} value={k}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                {fillStyle !== "solid" && (
+                  <label className="flex items-center gap-2 col-span-2">
+                    To
+                    <input
+                      type="color"
+                      value={gradientTo}
+                      onChange={(e) => setGradientTo(e.target.value)}
+                      className="w-8 h-8 rounded overflow-hidden"
+                    />
+                    <span className="font-mono text-xs">{gradientTo}</span>
+                  </label>
+                )}
+              </>
+            )}
+          </div>
+        </section>
+      )}
+      {(selection || floatingRef.current) && (
+        <section className="space-y-2">
+          <h3 className="text-sm font-semibold text-neutral-700">Selection</h3>
+          <div className="grid grid-cols-3 gap-1 text-xs">
+            <button onClick={() => transformSelection((f) => flipFloating(f, "h"))} className="px-1 py-1 rounded border">
+              Flip H
+            </button>
+            <button onClick={() => transformSelection((f) => flipFloating(f, "v"))} className="px-1 py-1 rounded border">
+              Flip V
+            </button>
+            <button onClick={() => transformSelection((f) => rotateFloating(f, 1))} className="px-1 py-1 rounded border">
+              Rotate 90°
+            </button>
+            <button onClick={scaleSelection} className="px-1 py-1 rounded border">
+              Scale…
+            </button>
+            <button onClick={copySelection} className="px-1 py-1 rounded border" title="Copy (Ctrl/Cmd+C)">
+              Copy
+            </button>
+            <button onClick={cutSelection} className="px-1 py-1 rounded border" title="Cut (Ctrl/Cmd+X)">
+              Cut
+            </button>
+            <button onClick={anchorFloating} className="px-1 py-1 rounded border" title="Drop floating pixels (Enter)">
+              Anchor
+            </button>
+            <button
+              onClick={captureBrush}
+              className="px-1 py-1 rounded border"
+              title="Use the selected pixels as a brush"
+            >
+              Brush
+            </button>
+            <button onClick={deselect} className="px-1 py-1 rounded border" title="Deselect (Esc)">
+              Deselect
+            </button>
+          </div>
+        </section>
+      )}
+      <section className="space-y-2">
+        <div className="flex items-center justify-between">
+          <h3 className="text-sm font-semibold text-neutral-700">Layers</h3>
+          <div className="flex items-center gap-1">
+            <button onClick={addLayer} className="px-1.5 py-0.5 rounded border text-xs" title="Add layer">
+              +
+            </button>
+            <button onClick={() => moveLayer(1)} className="px-1.5 py-0.5 rounded border text-xs" title="Move layer up">
+              ↑
+            </button>
+            <button onClick={() => moveLayer(-1)} className="px-1.5 py-0.5 rounded border text-xs" title="Move layer down">
+              ↓
+            </button>
+            <button
+              onClick={deleteLayer}
+              disabled={currFrame.layers.length === 1}
+              className="px-1.5 py-0.5 rounded border text-xs disabled:opacity-40"
+              title="Delete layer"
+            >
+              <Icon.Trash className="w-3 h-3" />
+            </button>
+          </div>
+        </div>
+        <div className="flex flex-col gap-1">
+          {/* Top-most layer first, like most paint programs */}
+          {currFrame.layers
+            .map((l, i) => ({ l, i }))
+            .reverse()
+            .map(({ l, i }) => (
+              <div
+                key={l.id}
+                onClick={() => setLayerIndex(i)}
+                className={`flex items-center gap-1 px-1.5 py-1 rounded-lg border text-sm cursor-pointer ${
+                  i === activeLayerIdx ? "border-black bg-neutral-100" : "border-neutral-200"
+                }`}
+              >
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    updateLayer(i, { visible: !l.visible });
+                  }}
+                  className={`w-5 text-xs ${l.visible ? "" : "opacity-30"}`}
+                  title="Toggle visibility"
+                >
+                  👁
+                </button>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    updateLayer(i, { locked: !l.locked });
+                  }}
+                  className={`w-5 text-xs ${l.locked ? "" : "opacity-30"}`}
+                  title="Toggle lock"
+                >
+                  🔒
+                </button>
+                <span className="flex-1 truncate">{l.name}</span>
+              </div>
+            ))}
+        </div>
+        <div className="grid grid-cols-2 gap-2 text-sm">
+          <label className="flex items-center gap-2 col-span-2">
+            Name
+            <input
+              key={currLayer.id}
+              type="text"
+              className="w-full px-2 py-1 border rounded-lg"
+              defaultValue={currLayer.name}
+              onBlur={(e) => {
+                const name = e.target.value.trim();
+                if (name && name !== currLayer.name) updateLayer(activeLayerIdx, { name });
+              }}
+            />
+          </label>
+          <label className="flex items-center gap-2 col-span-2">
+            Opacity
+            <input
+              type="range"
+              min={0}
+              max={100}
+              value={Math.round(currLayer.opacity * 100)}
+              onChange={(e) => updateLayer(activeLayerIdx, { opacity: parseInt(e.target.value) / 100 })}
+            />
+            <span className="w-8 text-right">{Math.round(currLayer.opacity * 100)}</span>
+          </label>
+          <label className="flex items-center gap-2 col-span-2">
+            Blend
+            <select
+              className="w-full px-2 py-1 border rounded-lg"
+              value={currLayer.blend}
+              onChange={(e) => updateLayer(activeLayerIdx, { blend: e.target.value })}
+            >
+              {Object.keys(BlendModes).map((m) => (
+                <option key={m} value={m}>
+                  {m}
+                </option>
+              ))}
+            </select>
+          </label>
         </div>
       </section>
       <section className="space-y-2">
-        <h3 className="text-sm font-semibold text-neutral-700">Color</h3>
+        <div className="flex items-center justify-between">
+          <h3 className="text-sm font-semibold text-neutral-700">Color</h3>
+          <label
+            className="flex items-center gap-1 text-xs"
+            title="Draw with palette colors only; editing a swatch recolors its pixels"
+          >
+            <input type="checkbox" checked={indexed} onChange={(e) => setIndexedMode(e.target.checked)} />
+            Indexed
+          </label>
+        </div>
         <div className="flex items-center gap-2">
           <input
             type="color"
             value={color}
+            disabled={indexed}
             onChange={(e) => setColor(e.target.value)}
-            className="w-10 h-10 rounded overflow-hidden"
+            className="w-10 h-10 rounded overflow-hidden disabled:opacity-40"
           />
           <input
             type="text"
             value={color}
+            disabled={indexed}
             onChange={(e) => setColor(e.target.value)}
-            className="px-2 py-1 border rounded-lg w-full"
+            className="px-2 py-1 border rounded-lg w-full disabled:opacity-40"
           />
         </div>
         <div className="flex gap-1 flex-wrap">
-          {[
-            "#000000",
-            "#ffffff",
-            "#ef4444",
-            "#f59e0b",
-            "#10b981",
-            "#3b82f6",
-            "#8b5cf6",
-            "#ec4899",
-            "#78350f",
-            "#6b7280",
-          ].map((c) => (
-            <button key={c} onClick={() => setColor(c)} style={{ background: c }} className="w-6 h-6 rounded border" />
+          {/* Keyed by index: imported palettes may repeat colors */}
+          {palette.map((c, i) => (
+            <button
+              key={i}
+              onClick={() => pickSwatch(i)}
+              style={{ background: c }}
+              className={`w-6 h-6 rounded border ${i === swatchIndex ? "ring-2 ring-black ring-offset-1" : ""}`}
+              title={c}
+            />
           ))}
+          {!indexed && (
+            <button onClick={addSwatch} className="w-6 h-6 rounded border text-xs" title="Add current color">
+              +
+            </button>
+          )}
+        </div>
+        {swatchIndex != null && palette[swatchIndex] && (
+          <div className="flex items-center gap-2 text-sm">
+            Swatch
+            <input
+              type="color"
+              value={palette[swatchIndex]}
+              onChange={(e) => editSwatch(swatchIndex, e.target.value)}
+              className="w-8 h-8 rounded overflow-hidden"
+            />
+            <span className="flex-1 font-mono text-xs">{palette[swatchIndex]}</span>
+            <button
+              onClick={() => removeSwatch(swatchIndex)}
+              disabled={palette.length <= 1}
+              className="px-1.5 py-0.5 rounded border text-xs disabled:opacity-40"
+              title="Remove swatch"
+            >
+              <Icon.Trash className="w-3 h-3" />
+            </button>
+          </div>
+        )}
+        <div className="flex items-center gap-2 text-sm">
+          <label className="px-2 py-1 rounded-lg border cursor-pointer" title="GPL, HEX, PAL, ASE or an image">
+            Load
+            <input
+              type="file"
+              accept=".gpl,.hex,.pal,.ase,image/*"
+              className="hidden"
+              onChange={(e) => {
+                const f = e.target.files?.[0];
+                if (f) importPalette(f);
+                e.target.value = "";
+              }}
+            />
+          </label>
+          <select
+            className="flex-1 px-2 py-1 border rounded-lg"
+            value={paletteFormat}
+            onChange={(e) => setPaletteFormat(e.target.value)}
+          >
+            {Object.entries(PaletteFormats).map(([k, f]) => (
+              <option key={k} value={k}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+          <button onClick={exportPalette} className="px-2 py-1 rounded-lg border">
+            Save
+          </button>
         </div>
       </section>
       <section className="space-y-2">
@@ -906,10 +2761,111 @@ export default function CanvasEditor({ onCharacterExtract }) {
           <input type="range" min={1} max={24} value={fps} onChange={(e) => setFps(parseInt(e.target.value))} />
           <span className="w-6 text-right">{fps}</span>
         </label>
+        <label className="flex items-center gap-2 text-sm" title="Empty = follow FPS">
+          Frame {current + 1}
+          <DraftInput
+            type="number"
+            min={1}
+            max={60000}
+            className="w-full px-2 py-1 border rounded-lg"
+            placeholder={`${frameDuration(null, fps)}`}
+            value={String(currFrame.duration ?? "")}
+            onCommit={(v) => setFrameDuration(parseInt(v))}
+          />
+          ms
+        </label>
         <label className="flex items-center gap-2 text-sm">
           <input type="checkbox" checked={onion} onChange={(e) => setOnion(e.target.checked)} />
           Onion skin (prev)
         </label>
+        <label className="flex items-center gap-2 text-sm">
+          Play
+          <select
+            className="w-full px-2 py-1 border rounded-lg"
+            value={playTagId || ""}
+            onChange={(e) => setPlayTagId(e.target.value || null)}
+          >
+            <option value="">All frames</option>
+            {tags.map((t) => (
+              <option key={t.id} value={t.id}>
+                {t.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="flex items-center justify-between">
+          <span className="text-xs font-semibold text-neutral-500">Tags</span>
+          <button onClick={addTag} className="px-1.5 py-0.5 rounded border text-xs" title="Tag the current frame">
+            <Icon.Plus className="w-3 h-3" />
+          </button>
+        </div>
+        {tags.map((t) => (
+          <div
+            key={t.id}
+            className="space-y-1 p-1.5 rounded-lg border text-xs"
+            style={{ borderLeft: `4px solid ${t.color}` }}
+          >
+            <div className="flex items-center gap-1">
+              <DraftInput
+                type="text"
+                className="flex-1 min-w-0 px-1.5 py-0.5 border rounded"
+                value={t.name}
+                onCommit={(v) => {
+                  const name = v.trim();
+                  if (name && name !== t.name) updateTag(t.id, { name });
+                }}
+              />
+              <button
+                onClick={() => playTag(t)}
+                className="px-1.5 py-0.5 rounded border"
+                title="Play this tag"
+              >
+                <Icon.Play className="w-3 h-3" />
+              </button>
+              <button onClick={() => deleteTag(t.id)} className="px-1.5 py-0.5 rounded border" title="Delete tag">
+                <Icon.Trash className="w-3 h-3" />
+              </button>
+            </div>
+            <div className="flex items-center gap-1">
+              <select
+                className="px-1 py-0.5 border rounded"
+                value={t.from}
+                onChange={(e) => updateTag(t.id, { from: e.target.value })}
+                title="First frame"
+              >
+                {frames.map((f, i) => (
+                  <option key={f.id} value={f.id}>
+                    {i + 1}
+                  </option>
+                ))}
+              </select>
+              –
+              <select
+                className="px-1 py-0.5 border rounded"
+                value={t.to}
+                onChange={(e) => updateTag(t.id, { to: e.target.value })}
+                title="Last frame"
+              >
+                {frames.map((f, i) => (
+                  <option key={f.id} value={f.id}>
+                    {i + 1}
+                  </option>
+                ))}
+              </select>
+              <select
+                className="flex-1 min-w-0 px-1 py-0.5 border rounded"
+                value={t.loop}
+                onChange={(e) => updateTag(t.id, { loop: e.target.value })}
+              >
+                {Object.entries(LoopModes).map(([k, label]) => (
+                  <option key={k} value={k}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        ))}
       </section>
       <section className="space-y-2">
         <h3 className="text-sm font-semibold text-neutral-700">Character Attributes</h3>
@@ -926,15 +2882,334 @@ export default function CanvasEditor({ onCharacterExtract }) {
           Punch (X)
         </label>
       </section>
+      <section className="space-y-2">
+        <h3 className="text-sm font-semibold text-neutral-700">Background</h3>
+        <div className="flex gap-2 text-sm">
+          <input
+            key={bgDesc}
+            className="flex-1 min-w-0 px-2 py-1 border rounded-lg"
+            placeholder="e.g. snowy forest at dusk"
+            defaultValue={bgDesc}
+            onKeyDown={(e) => e.stopPropagation()}
+            onBlur={(e) => {
+              const desc = e.target.value.trim();
+              if (desc === bgDesc) return;
+              setBgDesc(desc);
+              setBgVariants(null);
+              if (desc) setBgParams(parseBackgroundDescription(desc));
+            }}
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-2 text-sm">
+          <select
+            className="px-2 py-1 border rounded-lg"
+            value={bgParams.theme}
+            onChange={(e) => setBgParam("theme", e.target.value)}
+          >
+            {Object.entries(BackgroundThemes).map(([k, label]) => (
+              <option key={k} value={k}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <select
+            className="px-2 py-1 border rounded-lg"
+            value={bgParams.time}
+            onChange={(e) => setBgParam("time", e.target.value)}
+          >
+            {Object.entries(TimesOfDay).map(([k, label]) => (
+              <option key={k} value={k}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <label className="flex items-center gap-2 col-span-2" title="How many stars, trees, buildings, clouds...">
+            Density
+            <input
+              type="range"
+              min={0}
+              max={100}
+              value={Math.round(bgParams.density * 100)}
+              onChange={(e) => setBgParam("density", parseInt(e.target.value) / 100)}
+            />
+          </label>
+          <label className="flex items-center gap-2 col-span-2">
+            Seed
+            <input
+              type="number"
+              className="w-full px-2 py-1 border rounded-lg"
+              value={bgParams.seed}
+              min={0}
+              onChange={(e) => setBgParam("seed", Math.max(0, parseInt(e.target.value || "0")) >>> 0)}
+            />
+            <button
+              onClick={() => setBgParam("seed", randomSeed())}
+              className="px-2 py-1 rounded-lg border hover:bg-neutral-50"
+              title="New random seed"
+            >
+              Reroll
+            </button>
+          </label>
+          <label className="flex items-center gap-2 col-span-2" title="Seamless edges, check with wrap preview">
+            Tile
+            <select
+              className="w-full px-2 py-1 border rounded-lg"
+              value={bgParams.tile}
+              onChange={(e) => setBgParam("tile", e.target.value)}
+            >
+              {Object.entries(TileModes).map(([k, label]) => (
+                <option key={k} value={k}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2 col-span-2" title="Sky, far, mid and near as separate layers">
+            <input type="checkbox" checked={bgLayers} onChange={(e) => setBgLayers(e.target.checked)} />
+            Parallax layers
+          </label>
+        </div>
+        {bgParams.palette?.length > 0 && (
+          <div className="flex items-center gap-1 text-xs text-neutral-500">
+            Colors
+            {bgParams.palette.map((c, i) => (
+              <span key={i} className="w-4 h-4 rounded border" style={{ background: c }} title={c} />
+            ))}
+            <button onClick={() => setBgParam("palette", null)} className="ml-auto px-1 rounded border">
+              Clear
+            </button>
+          </div>
+        )}
+        {bgVariants && (
+          <div className="grid grid-cols-3 gap-1">
+            {bgVariants.map((v) => (
+              <canvas
+                key={v.seed}
+                width={v.canvas.width}
+                height={v.canvas.height}
+                className={`w-full border-2 rounded cursor-pointer ${
+                  v.seed === bgParams.seed ? "border-black" : "border-transparent hover:border-neutral-400"
+                }`}
+                ref={(el) => el && el.getContext("2d").drawImage(v.canvas, 0, 0)}
+                onClick={() => setBgParam("seed", v.seed)}
+                title={`Seed ${v.seed}`}
+                style={{ imageRendering: "pixelated" }}
+              />
+            ))}
+          </div>
+        )}
+        <div className="flex gap-2 text-sm">
+          <button
+            onClick={() => setBgVariants(backgroundVariants(spriteW, spriteH, bgParams, 6))}
+            className="flex-1 px-2 py-1 rounded-lg border hover:bg-neutral-50"
+            title="Six versions of these settings with different seeds; click one to pick its seed"
+          >
+            Variants
+          </button>
+          <button
+            onClick={() => applyBackground(bgParams, { layers: bgLayers })}
+            className="flex-1 px-2 py-1 rounded-lg border hover:bg-neutral-50"
+          >
+            Add behind
+          </button>
+        </div>
+        <div className="flex gap-2 text-sm">
+          <select
+            className="flex-1 min-w-0 px-2 py-1 border rounded-lg"
+            value={imageProvider}
+            onChange={(e) => setImageProvider(e.target.value)}
+            title="Image provider used by AI Generate"
+          >
+            {Object.entries(imageProviderLabels()).map(([k, label]) => (
+              <option key={k} value={k}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => applyBackgroundFromAI(bgDesc, "cover")}
+            disabled={!bgDesc}
+            className="px-2 py-1 rounded-lg border hover:bg-neutral-50 disabled:opacity-50"
+            title="Generate the description above with the selected provider"
+          >
+            AI
+          </button>
+        </div>
+        {aiJobs
+          .filter((j) => j.status !== "done" && j.status !== "cancelled")
+          .map((job) => (
+            <JobRow
+              key={job.id}
+              job={job}
+              title={job.meta.prompt}
+              detail={providerName(job.meta.provider)}
+              onCancel={() => jobsRef.current.cancel(job.id)}
+              onRetry={() => {
+                jobsRef.current.dismiss(job.id);
+                applyBackgroundFromAI(job.meta.prompt, job.meta.fit, job.meta);
+              }}
+              onFallback={() => {
+                jobsRef.current.dismiss(job.id);
+                applyBackgroundFromDescription(job.meta.prompt, "behind");
+              }}
+              onDismiss={() => jobsRef.current.dismiss(job.id)}
+            />
+          ))}
+        {aiHistory.length > 0 && (
+          <div className="grid grid-cols-4 gap-1">
+            {aiHistory.map((g) => (
+              <img
+                key={g.id}
+                src={g.thumb}
+                alt={g.prompt}
+                className="w-full border rounded cursor-pointer hover:border-neutral-500"
+                title={`${g.prompt}\n${providerName(g.provider)}, seed ${g.seed}\nClick to apply to this frame`}
+                onClick={() => openPixelate("AI background", g.canvas, g.fit)}
+                style={{ imageRendering: "pixelated" }}
+              />
+            ))}
+          </div>
+        )}
+        {currLayer.recipe && (
+          <div className="flex items-center gap-2 text-xs text-neutral-500">
+            <span className="flex-1 truncate" title={currLayer.recipe.description}>
+              Layer recipe: {BackgroundThemes[currLayer.recipe.params.theme]}, seed {currLayer.recipe.seed}
+              {currLayer.recipe.layer ? ` (${currLayer.recipe.layer})` : ""}, v{currLayer.recipe.version}
+            </span>
+            <button onClick={() => loadRecipe(currLayer.recipe)} className="px-1 rounded border">
+              Load
+            </button>
+          </div>
+        )}
+      </section>
+      <section className="space-y-2">
+        <div className="flex items-center justify-between">
+          <h3 className="text-sm font-semibold text-neutral-700">History</h3>
+          <span className="text-xs text-neutral-400">{(historyView.bytes / (1024 * 1024)).toFixed(1)} MB</span>
+        </div>
+        <div className="max-h-40 overflow-y-auto flex flex-col text-sm border rounded-lg">
+          {["Start", ...historyView.labels].map((label, i) => (
+            <button
+              key={i}
+              onClick={() => jumpHistory(i)}
+              className={`text-left px-2 py-0.5 ${
+                i === historyView.index
+                  ? "bg-black text-white"
+                  : i > historyView.index
+                  ? "text-neutral-400 hover:bg-neutral-100"
+                  : "hover:bg-neutral-100"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </section>
       <section className="space-y-2">
         <h3 className="text-sm font-semibold text-neutral-700">Export</h3>
+        <div className="grid grid-cols-2 gap-2 text-sm">
+          <label className="flex items-center gap-2 col-span-2">
+            Layout
+            <select
+              className="w-full px-2 py-1 border rounded-lg"
+              value={sheetOpts.layout}
+              onChange={(e) => setSheetOpt("layout", e.target.value)}
+            >
+              {Object.entries(SheetLayouts).map(([k, label]) => (
+                <option key={k} value={k}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {sheetOpts.layout === "grid" && (
+            <label className="flex items-center gap-2 col-span-2">
+              Columns
+              <input
+                type="number"
+                className="w-full px-2 py-1 border rounded-lg"
+                value={sheetOpts.columns}
+                min={1}
+                max={64}
+                onChange={(e) => setSheetOpt("columns", clamp(parseInt(e.target.value || "1"), 1, 64))}
+              />
+            </label>
+          )}
+          <label className="flex items-center gap-2" title="Gap between frames">
+            Padding
+            <input
+              type="number"
+              className="w-full px-2 py-1 border rounded-lg"
+              value={sheetOpts.padding}
+              min={0}
+              max={16}
+              onChange={(e) => setSheetOpt("padding", clamp(parseInt(e.target.value || "0"), 0, 16))}
+            />
+          </label>
+          <label className="flex items-center gap-2" title="Repeat edge pixels outward to stop texture bleeding">
+            Extrude
+            <input
+              type="number"
+              className="w-full px-2 py-1 border rounded-lg"
+              value={sheetOpts.extrude}
+              min={0}
+              max={8}
+              onChange={(e) => setSheetOpt("extrude", clamp(parseInt(e.target.value || "0"), 0, 8))}
+            />
+          </label>
+          <label
+            className={`flex items-center gap-2 ${sheetOpts.layout === "atlas" ? "" : "opacity-40"}`}
+            title="Crop transparent borders (packed atlas only)"
+          >
+            <input
+              type="checkbox"
+              checked={sheetOpts.trim}
+              disabled={sheetOpts.layout !== "atlas"}
+              onChange={(e) => setSheetOpt("trim", e.target.checked)}
+            />
+            Trim
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={sheetOpts.pot} onChange={(e) => setSheetOpt("pot", e.target.checked)} />
+            Power of 2
+          </label>
+          <label className="flex items-center gap-2 col-span-2">
+            Data
+            <select
+              className="w-full px-2 py-1 border rounded-lg"
+              value={sheetOpts.format}
+              onChange={(e) => setSheetOpt("format", e.target.value)}
+            >
+              {Object.entries(SheetFormats).map(([k, label]) => (
+                <option key={k} value={k}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2 col-span-2" title="GIF/APNG pixel scale">
+            Animation ×
+            <input
+              type="number"
+              className="w-full px-2 py-1 border rounded-lg"
+              value={animScale}
+              min={1}
+              max={16}
+              onChange={(e) => setAnimScale(clamp(parseInt(e.target.value || "1"), 1, 16))}
+            />
+          </label>
+        </div>
         <p className="text-xs text-neutral-500">
-          PNG exports the current frame. Spritesheet exports a horizontal strip PNG and a JSON map.
+          PNG exports the current frame. Spritesheet exports a sheet PNG and a JSON atlas with frame names, durations
+          and animation tags (Phaser loads it with this.load.atlas). GIF and APNG export the playback: the tag picked
+          under Play (or all frames) with its timing and loop mode. Visible layers are flattened on export.
         </p>
       </section>
     </div>
   );
 
+  const tagSpans = tags.map((tag) => ({ tag, r: tagRange(tag, frames) })).filter(({ r }) => r);
+
   const Timeline = () => (
     <div className="border-t border-neutral-200 bg-white p-2 flex items-center gap-2 overflow-x-auto">
       <button
@@ -987,12 +3262,25 @@ export default function CanvasEditor({ onCharacterExtract }) {
                   ctx.imageSmoothingEnabled = false;
                   ctx.fillStyle = "#fff";
                   ctx.fillRect(0, 0, el.width, el.height);
-                  nearestNeighborDraw(c, el);
+                  nearestNeighborDraw(flattenFrame(c), el);
                 }
               }}
               style={{ imageRendering: "pixelated" }}
             />
             <span className="absolute -top-2 -right-2 text-[10px] bg-black text-white px-1 rounded">{i + 1}</span>
+            {c.duration && (
+              <span className="absolute -bottom-2 -right-2 text-[10px] bg-white border px-1 rounded">
+                {c.duration}ms
+              </span>
+            )}
+            {/* Tag membership: one colored bar per tag covering this frame */}
+            <div className="flex flex-col gap-px mt-0.5">
+              {tagSpans
+                .filter(({ r }) => i >= r.start && i <= r.end)
+                .map(({ tag }) => (
+                  <div key={tag.id} className="h-1 rounded" style={{ background: tag.color }} title={tag.name} />
+                ))}
+            </div>
           </button>
         ))}
       </div>
@@ -1024,6 +3312,7 @@ export default function CanvasEditor({ onCharacterExtract }) {
                 if (nz !== zoom) setZoom(nz);
               }}
               onDoubleClick={() => {
+                if (tool === Tools.Polygon) return; // double-click closes the polygon instead
                 setPan({
                   x: Math.floor((viewSize.w - spriteW * zoom) / 2),
                   y: Math.floor((viewSize.h - spriteH * zoom) / 2),
@@ -1038,4 +3327,6 @@ export default function CanvasEditor({ onCharacterExtract }) {
       <Timeline />
     </div>
   );
-}
+});
+
+export default CanvasEditor;
@@ -0,0 +1,392 @@
+import React, { useEffect, useLayoutEffect, useRef, useState } from "react";
+import { loadImage } from "../../lib/canvas.js";
+import {
+  LevelTools,
+  LEVEL_DEFAULTS,
+  createTarget,
+  defaultPlatforms,
+  hitTest,
+  moveRect,
+  rectFromPoints,
+  rectHandles,
+  resizeRect,
+} from "../../lib/level.js";
+
+// Fallback marker size for characters whose image has not loaded (or failed to)
+const SPAWN_BOX = { w: 32, h: 48 };
+const CURSORS = { nw: "nwse", se: "nwse", ne: "nesw", sw: "nesw", n: "ns", s: "ns", e: "ew", w: "ew" };
+
+// Same default as toScene, so the marker sits where the game will spawn the character
+function spawnOf(c, world) {
+  return c.spawn || { x: 100, y: world.height - 200 };
+}
+
+/**
+ * LevelEditor
+ * - World-sized view of the background where platforms are drawn, moved and resized (snap-to-grid),
+ *   coins are placed and character spawn points are dragged.
+ * - Edits go straight into the studio state toScene reads: `platforms`, `background.targets` and
+ *   `characters[i].spawn`.
+ */
+export default function LevelEditor({
+  world,
+  background,
+  platforms,
+  characters,
+  onPlatformsChange,
+  onBackgroundChange,
+  onCharactersChange,
+}) {
+  const targets = background?.targets || [];
+  const [tool, setTool] = useState("platform");
+  const [grid, setGrid] = useState(LEVEL_DEFAULTS.grid);
+  const [snap, setSnap] = useState(LEVEL_DEFAULTS.snap);
+  const [showGrid, setShowGrid] = useState(true);
+  const [selected, setSelected] = useState(null); // { kind: "platform" | "target" | "spawn", index }
+  const [spawnIndex, setSpawnIndex] = useState(0); // character the Spawn tool places
+  const [draft, setDraft] = useState(null); // platform being drawn
+  const [cursor, setCursor] = useState("crosshair");
+
+  const wrapRef = useRef(null);
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const [view, setView] = useState({ w: 0, h: 0 });
+  const opts = { ...LEVEL_DEFAULTS, grid, snap };
+
+  // ------------------------------ Images ------------------------------
+  const [bgImage, setBgImage] = useState(null);
+  useEffect(() => {
+    let alive = true;
+    setBgImage(null);
+    if (background?.imageUrl) {
+      loadImage(background.imageUrl)
+        .then((img) => alive && setBgImage(img))
+        .catch(() => {});
+    }
+    return () => {
+      alive = false;
+    };
+  }, [background?.imageUrl]);
+
+  const [sprites, setSprites] = useState({}); // imageUrl -> HTMLImageElement
+  const requestedRef = useRef(new Set());
+  useEffect(() => {
+    characters.forEach((c) => {
+      if (!c.imageUrl || requestedRef.current.has(c.imageUrl)) return;
+      requestedRef.current.add(c.imageUrl);
+      loadImage(c.imageUrl)
+        .then((img) => setSprites((m) => ({ ...m, [c.imageUrl]: img })))
+        .catch(() => {});
+    });
+  }, [characters]);
+
+  const spawns = characters.map((c) => {
+    const img = sprites[c.imageUrl];
+    return { ...spawnOf(c, world), ...(img ? { w: img.width, h: img.height } : SPAWN_BOX) };
+  });
+
+  // ------------------------------ View ------------------------------
+  useLayoutEffect(() => {
+    const el = wrapRef.current;
+    const ro = new ResizeObserver(() => setView({ w: el.clientWidth, h: el.clientHeight }));
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, []);
+
+  // World fitted into the view with a margin
+  const scale = Math.max(0.05, Math.min((view.w - 32) / world.width, (view.h - 32) / world.height));
+  const ox = Math.round((view.w - world.width * scale) / 2);
+  const oy = Math.round((view.h - world.height * scale) / 2);
+
+  function toWorld(e) {
+    const r = canvasRef.current.getBoundingClientRect();
+    return { x: (e.clientX - r.left - ox) / scale, y: (e.clientY - r.top - oy) / scale };
+  }
+
+  useEffect(() => {
+    const c = canvasRef.current;
+    if (!c || !view.w) return;
+    c.width = view.w;
+    c.height = view.h;
+    const ctx = c.getContext("2d");
+    ctx.clearRect(0, 0, c.width, c.height);
+    ctx.save();
+    ctx.translate(ox, oy);
+    ctx.scale(scale, scale);
+
+    // World and background (same fit as the game)
+    ctx.fillStyle = "#1e2433";
+    ctx.fillRect(0, 0, world.width, world.height);
+    if (bgImage) {
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(0, 0, world.width, world.height);
+      ctx.clip();
+      if (background?.fit === "stretch") ctx.drawImage(bgImage, 0, 0, world.width, world.height);
+      else {
+        const s = Math.max(world.width / bgImage.width, world.height / bgImage.height);
+        ctx.drawImage(bgImage, 0, 0, bgImage.width * s, bgImage.height * s);
+      }
+      ctx.restore();
+    }
+
+    if (showGrid && grid * scale >= 4) {
+      ctx.strokeStyle = "rgba(255,255,255,0.12)";
+      ctx.lineWidth = 1 / scale;
+      ctx.beginPath();
+      for (let x = grid; x < world.width; x += grid) {
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, world.height);
+      }
+      for (let y = grid; y < world.height; y += grid) {
+        ctx.moveTo(0, y);
+        ctx.lineTo(world.width, y);
+      }
+      ctx.stroke();
+    }
+
+    ctx.lineWidth = 2 / scale;
+    [...platforms, ...(draft ? [draft] : [])].forEach((p) => {
+      ctx.fillStyle = "rgba(120, 85, 60, 0.75)";
+      ctx.fillRect(p.x, p.y, p.w, p.h);
+      ctx.strokeStyle = "#e7c9a9";
+      ctx.strokeRect(p.x, p.y, p.w, p.h);
+    });
+    targets.forEach((t) => {
+      ctx.fillStyle = "rgba(255, 213, 79, 0.9)";
+      ctx.beginPath();
+      ctx.ellipse(t.x + t.w / 2, t.y + t.h / 2, t.w / 2, t.h / 2, 0, 0, Math.PI * 2);
+      ctx.fill();
+    });
+    characters.forEach((c, i) => {
+      const s = spawns[i];
+      const img = sprites[c.imageUrl];
+      ctx.imageSmoothingEnabled = false;
+      if (img) ctx.drawImage(img, s.x - s.w / 2, s.y - s.h / 2);
+      ctx.strokeStyle = i === 0 ? "#4fc3f7" : "#a5d6a7";
+      ctx.setLineDash([4 / scale, 3 / scale]);
+      ctx.strokeRect(s.x - s.w / 2, s.y - s.h / 2, s.w, s.h);
+      ctx.setLineDash([]);
+      ctx.fillStyle = ctx.strokeStyle;
+      ctx.font = `${12 / scale}px system-ui`;
+      ctx.fillText(c.name || `#${i + 1}`, s.x - s.w / 2, s.y - s.h / 2 - 4 / scale);
+    });
+
+    // Selection outline and handles
+    const sel = selected && { platform: platforms, target: targets }[selected.kind]?.[selected.index];
+    const spawnSel = selected?.kind === "spawn" && spawns[selected.index];
+    if (sel || spawnSel) {
+      const s = spawnSel;
+      const r = sel || { x: s.x - s.w / 2, y: s.y - s.h / 2, w: s.w, h: s.h };
+      ctx.strokeStyle = "#ffffff";
+      ctx.strokeRect(r.x, r.y, r.w, r.h);
+      if (sel) {
+        const hs = LEVEL_DEFAULTS.handleSize / scale;
+        ctx.fillStyle = "#ffffff";
+        rectHandles(sel).forEach(([, hx, hy]) => ctx.fillRect(hx - hs / 2, hy - hs / 2, hs, hs));
+      }
+    }
+    ctx.restore();
+
+    // World border
+    ctx.strokeStyle = "#9ca3af";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(ox - 0.5, oy - 0.5, world.width * scale + 1, world.height * scale + 1);
+  });
+
+  // ------------------------------ Edits ------------------------------
+  function setTargets(next) {
+    onBackgroundChange({ ...(background || {}), targets: next });
+  }
+  function setSpawn(i, spawn) {
+    onCharactersChange(characters.map((c, j) => (j === i ? { ...c, spawn } : c)));
+  }
+  function deleteSelected() {
+    if (selected?.kind === "platform") onPlatformsChange(platforms.filter((_, i) => i !== selected.index));
+    else if (selected?.kind === "target") setTargets(targets.filter((_, i) => i !== selected.index));
+    else return;
+    setSelected(null);
+  }
+
+  function snapPoint({ x, y }) {
+    const s = (v, max) => Math.max(0, Math.min(max, snap ? Math.round(v / grid) * grid : Math.round(v)));
+    return { x: s(x, world.width), y: s(y, world.height) };
+  }
+
+  function onPointerDown(e) {
+    if (e.button !== 0) return;
+    const p = toWorld(e);
+    e.currentTarget.setPointerCapture(e.pointerId);
+    if (tool === "platform") {
+      dragRef.current = { mode: "draw", start: p };
+      setDraft(rectFromPoints(p.x, p.y, p.x, p.y, world, opts));
+      return;
+    }
+    if (tool === "target") {
+      const next = [...targets, createTarget(p.x, p.y, world, opts)];
+      setTargets(next);
+      setSelected({ kind: "target", index: next.length - 1 });
+      return;
+    }
+    if (tool === "spawn") {
+      if (!characters[spawnIndex]) return;
+      setSpawn(spawnIndex, snapPoint(p));
+      setSelected({ kind: "spawn", index: spawnIndex });
+      dragRef.current = { mode: "spawn", index: spawnIndex, start: p, orig: snapPoint(p) };
+      return;
+    }
+    const hit = hitTest({ platforms, targets, spawns, selected }, p.x, p.y, LEVEL_DEFAULTS.handleSize / scale);
+    if (!hit) {
+      setSelected(null);
+      return;
+    }
+    if (hit.kind === "handle") {
+      const orig = { platform: platforms, target: targets }[hit.of][hit.index];
+      dragRef.current = { mode: "resize", kind: hit.of, index: hit.index, handle: hit.handle, start: p, orig };
+      return;
+    }
+    setSelected({ kind: hit.kind, index: hit.index });
+    if (hit.kind === "spawn") {
+      dragRef.current = { mode: "spawn", index: hit.index, start: p, orig: spawnOf(characters[hit.index], world) };
+    } else {
+      const orig = (hit.kind === "platform" ? platforms : targets)[hit.index];
+      dragRef.current = { mode: "move", kind: hit.kind, index: hit.index, start: p, orig };
+    }
+  }
+
+  function onPointerMove(e) {
+    const p = toWorld(e);
+    const d = dragRef.current;
+    if (!d) {
+      if (tool !== "select") return setCursor("crosshair");
+      const hit = hitTest({ platforms, targets, spawns, selected }, p.x, p.y, LEVEL_DEFAULTS.handleSize / scale);
+      setCursor(hit?.kind === "handle" ? `${CURSORS[hit.handle]}-resize` : hit ? "move" : "default");
+      return;
+    }
+    const dx = p.x - d.start.x,
+      dy = p.y - d.start.y;
+    if (d.mode === "draw") return setDraft(rectFromPoints(d.start.x, d.start.y, p.x, p.y, world, opts));
+    if (d.mode === "spawn") return setSpawn(d.index, snapPoint({ x: d.orig.x + dx, y: d.orig.y + dy }));
+    const next =
+      d.mode === "resize" ? resizeRect(d.orig, d.handle, dx, dy, world, opts) : moveRect(d.orig, dx, dy, world, opts);
+    if (d.kind === "platform") onPlatformsChange(platforms.map((r, i) => (i === d.index ? next : r)));
+    else setTargets(targets.map((r, i) => (i === d.index ? next : r)));
+  }
+
+  function onPointerUp() {
+    const d = dragRef.current;
+    dragRef.current = null;
+    if (d?.mode !== "draw") return;
+    // A click without a drag does not leave a minimum-size platform behind
+    if (draft && (draft.w > opts.minSize || draft.h > opts.minSize)) {
+      onPlatformsChange([...platforms, draft]);
+      setSelected({ kind: "platform", index: platforms.length });
+    }
+    setDraft(null);
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "Delete" || e.key === "Backspace") {
+      deleteSelected();
+      e.preventDefault();
+    }
+    if (e.key === "Escape") setSelected(null);
+  }
+
+  const selectedRect = selected && { platform: platforms, target: targets }[selected.kind]?.[selected.index];
+
+  return (
+    <div className="h-full flex flex-col">
+      <div className="flex flex-wrap items-center gap-2 px-3 py-2 border-b border-neutral-200 bg-white text-sm">
+        {Object.entries(LevelTools).map(([k, label]) => (
+          <button
+            key={k}
+            onClick={() => setTool(k)}
+            className={`px-2 py-1 rounded-lg border ${tool === k ? "bg-neutral-800 text-white" : "hover:bg-neutral-50"}`}
+          >
+            {label}
+          </button>
+        ))}
+        {tool === "spawn" && (
+          <select
+            className="px-2 py-1 border rounded-lg"
+            value={spawnIndex}
+            onChange={(e) => setSpawnIndex(parseInt(e.target.value))}
+            disabled={!characters.length}
+          >
+            {characters.length ? (
+              characters.map((c, i) => (
+                <option key={c.id || i} value={i}>
+                  {c.name || `Character ${i + 1}`}
+                </option>
+              ))
+            ) : (
+              <option>No characters yet</option>
+            )}
+          </select>
+        )}
+        <div className="w-px h-5 bg-neutral-200" />
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={snap} onChange={(e) => setSnap(e.target.checked)} />
+          Snap
+        </label>
+        <label className="flex items-center gap-1" title="Grid size in world pixels">
+          <input
+            type="range"
+            min={4}
+            max={64}
+            step={4}
+            value={grid}
+            onChange={(e) => setGrid(parseInt(e.target.value))}
+          />
+          <span className="w-8 text-xs text-neutral-500">{grid}px</span>
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={showGrid} onChange={(e) => setShowGrid(e.target.checked)} />
+          Grid
+        </label>
+        <div className="flex-1" />
+        {selectedRect && (
+          <span className="text-xs text-neutral-500">
+            {selectedRect.x}, {selectedRect.y} · {selectedRect.w}×{selectedRect.h}
+          </span>
+        )}
+        <button
+          onClick={deleteSelected}
+          disabled={!selectedRect}
+          className="px-2 py-1 rounded-lg border hover:bg-red-50 text-red-600 disabled:opacity-40"
+        >
+          Delete
+        </button>
+        {platforms.length === 0 && (
+          <button
+            onClick={() => onPlatformsChange(defaultPlatforms(world))}
+            className="px-2 py-1 rounded-lg border hover:bg-neutral-50"
+            title="Add a ground and one ledge"
+          >
+            Starter layout
+          </button>
+        )}
+        <span className="text-xs text-neutral-400">
+          {platforms.length} platforms · {targets.length} coins
+        </span>
+      </div>
+      <div ref={wrapRef} className="relative flex-1 bg-neutral-100 overflow-hidden">
+        <canvas
+          ref={canvasRef}
+          tabIndex={0}
+          className="absolute inset-0 outline-none"
+          style={{ cursor }}
+          onPointerDown={(e) => {
+            e.currentTarget.focus();
+            onPointerDown(e);
+          }}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          onPointerCancel={onPointerUp}
+          onKeyDown={onKeyDown}
+        />
+      </div>
+    </div>
+  );
+}
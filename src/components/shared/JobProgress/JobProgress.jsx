@@ -0,0 +1,32 @@
+import React, { useEffect, useState } from "react";
+import { JobStatus } from "../../../lib/jobs.js";
+
+/**
+ * JobProgress
+ * - Status line + bar for a running job (see lib/jobs.js): elapsed time against the per-attempt timeout,
+ *   or the countdown to the next retry.
+ * - Ticks on its own so the parent does not re-render every second.
+ */
+export default function JobProgress({ job }) {
+  const [now, setNow] = useState(Date.now);
+  useEffect(() => {
+    const t = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(t);
+  }, []);
+  const waiting = job.status === "waiting";
+  const elapsed = now - job.attemptStartedAt;
+  const frac = waiting ? 1 : Math.min(1, elapsed / job.timeoutMs);
+  const tries = job.maxAttempts > 1 && job.attempt > 1 ? ` (try ${job.attempt}/${job.maxAttempts})` : "";
+  return (
+    <div className="space-y-1">
+      <div className="text-neutral-500">
+        {waiting
+          ? `${job.error} – retrying in ${Math.max(0, Math.ceil((job.retryAt - now) / 1000))} s`
+          : `${JobStatus.running}${tries}, ${Math.floor(elapsed / 1000)} s`}
+      </div>
+      <div className="h-1 rounded bg-neutral-200 overflow-hidden" title="Time used of the per-attempt timeout">
+        <div className={`h-full ${waiting ? "bg-amber-400" : "bg-indigo-500"}`} style={{ width: `${frac * 100}%` }} />
+      </div>
+    </div>
+  );
+}
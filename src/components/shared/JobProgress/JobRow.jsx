@@ -0,0 +1,62 @@
+import React from "react";
+import JobProgress from "./JobProgress.jsx";
+
+/**
+ * JobRow
+ * - One job of lib/jobs.js in a list: title (+ optional `detail` on the right), then either the progress
+ *   with Cancel, or for a failed job its error with Retry / fallback / Dismiss.
+ * - The actions come from the caller; `fallbackLabel` / `fallbackTitle` name the fallback button.
+ */
+export default function JobRow({
+  job,
+  title,
+  detail,
+  onCancel,
+  onRetry,
+  onFallback,
+  onDismiss,
+  fallbackLabel = "Procedural",
+  fallbackTitle = "Use the offline procedural generator instead",
+}) {
+  return (
+    <div className="p-2 rounded-lg border text-xs space-y-1">
+      <div className="flex items-center gap-2">
+        <span className="flex-1 truncate font-medium" title={title}>
+          {title}
+        </span>
+        {detail && <span className="text-neutral-500">{detail}</span>}
+      </div>
+      {job.status === "failed" ? (
+        <>
+          <div className="text-red-600 break-words">{job.error}</div>
+          <div className="flex gap-1">
+            <button onClick={onRetry} className="px-2 py-0.5 rounded border hover:bg-neutral-50">
+              Retry
+            </button>
+            {onFallback && (
+              <button
+                onClick={onFallback}
+                className="px-2 py-0.5 rounded border hover:bg-neutral-50"
+                title={fallbackTitle}
+              >
+                {fallbackLabel}
+              </button>
+            )}
+            <button onClick={onDismiss} className="ml-auto px-2 py-0.5 rounded border hover:bg-neutral-50">
+              Dismiss
+            </button>
+          </div>
+        </>
+      ) : (
+        <div className="flex items-end gap-2">
+          <div className="flex-1">
+            <JobProgress job={job} />
+          </div>
+          <button onClick={onCancel} className="px-2 py-0.5 rounded border hover:bg-neutral-50">
+            Cancel
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
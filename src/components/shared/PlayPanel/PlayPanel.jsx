@@ -0,0 +1,146 @@
+import React, { useEffect, useRef, useState } from "react";
+
+// Keys the game uses that would otherwise scroll the host page
+const SCROLL_KEYS = new Set(["ArrowLeft", "ArrowRight", "ArrowUp", "ArrowDown", " ", "Spacebar"]);
+
+// Why a loaded bundle may show placeholders instead of its sprites
+const CORS_HINT =
+  "The sandboxed game loads its assets cross-origin: export with Inline assets, " +
+  "or serve the bundle with Access-Control-Allow-Origin: *";
+
+function isTextField(el) {
+  return el?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el?.tagName);
+}
+
+/**
+ * PlayPanel
+ * - Runs a generated game bundle (see lib/gameBundle.js) in a sandboxed iframe: scripts only, opaque origin.
+ * - `src` is a blob: URL of a single-file build; another URL can be loaded from the toolbar. The sandbox
+ *   origin is opaque, so even same-server assets are cross-origin: an unzipped non-inline export must be
+ *   served with `Access-Control-Allow-Origin: *` (e.g. `npx http-server --cors`), or its sprites fall back
+ *   to placeholders. Exports built with "Inline assets" load from any static server.
+ * - Reset posts { type: 'reset' } to the game. The iframe is focused on load, arrows/space never scroll
+ *   the page while playing, and a "click to focus" hint shows whenever keys land on the host instead.
+ */
+export default function PlayPanel({ src, onExit }) {
+  const iframeRef = useRef(null);
+  const [url, setUrl] = useState(src || "");
+  const [draftUrl, setDraftUrl] = useState("");
+  const [focused, setFocused] = useState(false);
+
+  useEffect(() => {
+    setUrl(src || "");
+  }, [src]);
+
+  function focusGame() {
+    const frame = iframeRef.current;
+    if (!frame) return;
+    frame.focus();
+    frame.contentWindow?.focus();
+  }
+
+  function reset() {
+    // Opaque-origin sandbox: "*" is the only target origin that matches
+    iframeRef.current?.contentWindow?.postMessage({ type: "reset" }, "*");
+    focusGame();
+  }
+
+  function loadUrl() {
+    const next = draftUrl.trim();
+    if (!next) return;
+    try {
+      const parsed = new URL(next, window.location.href);
+      if (!["http:", "https:", "blob:"].includes(parsed.protocol)) throw new Error("Use an http(s) or blob: URL");
+      setUrl(parsed.href);
+    } catch (e) {
+      alert(`Could not load the game: ${e.message}`);
+    }
+  }
+
+  useEffect(() => {
+    // The host window blurs when focus moves into the iframe, and regains it when the user clicks elsewhere
+    const syncFocus = () => setTimeout(() => setFocused(document.activeElement === iframeRef.current), 0);
+    const onKeyDown = (e) => {
+      if (isTextField(e.target)) return;
+      if (SCROLL_KEYS.has(e.key)) {
+        e.preventDefault();
+        setFocused(false); // the key reached the page, not the game
+      }
+    };
+    window.addEventListener("blur", syncFocus);
+    window.addEventListener("focus", syncFocus);
+    window.addEventListener("keydown", onKeyDown, { capture: true });
+    return () => {
+      window.removeEventListener("blur", syncFocus);
+      window.removeEventListener("focus", syncFocus);
+      window.removeEventListener("keydown", onKeyDown, { capture: true });
+    };
+  }, []);
+
+  return (
+    <div className="h-full flex flex-col bg-neutral-900">
+      <div className="flex items-center gap-2 px-3 py-2 border-b border-neutral-700 bg-neutral-800 text-sm">
+        <button
+          onClick={reset}
+          disabled={!url}
+          className="px-2 py-1 rounded border border-neutral-600 text-neutral-100 hover:bg-neutral-700 disabled:opacity-40"
+          title="Restart the level"
+        >
+          Reset
+        </button>
+        <input
+          type="text"
+          value={draftUrl}
+          onChange={(e) => setDraftUrl(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && loadUrl()}
+          placeholder="Bundle URL (inline build, or a server sending CORS headers)"
+          title={CORS_HINT}
+          className="flex-1 min-w-0 px-2 py-1 rounded border border-neutral-600 bg-neutral-900 text-neutral-100 text-xs"
+        />
+        <button
+          onClick={loadUrl}
+          className="px-2 py-1 rounded border border-neutral-600 text-neutral-100 hover:bg-neutral-700"
+        >
+          Load
+        </button>
+        {onExit && (
+          <button
+            onClick={onExit}
+            className="px-2 py-1 rounded border border-neutral-600 text-neutral-100 hover:bg-neutral-700"
+          >
+            Back to editor
+          </button>
+        )}
+      </div>
+
+      <div className="relative flex-1">
+        {url ? (
+          <iframe
+            ref={iframeRef}
+            key={url}
+            src={url}
+            title="Game"
+            sandbox="allow-scripts"
+            className="absolute inset-0 w-full h-full border-0"
+            onLoad={() => {
+              focusGame();
+              setFocused(document.activeElement === iframeRef.current);
+            }}
+          />
+        ) : (
+          <div className="absolute inset-0 flex items-center justify-center text-sm text-neutral-400">
+            No game loaded yet.
+          </div>
+        )}
+        {url && !focused && (
+          <button
+            onClick={focusGame}
+            className="absolute top-3 left-1/2 -translate-x-1/2 px-3 py-1 rounded bg-amber-100 text-amber-900 text-xs shadow"
+          >
+            Keys are not reaching the game — click here (or on the game) to focus it
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,468 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { CONSTRAINTS, toScene, validateScene } from "../../../lib/scene.js";
+import { clamp, createPixelCanvas, fileToCanvas, loadImage } from "../../../lib/canvas.js";
+import { BackgroundThemes, backgroundFromText, generateBackground, randomSeed } from "../../../lib/background.js";
+import { generateImageFromPrompt } from "../../../lib/gptImage.js";
+import JobRow from "../JobProgress/JobRow.jsx";
+
+// Smallest world the generated game accepts (see validateScene)
+const WORLD_MIN = 64;
+const BACKGROUND_FITS = { cover: "Cover", stretch: "Stretch" };
+// Backgrounds are stored as JPEG: a fraction of the PNG size, well under CONSTRAINTS.bgMaxMB
+const BACKGROUND_QUALITY = 0.9;
+
+// Draw any image source at the world size (keeping its aspect for "cover") and encode it
+function toBackgroundUrl(source, world) {
+  const k = Math.min(1, Math.max(world.width / source.width, world.height / source.height));
+  const c = createPixelCanvas(Math.round(source.width * k), Math.round(source.height * k));
+  const ctx = c.getContext("2d");
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(source, 0, 0, c.width, c.height);
+  return c.toDataURL("image/jpeg", BACKGROUND_QUALITY);
+}
+
+/** Number input that clamps and commits on blur / Enter, so typing a partial value is never rejected. */
+function NumberField({ value, min, max, onCommit, className = "" }) {
+  const [draft, setDraft] = useState(String(value));
+  useEffect(() => setDraft(String(value)), [value]);
+  function commit() {
+    const n = parseInt(draft, 10);
+    const next = Number.isFinite(n) ? clamp(n, min, max) : value;
+    setDraft(String(next));
+    if (next !== value) onCommit(next);
+  }
+  return (
+    <input
+      type="number"
+      min={min}
+      max={max}
+      value={draft}
+      className={`w-full px-2 py-1 border rounded-lg ${className}`}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        e.stopPropagation();
+        if (e.key === "Enter") commit();
+      }}
+    />
+  );
+}
+
+/**
+ * RightSidebar
+ * - Edit: character list (rename, reorder, delete, jump back to / re-extract from the source frames),
+ *   world size / gravity clamped by CONSTRAINTS,
+ *   and the game background (procedural preset, upload, or generated from a prompt as a job of `jobManager`,
+ *   see lib/jobs.js; failed jobs offer Retry / Procedural / Dismiss).
+ * - Play: generate the game from the current scene, play / stop it, and the guardrail errors that block it.
+ * Studio state lives in SpriteStudio; every change goes back through the on*Change callbacks.
+ */
+export default function RightSidebar({
+  world,
+  characters,
+  platforms,
+  background,
+  onCharactersChange,
+  onCharacterEdit,
+  onCharacterReextract,
+  onBackgroundChange,
+  onWorldChange,
+  jobs = [],
+  jobManager,
+  game = { status: "idle" },
+  playing = false,
+  onGenerate,
+  onPlayToggle,
+}) {
+  const [tab, setTab] = useState("edit");
+
+  // ------------------------------ Characters ------------------------------
+  function updateCharacter(i, patch) {
+    onCharactersChange(characters.map((c, j) => (j === i ? { ...c, ...patch } : c)));
+  }
+  function moveCharacter(i, dir) {
+    const j = i + dir;
+    if (j < 0 || j >= characters.length) return;
+    const next = characters.slice();
+    [next[i], next[j]] = [next[j], next[i]];
+    onCharactersChange(next);
+  }
+  function removeCharacter(i) {
+    if (!confirm(`Delete ${characters[i].name || "this character"}?`)) return;
+    onCharactersChange(characters.filter((_, j) => j !== i));
+  }
+
+  // ------------------------------ World ------------------------------
+  function setWorldField(key, value) {
+    onWorldChange({ ...world, [key]: value });
+  }
+
+  // ------------------------------ Background ------------------------------
+  const [bgPrompt, setBgPrompt] = useState(background?.prompt || "");
+  // Follow the background when it is replaced (project opened, snapshot restored, preset picked)
+  useEffect(() => setBgPrompt(background?.prompt || ""), [background?.prompt]);
+
+  function setBackgroundImage(imageUrl, props = {}) {
+    // Keep targets and fit; drop the previous source details. Updater form: a generation job
+    // can finish after the level (targets) changed.
+    onBackgroundChange((bg) => {
+      const { targets, fit = "cover" } = bg || {};
+      return { ...(targets && { targets }), fit, imageUrl, ...props };
+    });
+  }
+
+  // Small previews of every procedural theme; computed once
+  const presetThumbs = useMemo(
+    () =>
+      Object.keys(BackgroundThemes).map((theme) => ({
+        theme,
+        url: generateBackground(96, 54, { theme }).toDataURL("image/png"),
+      })),
+    []
+  );
+
+  function pickPreset(theme) {
+    const canvas = generateBackground(world.width, world.height, { theme });
+    setBackgroundImage(toBackgroundUrl(canvas, world), { source: "preset", theme });
+  }
+
+  async function uploadBackground(file) {
+    try {
+      setBackgroundImage(toBackgroundUrl(await fileToCanvas(file), world), { source: "upload", name: file.name });
+    } catch (e) {
+      alert(`Could not load the background: ${e.message}`);
+    }
+  }
+
+  // AI image as a job (cancel, timeout, retry); a failure stays in the job list until the user picks what to do
+  async function generateBackgroundFromPrompt(prompt = bgPrompt.trim(), { seed = randomSeed() } = {}) {
+    if (!prompt || !jobManager) return;
+    let url;
+    try {
+      url = await jobManager.run(
+        `Background: ${prompt}`,
+        async (signal) => {
+          const img = await loadImage(await generateImageFromPrompt(prompt, { ...world, seed, signal }));
+          return toBackgroundUrl(img, world);
+        },
+        { prompt, seed }
+      );
+    } catch {
+      return; // Failed or cancelled: see the job row
+    }
+    setBackgroundImage(url, { source: "generated", prompt });
+  }
+
+  function proceduralBackground(prompt) {
+    const canvas = backgroundFromText(world.width, world.height, prompt);
+    setBackgroundImage(toBackgroundUrl(canvas, world), { source: "procedural", prompt });
+  }
+
+  // ------------------------------ Play ------------------------------
+  const issues = useMemo(
+    () => validateScene(toScene({ characters, platforms, background, world })),
+    [characters, platforms, background, world]
+  );
+
+  const tabButton = (key, label) => (
+    <button
+      key={key}
+      onClick={() => setTab(key)}
+      className={`flex-1 px-3 py-2 text-sm ${
+        tab === key ? "border-b-2 border-neutral-800 font-semibold text-neutral-800" : "text-neutral-500"
+      }`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="w-72 border-l border-neutral-200 bg-white flex flex-col">
+      <div className="flex border-b border-neutral-200">
+        {tabButton("edit", "Edit")}
+        {tabButton("play", "Play")}
+      </div>
+
+      {tab === "edit" && (
+        <div className="flex-1 p-3 flex flex-col gap-4 overflow-y-auto">
+          <section className="space-y-2">
+            <div className="flex items-center justify-between">
+              <h3 className="text-sm font-semibold text-neutral-700">Characters</h3>
+              <span className="text-xs text-neutral-400">
+                {characters.length}/{CONSTRAINTS.maxCharacters}
+              </span>
+            </div>
+            {characters.length === 0 && (
+              <div className="text-xs text-neutral-500">
+                Draw a sprite, then use Extract Character in the toolbar. The first character is the player.
+              </div>
+            )}
+            {characters.map((c, i) => (
+              <div key={c.id || i} className="flex items-center gap-2 text-sm">
+                <div className="relative shrink-0">
+                  <img
+                    src={c.imageUrl}
+                    alt=""
+                    className="w-10 h-10 border rounded bg-neutral-50 object-contain"
+                    style={{ imageRendering: "pixelated" }}
+                  />
+                  {c.frames?.length > 1 && (
+                    <span className="absolute -bottom-1 -right-1 px-1 rounded bg-neutral-800 text-white text-[10px]">
+                      {c.frames.length}f
+                    </span>
+                  )}
+                </div>
+                <div className="flex-1 min-w-0 space-y-1">
+                  <input
+                    className="w-full px-2 py-1 border rounded-lg"
+                    value={c.name || ""}
+                    placeholder="Name"
+                    onChange={(e) => updateCharacter(i, { name: e.target.value })}
+                    onKeyDown={(e) => e.stopPropagation()}
+                  />
+                  {c.source && (
+                    <div className="flex gap-2 text-xs">
+                      <button
+                        onClick={() => onCharacterEdit?.(i)}
+                        className="text-neutral-500 hover:text-neutral-800"
+                        title="Show the frames this character was extracted from"
+                      >
+                        Edit frames
+                      </button>
+                      <button
+                        onClick={() => onCharacterReextract?.(i)}
+                        className="text-neutral-500 hover:text-neutral-800"
+                        title="Extract again from the same frames (keeps name and spawn point)"
+                      >
+                        Re-extract
+                      </button>
+                      {c.collider && (
+                        <span className="ml-auto text-neutral-400" title="Suggested collider">
+                          {c.collider.w}×{c.collider.h}
+                        </span>
+                      )}
+                    </div>
+                  )}
+                </div>
+                <div className="flex flex-col">
+                  <button
+                    onClick={() => moveCharacter(i, -1)}
+                    disabled={i === 0}
+                    className="px-1 text-xs leading-4 disabled:opacity-30"
+                    title="Move up"
+                  >
+                    ▲
+                  </button>
+                  <button
+                    onClick={() => moveCharacter(i, 1)}
+                    disabled={i === characters.length - 1}
+                    className="px-1 text-xs leading-4 disabled:opacity-30"
+                    title="Move down"
+                  >
+                    ▼
+                  </button>
+                </div>
+                <button
+                  onClick={() => removeCharacter(i)}
+                  className="px-2 py-1 rounded-lg border hover:bg-red-50 text-red-600"
+                  title="Delete character"
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+          </section>
+
+          <section className="space-y-2">
+            <h3 className="text-sm font-semibold text-neutral-700">World</h3>
+            <div className="grid grid-cols-2 gap-2 text-sm">
+              <label className="flex items-center gap-2">
+                W
+                <NumberField
+                  value={world.width}
+                  min={WORLD_MIN}
+                  max={CONSTRAINTS.canvasMax.w}
+                  onCommit={(v) => setWorldField("width", v)}
+                />
+              </label>
+              <label className="flex items-center gap-2">
+                H
+                <NumberField
+                  value={world.height}
+                  min={WORLD_MIN}
+                  max={CONSTRAINTS.canvasMax.h}
+                  onCommit={(v) => setWorldField("height", v)}
+                />
+              </label>
+              <label className="flex items-center gap-2 col-span-2" title="Downward acceleration in px/s²">
+                Gravity
+                <input
+                  type="range"
+                  className="flex-1"
+                  min={CONSTRAINTS.gravity.min}
+                  max={CONSTRAINTS.gravity.max}
+                  step={50}
+                  value={world.gravity}
+                  onChange={(e) => setWorldField("gravity", parseInt(e.target.value))}
+                />
+                <span className="w-10 text-right text-xs text-neutral-500">{world.gravity}</span>
+              </label>
+            </div>
+          </section>
+
+          <section className="space-y-2">
+            <div className="flex items-center justify-between">
+              <h3 className="text-sm font-semibold text-neutral-700">Background</h3>
+              {background?.imageUrl && (
+                <button
+                  onClick={() => onBackgroundChange(background.targets ? { targets: background.targets } : null)}
+                  className="text-xs text-neutral-500 hover:text-neutral-800"
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+            {background?.imageUrl ? (
+              <img
+                src={background.imageUrl}
+                alt="Game background"
+                className="w-full border rounded bg-neutral-50"
+                style={{
+                  aspectRatio: `${world.width} / ${world.height}`,
+                  objectFit: background.fit === "stretch" ? "fill" : "cover",
+                }}
+              />
+            ) : (
+              <div className="text-xs text-neutral-500">No background yet: pick a preset, upload or generate one.</div>
+            )}
+            <div className="grid grid-cols-3 gap-1">
+              {presetThumbs.map(({ theme, url }) => (
+                <button
+                  key={theme}
+                  onClick={() => pickPreset(theme)}
+                  className="border rounded overflow-hidden hover:border-neutral-500"
+                  title={BackgroundThemes[theme]}
+                >
+                  <img src={url} alt={BackgroundThemes[theme]} className="w-full block" />
+                </button>
+              ))}
+            </div>
+            <div className="flex gap-2 text-sm">
+              <input
+                className="flex-1 min-w-0 px-2 py-1 border rounded-lg"
+                placeholder="e.g. neon city at night"
+                value={bgPrompt}
+                onChange={(e) => setBgPrompt(e.target.value)}
+                onKeyDown={(e) => {
+                  e.stopPropagation();
+                  if (e.key === "Enter") generateBackgroundFromPrompt();
+                }}
+              />
+              <button
+                onClick={() => generateBackgroundFromPrompt()}
+                disabled={!bgPrompt.trim()}
+                className="px-2 py-1 rounded-lg border hover:bg-neutral-50 disabled:opacity-40"
+              >
+                Generate
+              </button>
+            </div>
+            {jobs
+              .filter((j) => j.status !== "done" && j.status !== "cancelled")
+              .map((job) => (
+                <JobRow
+                  key={job.id}
+                  job={job}
+                  title={job.meta.prompt}
+                  onCancel={() => jobManager.cancel(job.id)}
+                  onRetry={() => {
+                    jobManager.dismiss(job.id);
+                    generateBackgroundFromPrompt(job.meta.prompt, job.meta);
+                  }}
+                  onFallback={() => {
+                    jobManager.dismiss(job.id);
+                    proceduralBackground(job.meta.prompt);
+                  }}
+                  onDismiss={() => jobManager.dismiss(job.id)}
+                />
+              ))}
+            <div className="flex items-center gap-2 text-sm">
+              <label className="px-2 py-1 rounded-lg border hover:bg-neutral-50 cursor-pointer">
+                Upload…
+                <input
+                  type="file"
+                  accept="image/*"
+                  className="hidden"
+                  onChange={(e) => {
+                    const f = e.target.files?.[0];
+                    e.target.value = "";
+                    if (f) uploadBackground(f);
+                  }}
+                />
+              </label>
+              <select
+                className="flex-1 px-2 py-1 border rounded-lg"
+                value={background?.fit || "cover"}
+                disabled={!background?.imageUrl}
+                onChange={(e) => onBackgroundChange({ ...background, fit: e.target.value })}
+              >
+                {Object.entries(BACKGROUND_FITS).map(([k, label]) => (
+                  <option key={k} value={k}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </section>
+        </div>
+      )}
+
+      {tab === "play" && (
+        <div className="flex-1 p-3 flex flex-col gap-4 overflow-y-auto">
+          <section className="space-y-2">
+            <h3 className="text-sm font-semibold text-neutral-700">Game</h3>
+            <div className="flex gap-2 text-sm">
+              <button
+                onClick={onGenerate}
+                disabled={issues.length > 0}
+                className="flex-1 px-2 py-1 rounded-lg border hover:bg-neutral-50 disabled:opacity-40"
+                title="Build index.html + game.js from the current characters, world and background"
+              >
+                Generate Game
+              </button>
+              <button
+                onClick={onPlayToggle}
+                disabled={!playing && issues.length > 0}
+                className={`flex-1 px-2 py-1 rounded-lg border disabled:opacity-40 ${
+                  playing ? "bg-emerald-600 border-emerald-600 text-white" : "hover:bg-neutral-50"
+                }`}
+              >
+                {playing ? "Stop" : "Play"}
+              </button>
+            </div>
+            <div className="text-xs text-neutral-500">
+              {game.status === "idle" && "Not generated yet. Play generates it first."}
+              {game.status === "ready" &&
+                (game.stale
+                  ? "Out of date: the scene changed since the last build. Generate again to update."
+                  : `Ready, built ${new Date(game.builtAt).toLocaleTimeString()}.`)}
+              {game.status === "failed" && <span className="text-red-600">Generation failed: {game.error}</span>}
+            </div>
+          </section>
+
+          <section className="space-y-2">
+            <h3 className="text-sm font-semibold text-neutral-700">Checks</h3>
+            {issues.length ? (
+              <ul className="text-xs text-red-600 list-disc pl-4 space-y-1">
+                {issues.map((msg) => (
+                  <li key={msg}>{msg}</li>
+                ))}
+              </ul>
+            ) : (
+              <div className="text-xs text-emerald-700">The scene is ready to play.</div>
+            )}
+          </section>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+/**
+ * Animation tags and frame timing.
+ * A tag is { id, name, from, to, loop, color } where from/to are frame ids (inclusive range in timeline
+ * order), so tags survive frame reorders. A frame's `duration` (ms) overrides the global fps when set.
+ * Pure functions only. No React imports here.
+ */
+import { makeId } from "./layers.js";
+
+export const LoopModes = {
+  loop: "Loop",
+  pingpong: "Ping-pong",
+  once: "Once",
+};
+
+export const TAG_COLORS = ["#ef4444", "#f59e0b", "#10b981", "#3b82f6", "#8b5cf6", "#ec4899"];
+
+export const DEFAULT_TAG_NAMES = ["idle", "run", "jump", "slide", "punch"];
+
+export function createTag(name, from, to, props = {}) {
+  return {
+    id: props.id || makeId("tag"),
+    name,
+    from,
+    to,
+    loop: LoopModes[props.loop] ? props.loop : "loop",
+    color: props.color || TAG_COLORS[0],
+  };
+}
+
+/** Inclusive index range { start, end } of a tag in `frames`, or null if an endpoint is gone. */
+export function tagRange(tag, frames) {
+  const a = frames.findIndex((f) => f.id === tag.from);
+  const b = frames.findIndex((f) => f.id === tag.to);
+  if (a < 0 || b < 0) return null;
+  return { start: Math.min(a, b), end: Math.max(a, b) };
+}
+
+export function frameDuration(frame, fps) {
+  return frame?.duration > 0 ? frame.duration : Math.max(1, Math.round(1000 / fps));
+}
+
+/**
+ * Keep tags pointing at the same frames after a timeline edit. A tag whose end frames were deleted
+ * shrinks to the surviving frames of its old range; a tag with none left is dropped.
+ */
+export function remapTags(tags, oldFrames, newFrames) {
+  const index = new Map(newFrames.map((f, i) => [f.id, i]));
+  const out = [];
+  for (const tag of tags) {
+    const r = tagRange(tag, oldFrames);
+    if (!r) continue;
+    const kept = oldFrames
+      .slice(r.start, r.end + 1)
+      .map((f) => index.get(f.id))
+      .filter((i) => i != null);
+    if (!kept.length) continue;
+    const from = newFrames[Math.min(...kept)].id,
+      to = newFrames[Math.max(...kept)].id;
+    out.push(from === tag.from && to === tag.to ? tag : { ...tag, from, to });
+  }
+  return out;
+}
+
+/**
+ * Next playback position within `range`. `dir` is 1 or -1 (ping-pong).
+ * Returns { index, dir, done } — `done` is set when a "once" tag reached its last frame.
+ */
+export function nextPlaybackFrame(index, range, loop = "loop", dir = 1) {
+  const { start, end } = range;
+  if (loop === "pingpong" && end > start) {
+    let d = dir;
+    if (index + d > end || index + d < start) d = -d;
+    return { index: index + d, dir: d, done: false };
+  }
+  if (index >= end) return loop === "once" ? { index: end, dir: 1, done: true } : { index: start, dir: 1, done: false };
+  return { index: index + 1, dir: 1, done: false };
+}
+
+/**
+ * Frame order for an animated export: the tag's range (all frames when `tag` is null) with ping-pong
+ * unrolled, so a plain looping player matches the preview. `loops` is 1 for "once", else 0 (endless).
+ */
+export function playbackSequence(frames, tag, fps) {
+  const r = (tag && tagRange(tag, frames)) || { start: 0, end: frames.length - 1 };
+  const loop = tag?.loop || "loop";
+  const indices = [];
+  for (let i = r.start; i <= r.end; i++) indices.push(i);
+  if (loop === "pingpong") for (let i = r.end - 1; i > r.start; i--) indices.push(i);
+  return { indices, delays: indices.map((i) => frameDuration(frames[i], fps)), loops: loop === "once" ? 1 : 0 };
+}
+
+/**
+ * Tag metadata for exports: frame indices plus per-frame durations.
+ */
+export function tagsMeta(tags, frames, fps) {
+  return tags
+    .map((tag) => {
+      const r = tagRange(tag, frames);
+      if (!r) return null;
+      const durations = frames.slice(r.start, r.end + 1).map((f) => frameDuration(f, fps));
+      return { name: tag.name, from: r.start, to: r.end, loop: tag.loop, durations };
+    })
+    .filter(Boolean);
+}
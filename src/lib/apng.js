@@ -0,0 +1,125 @@
+/**
+ * Animated PNG encoder.
+ * Full-size RGBA frames, each disposed to transparent before the next one is drawn. Pixel data is
+ * zlib-compressed with the browser's CompressionStream, or stored uncompressed where it is missing.
+ * Pure functions only. No React imports here.
+ */
+import { crc32 } from "./crc32.js";
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Encode same-sized ImageData frames. `delays` are in ms; `loops` is 0 to repeat forever,
+ * otherwise the number of plays. Resolves to the file as a Uint8Array.
+ */
+export async function encodeApng(images, { delays = [], loops = 0 } = {}) {
+  const { width, height } = images[0];
+  const parts = [Uint8Array.from(SIGNATURE)];
+  const ihdr = new Uint8Array(13);
+  const hv = new DataView(ihdr.buffer);
+  hv.setUint32(0, width);
+  hv.setUint32(4, height);
+  ihdr.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, deflate, no interlace
+  parts.push(chunk("IHDR", ihdr));
+
+  const actl = new Uint8Array(8);
+  new DataView(actl.buffer).setUint32(0, images.length);
+  new DataView(actl.buffer).setUint32(4, loops);
+  parts.push(chunk("acTL", actl));
+
+  let seq = 0;
+  for (let f = 0; f < images.length; f++) {
+    const fctl = new Uint8Array(26);
+    const v = new DataView(fctl.buffer);
+    v.setUint32(0, seq++);
+    v.setUint32(4, width);
+    v.setUint32(8, height);
+    // x/y offsets stay 0
+    v.setUint16(20, Math.max(1, Math.round(delays[f] ?? 100)));
+    v.setUint16(22, 1000); // delay is delay_num / delay_den seconds
+    fctl[24] = 1; // dispose: clear to transparent
+    fctl[25] = 0; // blend: replace
+    parts.push(chunk("fcTL", fctl));
+
+    const data = await zlib(scanlines(images[f]));
+    if (f === 0) {
+      parts.push(chunk("IDAT", data));
+    } else {
+      const fdat = new Uint8Array(4 + data.length);
+      new DataView(fdat.buffer).setUint32(0, seq++);
+      fdat.set(data, 4);
+      parts.push(chunk("fdAT", fdat));
+    }
+  }
+  parts.push(chunk("IEND", new Uint8Array(0)));
+  return concat(parts);
+}
+
+// Rows prefixed with filter type 0 (none); flat pixel art compresses well without filtering
+function scanlines(img) {
+  const stride = img.width * 4;
+  const out = new Uint8Array((stride + 1) * img.height);
+  for (let y = 0; y < img.height; y++) {
+    out.set(img.data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+  return out;
+}
+
+async function zlib(bytes) {
+  if (typeof CompressionStream !== "undefined") {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+  return storedZlib(bytes);
+}
+
+// zlib stream of uncompressed deflate blocks (max 65535 bytes each)
+function storedZlib(bytes) {
+  const blocks = Math.max(1, Math.ceil(bytes.length / 65535));
+  const out = new Uint8Array(2 + bytes.length + blocks * 5 + 4);
+  out[0] = 0x78;
+  out[1] = 0x01;
+  let o = 2;
+  for (let b = 0; b < blocks; b++) {
+    const part = bytes.subarray(b * 65535, (b + 1) * 65535);
+    out[o++] = b === blocks - 1 ? 1 : 0;
+    out[o++] = part.length & 255;
+    out[o++] = part.length >> 8;
+    out[o++] = ~part.length & 255;
+    out[o++] = (~part.length >> 8) & 255;
+    out.set(part, o);
+    o += part.length;
+  }
+  new DataView(out.buffer).setUint32(o, adler32(bytes));
+  return out;
+}
+
+function adler32(bytes) {
+  let a = 1,
+    b = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    a = (a + bytes[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+function chunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const v = new DataView(out.buffer);
+  v.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  v.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let o = 0;
+  for (const p of parts) {
+    out.set(p, o);
+    o += p.length;
+  }
+  return out;
+}
@@ -0,0 +1,185 @@
+/**
+ * Autosave / crash recovery backed by IndexedDB.
+ * Every page session saves under its own id: at most one snapshot per `intervalMin` (the newest one is
+ * rewritten until the interval has passed), so a few minutes of edits never push out older work.
+ * The current session and earlier sessions (the ones offered for restore) are pruned separately.
+ * Project documents (see project.js) and their metadata (timestamps, thumbnail) live in separate stores,
+ * so listing never loads documents.
+ */
+import { createPixelCanvas, nearestNeighborDraw } from "./canvas.js";
+import { makeId } from "./layers.js";
+
+const DB_NAME = "sprite-studio";
+const DB_VERSION = 2;
+const STORE = "snapshots"; // { id, doc }
+const META = "meta"; // { id, session, createdAt, savedAt, thumb }
+
+export const AUTOSAVE_DEFAULTS = {
+  delayMs: 1500, // debounce after the last change
+  intervalMin: 5, // a session starts a new snapshot at most this often
+  maxSnapshots: 5, // kept for the current session, and again for all earlier sessions together
+  thumbSize: 64,
+};
+
+let dbPromise = null;
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB is not available"));
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+      if (!db.objectStoreNames.contains(META)) {
+        const meta = db.createObjectStore(META, { keyPath: "id" });
+        // Version 1 kept thumbnails next to the documents: copy them over once
+        if (e.oldVersion < 1) return;
+        req.transaction.objectStore(STORE).openCursor().onsuccess = (ev) => {
+          const cursor = ev.target.result;
+          if (!cursor) return;
+          const { id, savedAt, thumb } = cursor.value;
+          meta.put({ id, session: null, createdAt: savedAt, savedAt, thumb });
+          cursor.continue();
+        };
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  // Allow a retry if opening failed (e.g. private mode)
+  dbPromise.catch(() => (dbPromise = null));
+  return dbPromise;
+}
+
+// `fn(store, meta)` runs inside one transaction over both stores
+function tx(db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const t = db.transaction([STORE, META], mode);
+    const result = fn(t.objectStore(STORE), t.objectStore(META));
+    t.oncomplete = () => resolve(result?.result ?? result);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error);
+  });
+}
+
+/**
+ * Small nearest-neighbor PNG thumbnail (data URI) of a sprite canvas.
+ */
+export function makeThumbnail(srcCanvas, size = AUTOSAVE_DEFAULTS.thumbSize) {
+  const s = Math.min(size / srcCanvas.width, size / srcCanvas.height);
+  const t = createPixelCanvas(
+    Math.max(1, Math.round(srcCanvas.width * s)),
+    Math.max(1, Math.round(srcCanvas.height * s))
+  );
+  nearestNeighborDraw(srcCanvas, t);
+  return t.toDataURL("image/png");
+}
+
+/**
+ * Store a project document for `session`: the session's newest snapshot is overwritten while it is younger
+ * than `intervalMin`, otherwise a new one is added. Then the newest `maxSnapshots` of this session and the
+ * newest `maxSnapshots` of all other sessions are kept.
+ */
+export async function saveSnapshot(doc, thumb, opts = {}) {
+  const { session = null, intervalMin, maxSnapshots } = { ...AUTOSAVE_DEFAULTS, ...opts };
+  const db = await openDb();
+  const savedAt = Date.now();
+  const metas = await listSnapshots();
+  const latest = session && metas.find((m) => m.session === session);
+  const reuse = latest && savedAt - latest.createdAt < intervalMin * 60000 ? latest : null;
+  const id = await tx(db, "readwrite", (store, meta) => {
+    const req = reuse ? store.put({ id: reuse.id, doc }) : store.add({ doc });
+    req.onsuccess = () => meta.put({ id: req.result, session, createdAt: reuse?.createdAt ?? savedAt, savedAt, thumb });
+    return req;
+  });
+
+  const rest = metas.filter((m) => m.id !== id);
+  const own = rest.filter((m) => session && m.session === session);
+  const others = rest.filter((m) => !session || m.session !== session);
+  const stale = [...own.slice(maxSnapshots - 1), ...others.slice(session ? maxSnapshots : maxSnapshots - 1)];
+  if (stale.length) {
+    await tx(db, "readwrite", (store, meta) =>
+      stale.forEach((m) => {
+        store.delete(m.id);
+        meta.delete(m.id);
+      })
+    );
+  }
+  return id;
+}
+
+/**
+ * Snapshot metadata, newest first: [{ id, session, createdAt, savedAt, thumb }].
+ */
+export async function listSnapshots() {
+  const db = await openDb();
+  const all = await tx(db, "readonly", (store, meta) => meta.getAll());
+  return (all || []).sort((a, b) => b.savedAt - a.savedAt);
+}
+
+export async function loadSnapshot(id) {
+  const db = await openDb();
+  const rec = await tx(db, "readonly", (store) => store.get(id));
+  if (!rec) throw new Error(`Snapshot ${id} not found`);
+  return rec.doc;
+}
+
+export async function clearSnapshots() {
+  const db = await openDb();
+  await tx(db, "readwrite", (store, meta) => {
+    store.clear();
+    meta.clear();
+  });
+}
+
+/**
+ * Debounced autosaver for one page session (`session`, generated when not given).
+ * `capture()` returns { doc, thumb } at save time (or null to skip).
+ * Identical consecutive documents are not stored twice; `prime()` marks the current document as
+ * already saved, so an untouched project never takes a snapshot slot.
+ */
+export function createAutosaver(capture, opts = {}) {
+  const { delayMs = AUTOSAVE_DEFAULTS.delayMs, session = makeId("session"), onSaved, onError, ...saveOpts } = opts;
+  let timer = null;
+  let lastJson = null;
+
+  // savedAt changes on every serialize; compare without it
+  const docJson = (doc) => JSON.stringify({ ...doc, savedAt: undefined });
+
+  async function flush() {
+    clearTimeout(timer);
+    timer = null;
+    try {
+      const snap = capture();
+      if (!snap) return;
+      const json = docJson(snap.doc);
+      if (json === lastJson) return;
+      await saveSnapshot(snap.doc, snap.thumb, { ...saveOpts, session });
+      lastJson = json;
+      onSaved?.(Date.now());
+    } catch (e) {
+      onError?.(e);
+    }
+  }
+
+  return {
+    session,
+    schedule() {
+      clearTimeout(timer);
+      timer = setTimeout(flush, delayMs);
+    },
+    flush,
+    prime() {
+      try {
+        const snap = capture();
+        if (snap) lastJson = docJson(snap.doc);
+      } catch (e) {
+        onError?.(e);
+      }
+    },
+    cancel() {
+      clearTimeout(timer);
+      timer = null;
+    },
+  };
+}
@@ -1,10 +1,17 @@
 /**
  * Background generation utilities.
  * Deterministic, no network calls. Uses simple seeded noise + vector ops.
+ *
+ * generateBackground() takes explicit parameters { theme, palette, time, seed, density } and draws
+ * four parallax layers (sky, far, mid, near), returned separately or composited into one canvas.
+ * backgroundFromText() is a front end that maps a short description to those parameters.
+ * With `tile` set the output wraps seamlessly, so it can be repeated across a wider level.
+ * A recipe (description + seed + parameters + generator version) regenerates the exact same image.
  */
 import { createPixelCanvas, clamp, lerp } from "./canvas.js";
 
-function hashString(str) {
+/** 32-bit FNV-1a hash of a string. */
+export function hashString(str) {
   let h = 2166136261 >>> 0; // FNV-1a
   for (let i = 0; i < str.length; i++) {
     h ^= str.charCodeAt(i);
@@ -12,7 +19,8 @@ function hashString(str) {
   }
   return h >>> 0;
 }
-function mulberry32(a) {
+/** Seeded PRNG: returns a function yielding floats in [0, 1). */
+export function mulberry32(a) {
   return function () {
     a |= 0;
     a = (a + 0x6D2B79F5) | 0;
@@ -21,7 +29,8 @@ function mulberry32(a) {
     return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
   };
 }
-function hexToRgbObj(hex) {
+// Color helpers on #rgb / #rrggbb strings
+export function hexToRgbObj(hex) {
   let h = hex.replace("#", "");
   if (h.length === 3) h = h.split("").map((c) => c + c).join("");
   const r = parseInt(h.slice(0, 2), 16),
@@ -29,16 +38,16 @@ function hexToRgbObj(hex) {
     b = parseInt(h.slice(4, 6), 16);
   return { r, g, b };
 }
-function rgbToHex(r, g, b) {
+export function rgbToHex(r, g, b) {
   const to2 = (n) => Math.max(0, Math.min(255, n)).toString(16).padStart(2, "0");
   return "#" + to2(r) + to2(g) + to2(b);
 }
-function mixHex(a, b, t) {
+export function mixHex(a, b, t) {
   const A = hexToRgbObj(a),
     B = hexToRgbObj(b);
   return rgbToHex(Math.round(lerp(A.r, B.r, t)), Math.round(lerp(A.g, B.g, t)), Math.round(lerp(A.b, B.b, t)));
 }
-function shadeHex(hex, amt) {
+export function shadeHex(hex, amt) {
   // amt -1..1
   const c = hexToRgbObj(hex);
   const target = amt > 0 ? 255 : 0;
@@ -51,6 +60,7 @@ function addGrain(ctx, w, h, rng, strength = 12) {
   const npx = w * h;
   for (let i = 0; i < npx; i++) {
     const j = i * 4;
+    if (!d[j + 3]) continue; // parallax layers are mostly transparent
     const n = Math.floor((rng() * 2 - 1) * strength);
     d[j] = clamp(d[j] + n, 0, 255);
     d[j + 1] = clamp(d[j + 1] + n, 0, 255);
@@ -59,185 +69,759 @@ function addGrain(ctx, w, h, rng, strength = 12) {
   ctx.putImageData(img, 0, 0);
 }
 
-/**
- * Generate a deterministic background image from a short description.
- * Returns an offscreen canvas (pixel-perfect, no smoothing).
- */
-export function backgroundFromText(w, h, desc) {
-  const d = (desc || "").toLowerCase();
-  const seed = hashString(d);
-  const rng = mulberry32(seed);
-  const has = (s) => d.includes(s);
-
-  // Choose theme
-  let theme = "abstract";
-  if (has("space") || has("stars") || has("galaxy") || has("night")) theme = "space";
-  else if (has("mountain") || has("peak") || has("alps")) theme = "mountains";
-  else if (has("ocean") || has("sea") || has("water")) theme = "ocean";
-  else if (has("desert") || has("sand") || has("dune")) theme = "desert";
-  else if (has("city") || has("urban") || has("skyline")) theme = "city";
-  else if (has("sunset") || has("sunrise") || has("dusk")) theme = "sunset";
-
-  const c = createPixelCanvas(w, h);
-  const ctx = c.getContext("2d", { willReadFrequently: true });
-  ctx.imageSmoothingEnabled = false;
-
-  const gradient = (top, bottom) => {
-    const g = ctx.createLinearGradient(0, 0, 0, h);
-    g.addColorStop(0, top);
-    g.addColorStop(1, bottom);
-    ctx.fillStyle = g;
-    ctx.fillRect(0, 0, w, h);
-  };
+// ------------------------------ Parameters ------------------------------
+export const ParallaxLayers = ["sky", "far", "mid", "near"];
+
+export const TimesOfDay = {
+  day: "Day",
+  dusk: "Dusk",
+  night: "Night",
+};
+
+// Bump whenever the same parameters start producing different pixels, so old recipes are not silently
+// regenerated into another image
+export const BACKGROUND_GENERATOR_VERSION = 1;
+
+export const TileModes = {
+  none: "Off",
+  x: "Horizontal",
+  xy: "Horizontal + vertical",
+};
+
+export const BACKGROUND_DEFAULTS = {
+  theme: "abstract",
+  palette: null, // optional color overrides, in role order: sky top, sky bottom, far, mid, near, accent
+  time: "day",
+  seed: 0,
+  density: 0.5, // 0..1, scales how many stars, trees, buildings, clouds...
+  tile: "none", // see TileModes; vertical wrapping only applies to themes without a horizon
+};
+
+// ------------------------------ Shape helpers ------------------------------
+function fillGradient(ctx, w, top, bottom, y0, y1) {
+  const g = ctx.createLinearGradient(0, y0, 0, y1);
+  g.addColorStop(0, top);
+  g.addColorStop(1, bottom);
+  ctx.fillStyle = g;
+  ctx.fillRect(0, y0, w, y1 - y0);
+}
+
+// Jagged silhouette from the bottom edge up to around `base`. When tiling it ends where it started.
+function ridge({ w, h, rng, wrap }, ctx, { base, rough, color, top = 0 }) {
+  ctx.beginPath();
+  ctx.moveTo(0, h);
+  ctx.lineTo(0, base);
+  let x = 0;
+  while (x < w) {
+    x += 3 + Math.floor(rng() * 6);
+    const y = base + Math.floor((rng() * 2 - 1) * rough);
+    ctx.lineTo(Math.min(x, w), x >= w && wrap ? base : clamp(y, top, h - 1));
+  }
+  ctx.lineTo(w, h);
+  ctx.closePath();
+  ctx.fillStyle = color;
+  ctx.fill();
+}
 
-  if (theme === "space") {
-    gradient("#0b1020", "#010306");
-    // subtle nebula
-    if (rng() < 0.5) {
-      const cx = Math.floor(rng() * w),
-        cy = Math.floor(rng() * h),
-        r = Math.max(8, Math.floor((rng() * Math.min(w, h)) / 2));
-      const g = ctx.createRadialGradient(cx, cy, 0, cx, cy, r);
-      g.addColorStop(0, "rgba(88,28,135,0.25)");
-      g.addColorStop(1, "rgba(3,7,18,0)");
-      ctx.fillStyle = g;
-      ctx.beginPath();
-      ctx.arc(cx, cy, r, 0, Math.PI * 2);
-      ctx.fill();
+// Smooth rolling silhouette (dunes, hills). When tiling the period divides the width.
+function rolling({ w, h, rng, wrap }, ctx, { base, amp, period, color }) {
+  let k = period * (0.8 + rng() * 0.4);
+  const phase = rng() * Math.PI * 2;
+  if (wrap) k = periodic(w, k);
+  ctx.beginPath();
+  ctx.moveTo(0, h);
+  for (let x = 0; x <= w; x++) ctx.lineTo(x, clamp(base + Math.sin(x / k + phase) * amp, 0, h));
+  ctx.lineTo(w, h);
+  ctx.closePath();
+  ctx.fillStyle = color;
+  ctx.fill();
+}
+
+// Wavelength (in the units of sin(x / k)) closest to `k` that repeats a whole number of times over `w`
+function periodic(w, k) {
+  return w / (Math.PI * 2 * Math.max(1, Math.round(w / (Math.PI * 2 * k))));
+}
+
+function stars(ctx, w, h, rng, count, maxY = h) {
+  for (let i = 0; i < count; i++) {
+    const x = Math.floor(rng() * w),
+      y = Math.floor(rng() * maxY);
+    const b = 200 + Math.floor(rng() * 55);
+    ctx.fillStyle = `rgb(${b},${b},${b})`;
+    ctx.fillRect(x, y, 1, 1);
+    if (rng() < 0.06) ctx.fillRect(x + 1, y, 1, 1);
+  }
+}
+
+function glow(ctx, cx, cy, r, inner, outer = "rgba(255,255,255,0)") {
+  const g = ctx.createRadialGradient(cx, cy, 0, cx, cy, r);
+  g.addColorStop(0, inner);
+  g.addColorStop(1, outer);
+  ctx.fillStyle = g;
+  ctx.beginPath();
+  ctx.arc(cx, cy, r, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+// Pine: stacked triangles on a short trunk, standing on `ground`
+function pine(ctx, x, ground, th, color, cap) {
+  const tw = Math.max(2, Math.round(th * 0.45));
+  ctx.fillStyle = color;
+  ctx.fillRect(Math.round(x - tw / 10), ground - Math.ceil(th * 0.15), Math.max(1, Math.round(tw / 5)), th);
+  for (let t = 0; t < 3; t++) {
+    const y0 = ground - th + (t * th) / 4,
+      half = (tw / 2) * (0.6 + t * 0.2);
+    ctx.beginPath();
+    ctx.moveTo(x, y0);
+    ctx.lineTo(x - half, y0 + th / 2.4);
+    ctx.lineTo(x + half, y0 + th / 2.4);
+    ctx.closePath();
+    ctx.fillStyle = color;
+    ctx.fill();
+    if (cap) {
+      ctx.fillStyle = cap;
+      ctx.fillRect(Math.round(x - half / 3), Math.round(y0 + th / 8), Math.max(1, Math.round(half / 1.5)), 1);
     }
-    // stars
-    const count = Math.floor(w * h * 0.08);
-    for (let i = 0; i < count; i++) {
-      const x = Math.floor(rng() * w),
-        y = Math.floor(rng() * h);
-      const b = 200 + Math.floor(rng() * 55);
-      ctx.fillStyle = `rgb(${b},${b},${b})`;
-      ctx.fillRect(x, y, 1, 1);
-      if (rng() < 0.06) {
-        ctx.fillRect(x + 1, y, 1, 1);
+  }
+}
+
+function cloud(ctx, x, y, r, color) {
+  ctx.fillStyle = color;
+  for (const [dx, dy, s] of [
+    [0, 0, 1],
+    [-0.9, 0.3, 0.7],
+    [0.9, 0.3, 0.75],
+    [-0.4, -0.4, 0.7],
+    [0.45, -0.3, 0.65],
+  ]) {
+    ctx.beginPath();
+    ctx.arc(x + dx * r, y + dy * r, r * s, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.fillRect(x - r * 1.5, y + r * 0.3, r * 3, r * 0.7);
+}
+
+function spike(ctx, x, y, width, length, color) {
+  // Triangle from a base centered at (x, y); negative length points up
+  ctx.beginPath();
+  ctx.moveTo(x - width / 2, y);
+  ctx.lineTo(x + width / 2, y);
+  ctx.lineTo(x, y + length);
+  ctx.closePath();
+  ctx.fillStyle = color;
+  ctx.fill();
+}
+
+// ------------------------------ Themes ------------------------------
+// Each theme draws into g.ctx.{sky, far, mid, near}; g.c holds the (time-adjusted) role colors and
+// g.n(base) scales a count by density. `outdoor` themes follow the time of day. Shapes may run past the
+// edges: in tile mode the overflow wraps around (see wrapEdges), while ridge() and rolling() make their
+// own ends meet. Only `wrapY` themes (no horizon) tile vertically.
+const THEMES = {
+  abstract: {
+    label: "Abstract",
+    colors: (rng) =>
+      [
+        ["#06b6d4", "#3b82f6"],
+        ["#f472b6", "#8b5cf6"],
+        ["#22c55e", "#0ea5e9"],
+        ["#f59e0b", "#ef4444"],
+      ][Math.floor(rng() * 4)].concat(["#ffffff", "#ffffff", "#ffffff", "#ffffff"]),
+    grain: 10,
+    wrapY: true,
+    draw(g) {
+      const { w, h, rng, ctx, c } = g;
+      const m = Math.min(w, h);
+      ctx.far.globalAlpha = 0.15;
+      for (let i = 0; i < g.n(6); i++) glow(ctx.far, rng() * w, rng() * h, m * (0.1 + rng() * 0.3), c.far);
+      ctx.far.globalAlpha = 1;
+    },
+  },
+  space: {
+    label: "Space",
+    colors: ["#0b1020", "#010306", "#581c87", "#475569", "#64748b", "#fde68a"],
+    wrapY: true,
+    draw(g) {
+      const { w, h, rng, ctx, c } = g;
+      stars(ctx.sky, w, h, rng, Math.floor(w * h * 0.08 * g.k));
+      // subtle nebula
+      if (rng() < 0.5 + g.density / 2) {
+        const r = Math.max(8, Math.floor((rng() * Math.min(w, h)) / 2));
+        glow(ctx.far, Math.floor(rng() * w), Math.floor(rng() * h), r, c.far + "40", c.far + "00");
       }
-    }
-  } else if (theme === "mountains") {
-    const isSunset = has("sunset") || has("dusk") || has("sunrise");
-    gradient(isSunset ? "#f97316" : "#93c5fd", isSunset ? "#7c3aed" : "#1e3a8a");
-    const layers = 3;
-    for (let L = 0; L < layers; L++) {
-      const yBase = Math.floor(h * 0.5 + L * (h * 0.12));
-      const rough = Math.floor(h * 0.08 + L * 2);
-      ctx.beginPath();
-      ctx.moveTo(0, h);
-      ctx.lineTo(0, yBase);
-      let x = 0,
-        y = yBase;
-      while (x < w) {
-        x += 3 + Math.floor(rng() * 6);
-        y = yBase + Math.floor((rng() * 2 - 1) * rough);
-        ctx.lineTo(Math.min(x, w), clamp(y, Math.floor(h * 0.3), h - 1));
-      }
-      ctx.lineTo(w, h);
-      ctx.closePath();
-      const base = ["#475569", "#334155", "#1f2937"][L] || "#334155";
-      ctx.fillStyle = shadeHex(base, -L * 0.1);
-      ctx.fill();
-    }
-    addGrain(ctx, w, h, rng, 8);
-  } else if (theme === "ocean") {
-    gradient("#93c5fd", "#1e3a8a"); // sky
-    // water
-    const waterTop = Math.floor(h * 0.55);
-    const g2 = ctx.createLinearGradient(0, waterTop, 0, h);
-    g2.addColorStop(0, "#0ea5e9");
-    g2.addColorStop(1, "#075985");
-    ctx.fillStyle = g2;
-    ctx.fillRect(0, waterTop, w, h - waterTop);
-    // waves
-    ctx.globalAlpha = 0.25;
-    ctx.fillStyle = "rgba(255,255,255,0.5)";
-    for (let y = waterTop + 2; y < h; y += 3) {
-      ctx.beginPath();
-      for (let x = 0; x <= w; x++) {
-        const k = 6 + rng() * 6;
-        const amp = 1 + rng() * 1.5;
-        const yy = y + Math.sin(x / k + y * 0.05) * amp;
-        if (x === 0) ctx.moveTo(x, yy);
-        else ctx.lineTo(x, yy);
-      }
-      ctx.strokeStyle = "rgba(255,255,255,0.25)";
-      ctx.lineWidth = 0.5;
-      ctx.stroke();
-    }
-    ctx.globalAlpha = 1;
-    addGrain(ctx, w, h, rng, 6);
-  } else if (theme === "desert") {
-    gradient("#fde68a", "#fbbf24");
-    // dunes
-    for (let L = 0; L < 3; L++) {
-      const yBase = Math.floor(h * 0.55 + L * (h * 0.12));
-      ctx.beginPath();
-      ctx.moveTo(0, h);
-      ctx.lineTo(0, yBase);
-      for (let x = 0; x <= w; x++) {
-        const k = 10 + rng() * 10;
-        const amp = 3 + rng() * 4;
-        const yy = yBase + Math.sin(x / k + L * 0.6) * amp;
-        ctx.lineTo(x, clamp(yy, 0, h));
-      }
-      ctx.lineTo(w, h);
-      ctx.closePath();
-      ctx.fillStyle = ["#f59e0b", "#d97706", "#b45309"][L] || "#d97706";
-      ctx.fill();
-    }
-    addGrain(ctx, w, h, rng, 8);
-  } else if (theme === "city") {
-    gradient("#93c5fd", "#1e293b");
-    // skyline
-    const ground = Math.floor(h * 0.75);
-    ctx.fillStyle = "#0f172a";
-    ctx.fillRect(0, ground, w, h - ground);
-    let x = 0;
-    while (x < w) {
-      const bw = 3 + Math.floor(rng() * 6);
-      const bh = 6 + Math.floor(rng() * (h * 0.5));
-      ctx.fillStyle = "#111827";
-      ctx.fillRect(x, ground - bh, bw, bh);
-      // windows
-      for (let yy = ground - bh + 2; yy < ground - 2; yy += 3) {
-        for (let xx = x + 1; xx < x + bw - 1; xx += 2) {
-          if (rng() < 0.25) {
-            ctx.fillStyle = rng() < 0.1 ? "#facc15" : "#e5e7eb";
-            ctx.fillRect(xx, yy, 1, 1);
+      if (rng() < 0.6) {
+        // planet with a lit rim
+        const r = Math.max(3, Math.floor(Math.min(w, h) * (0.08 + rng() * 0.12)));
+        const px = Math.floor(rng() * w),
+          py = Math.floor(rng() * h * 0.7);
+        ctx.mid.fillStyle = c.mid;
+        ctx.mid.beginPath();
+        ctx.mid.arc(px, py, r, 0, Math.PI * 2);
+        ctx.mid.fill();
+        ctx.mid.fillStyle = shadeHex(c.mid, 0.3);
+        ctx.mid.beginPath();
+        ctx.mid.arc(px - r * 0.25, py - r * 0.25, r * 0.6, 0, Math.PI * 2);
+        ctx.mid.fill();
+      }
+      for (let i = 0; i < g.n(4); i++) {
+        ctx.near.fillStyle = c.near;
+        const s = 1 + Math.floor(rng() * Math.max(2, Math.min(w, h) * 0.03));
+        ctx.near.fillRect(Math.floor(rng() * w), Math.floor(rng() * h), s, s);
+      }
+    },
+  },
+  mountains: {
+    label: "Mountains",
+    outdoor: true,
+    colors: ["#93c5fd", "#1e3a8a", "#475569", "#334155", "#1f2937", "#ffffff"],
+    grain: 8,
+    draw(g) {
+      const { w, h, rng, ctx, c } = g;
+      ["far", "mid", "near"].forEach((name, L) => {
+        const base = Math.floor(h * 0.5 + L * (h * 0.12));
+        ridge(g, ctx[name], { base, rough: Math.floor(h * 0.08 + L * 2), color: c[name], top: h * 0.3 });
+      });
+    },
+  },
+  ocean: {
+    label: "Ocean",
+    outdoor: true,
+    colors: ["#93c5fd", "#1e3a8a", "#0ea5e9", "#075985", "#e0f2fe", "#ffffff"],
+    grain: 6,
+    draw(g) {
+      const { w, h, rng, ctx, c } = g;
+      const waterTop = Math.floor(h * 0.55);
+      fillGradient(ctx.far, w, c.far, c.mid, waterTop, h);
+      // waves
+      ctx.mid.strokeStyle = "rgba(255,255,255,0.25)";
+      ctx.mid.lineWidth = 0.5;
+      for (let y = waterTop + 2; y < h; y += 3) {
+        ctx.mid.beginPath();
+        for (let x = 0; x <= w; x++) {
+          const k = g.wrap ? periodic(w, 6 + rng() * 6) : 6 + rng() * 6;
+          const amp = 1 + rng() * 1.5;
+          const yy = y + Math.sin(x / k + y * 0.05) * amp;
+          if (x === 0) ctx.mid.moveTo(x, yy);
+          else ctx.mid.lineTo(x, yy);
+        }
+        ctx.mid.stroke();
+      }
+      // foam glints near the viewer
+      ctx.near.fillStyle = c.near;
+      for (let i = 0; i < g.n(w / 4); i++) {
+        ctx.near.fillRect(Math.floor(rng() * w), Math.floor(lerp(waterTop + (h - waterTop) / 2, h, rng())), 2, 1);
+      }
+    },
+  },
+  desert: {
+    label: "Desert",
+    outdoor: true,
+    colors: ["#fde68a", "#fbbf24", "#f59e0b", "#d97706", "#b45309", "#4d7c0f"],
+    grain: 8,
+    draw(g) {
+      const { w, h, rng, ctx, c } = g;
+      ["far", "mid", "near"].forEach((name, L) => {
+        const base = Math.floor(h * 0.55 + L * (h * 0.12));
+        rolling(g, ctx[name], { base, amp: 3 + L * 2, period: 15, color: c[name] });
+      });
+      // cacti
+      for (let i = 0; i < g.n(3); i++) {
+        const x = Math.floor(rng() * w),
+          ch = Math.max(3, Math.floor(h * (0.06 + rng() * 0.06)));
+        const ground = Math.floor(h * 0.82 + rng() * h * 0.1);
+        const cw = Math.max(1, Math.floor(ch / 5));
+        ctx.near.fillStyle = c.accent;
+        ctx.near.fillRect(x, ground - ch, cw, ch);
+        ctx.near.fillRect(x - cw * 2, ground - ch * 0.7, cw, ch * 0.35);
+        ctx.near.fillRect(x - cw * 2, ground - ch * 0.4, cw * 2, cw);
+      }
+    },
+  },
+  city: {
+    label: "City",
+    outdoor: true,
+    colors: ["#93c5fd", "#1e293b", "#334155", "#111827", "#0f172a", "#facc15"],
+    grain: 7,
+    draw(g) {
+      const { w, h, rng, ctx, c } = g;
+      const ground = Math.floor(h * 0.75);
+      // distant towers
+      ctx.far.fillStyle = c.far;
+      for (let x = 0; x < w; ) {
+        const bw = 2 + Math.floor(rng() * 5);
+        const bh = Math.floor(h * (0.2 + rng() * 0.45));
+        if (rng() < 0.4 + g.density * 0.6) ctx.far.fillRect(x, ground - bh, bw, bh);
+        x += bw;
+      }
+      // skyline with windows
+      for (let x = 0; x < w; ) {
+        const bw = 3 + Math.floor(rng() * 6);
+        const bh = 6 + Math.floor(rng() * (h * 0.5));
+        ctx.mid.fillStyle = c.mid;
+        ctx.mid.fillRect(x, ground - bh, bw, bh);
+        for (let yy = ground - bh + 2; yy < ground - 2; yy += 3) {
+          for (let xx = x + 1; xx < x + bw - 1; xx += 2) {
+            if (rng() < 0.25 * g.k) {
+              ctx.mid.fillStyle = rng() < 0.1 || g.time === "night" ? c.accent : "#e5e7eb";
+              ctx.mid.fillRect(xx, yy, 1, 1);
+            }
           }
         }
+        x += bw + (rng() < 0.1 ? 2 : 1);
       }
-      x += bw + (rng() < 0.1 ? 2 : 1);
-    }
-    addGrain(ctx, w, h, rng, 7);
-  } else if (theme === "sunset") {
-    gradient("#f97316", "#7c3aed");
-    // sun
-    const cx = Math.floor(w * 0.7),
-      cy = Math.floor(h * 0.6),
-      r = Math.floor(Math.min(w, h) * 0.18);
-    const g = ctx.createRadialGradient(cx, cy, 0, cx, cy, r);
-    g.addColorStop(0, "rgba(255,255,255,0.9)");
-    g.addColorStop(1, "rgba(255,255,255,0)");
-    ctx.fillStyle = g;
-    ctx.beginPath();
-    ctx.arc(cx, cy, r, 0, Math.PI * 2);
-    ctx.fill();
-    addGrain(ctx, w, h, rng, 6);
+      ctx.near.fillStyle = c.near;
+      ctx.near.fillRect(0, ground, w, h - ground);
+    },
+  },
+  sunset: {
+    label: "Sunset",
+    outdoor: true,
+    colors: ["#f97316", "#7c3aed", "#4c1d95", "#3b0764", "#1e1b4b", "#ffffff"],
+    grain: 6,
+    draw(g) {
+      const { w, h, rng, ctx, c } = g;
+      // sun
+      const r = Math.floor(Math.min(w, h) * 0.18);
+      glow(ctx.sky, Math.floor(w * 0.7), Math.floor(h * 0.6), r, mixHex(c.accent, "#ffffff", 0.5) + "e6");
+      rolling(g, ctx.far, { base: Math.floor(h * 0.8), amp: h * 0.03, period: w / 8, color: c.far });
+    },
+  },
+  forest: {
+    label: "Forest",
+    outdoor: true,
+    colors: ["#7dd3fc", "#e0f2fe", "#4d7c0f", "#166534", "#14532d", "#3f6212"],
+    grain: 8,
+    draw(g) {
+      const { w, h, rng, ctx, c } = g;
+      rolling(g, ctx.far, { base: Math.floor(h * 0.6), amp: h * 0.05, period: w / 10, color: c.far });
+      const th = Math.max(4, h * 0.08);
+      for (let i = 0; i < g.n(w / 6); i++) pine(ctx.far, rng() * w, h * 0.62 + rng() * h * 0.04, th, c.far);
+      for (let i = 0; i < g.n(w / 10); i++) {
+        pine(ctx.mid, rng() * w, h * 0.82, Math.max(6, h * (0.2 + rng() * 0.15)), c.mid);
+      }
+      ctx.near.fillStyle = c.near;
+      ctx.near.fillRect(0, Math.floor(h * 0.85), w, h);
+      // bushes on the ground line
+      for (let i = 0; i < g.n(w / 12); i++) {
+        ctx.near.fillStyle = i % 2 ? c.near : c.accent;
+        ctx.near.beginPath();
+        ctx.near.arc(rng() * w, h * 0.86, Math.max(2, h * (0.02 + rng() * 0.03)), 0, Math.PI * 2);
+        ctx.near.fill();
+      }
+    },
+  },
+  cave: {
+    label: "Cave",
+    colors: ["#1c1917", "#0c0a09", "#44403c", "#292524", "#1c1917", "#22d3ee"],
+    grain: 10,
+    draw(g) {
+      const { w, h, rng, ctx, c } = g;
+      // back wall blotches
+      for (let i = 0; i < g.n(w * h * 0.002); i++) {
+        glow(ctx.sky, rng() * w, rng() * h, Math.max(2, Math.min(w, h) * rng() * 0.1), c.far + "30", c.far + "00");
+      }
+      // rock columns
+      ctx.far.fillStyle = c.far;
+      for (let i = 0; i < g.n(4); i++) {
+        const cw = Math.max(2, Math.floor(w * (0.04 + rng() * 0.06)));
+        ctx.far.fillRect(Math.floor(rng() * w), 0, cw, h);
+      }
+      // stalactites and stalagmites
+      for (let i = 0; i < g.n(w / 8); i++) {
+        const x = rng() * w,
+          sw = Math.max(2, w * (0.01 + rng() * 0.03));
+        spike(ctx.mid, x, 0, sw, h * (0.08 + rng() * 0.25), c.mid);
+        if (rng() < 0.6) spike(ctx.mid, rng() * w, h, sw, -h * (0.05 + rng() * 0.18), c.mid);
+      }
+      ctx.mid.fillStyle = c.mid;
+      ctx.mid.fillRect(0, 0, w, Math.ceil(h * 0.04));
+      // floor and crystals
+      ridge(g, ctx.near, { base: Math.floor(h * 0.9), rough: Math.floor(h * 0.03), color: c.near });
+      for (let i = 0; i < g.n(5); i++) {
+        const x = rng() * w,
+          s = Math.max(2, Math.min(w, h) * (0.015 + rng() * 0.02));
+        spike(ctx.near, x, h * 0.92, s, -s * 2.5, c.accent);
+        glow(ctx.near, x, h * 0.92 - s, s * 3, c.accent + "40", c.accent + "00");
+      }
+    },
+  },
+  castle: {
+    label: "Castle",
+    outdoor: true,
+    colors: ["#93c5fd", "#dbeafe", "#65a30d", "#64748b", "#3f6212", "#fbbf24"],
+    grain: 6,
+    draw(g) {
+      const { w, h, rng, ctx, c } = g;
+      const ground = Math.floor(h * 0.8);
+      rolling(g, ctx.far, { base: Math.floor(h * 0.7), amp: h * 0.04, period: w / 6, color: c.far });
+      // keep between two towers, crenellated
+      const m = ctx.mid;
+      const cx = Math.floor(w * (0.3 + rng() * 0.4));
+      const kw = Math.max(6, Math.floor(w * 0.22)),
+        kh = Math.max(6, Math.floor(h * 0.3));
+      const tw = Math.max(3, Math.floor(kw * 0.3)),
+        th = Math.floor(kh * 1.4);
+      const merlon = Math.max(1, Math.floor(tw / 4));
+      const block = (x, y, bw, bh) => {
+        m.fillStyle = c.mid;
+        m.fillRect(x, y, bw, bh);
+        for (let mx = x; mx < x + bw; mx += merlon * 2) m.fillRect(mx, y - merlon, merlon, merlon);
+      };
+      block(cx - kw / 2, ground - kh, kw, kh);
+      block(cx - kw / 2 - tw, ground - th, tw, th);
+      block(cx + kw / 2, ground - th, tw, th);
+      if (rng() < 0.5) block(cx - tw / 2, ground - kh - th / 2, tw, th / 2);
+      // windows and gate
+      m.fillStyle = g.time === "night" ? c.accent : shadeHex(c.mid, -0.5);
+      for (let i = 0; i < g.n(6); i++) {
+        const wx = cx - kw / 2 - tw + rng() * (kw + tw * 2);
+        m.fillRect(Math.floor(wx), Math.floor(ground - th + rng() * th * 0.6), 1, 2);
+      }
+      m.fillStyle = shadeHex(c.mid, -0.6);
+      const gate = Math.floor(kh / 3);
+      m.fillRect(Math.floor(cx - kw / 8), ground - gate, Math.max(2, Math.floor(kw / 4)), gate);
+      ctx.near.fillStyle = c.near;
+      ctx.near.fillRect(0, ground, w, h - ground);
+    },
+  },
+  snow: {
+    label: "Snow",
+    outdoor: true,
+    colors: ["#bfdbfe", "#f1f5f9", "#94a3b8", "#14532d", "#e2e8f0", "#ffffff"],
+    grain: 5,
+    draw(g) {
+      const { w, h, rng, ctx, c } = g;
+      ridge(g, ctx.far, { base: Math.floor(h * 0.5), rough: Math.floor(h * 0.1), color: c.far, top: h * 0.25 });
+      // snow caps: lighten the top rows of the ridge
+      ctx.far.globalCompositeOperation = "source-atop";
+      fillGradient(ctx.far, w, c.accent, c.far, h * 0.3, h * 0.5);
+      ctx.far.globalCompositeOperation = "source-over";
+      for (let i = 0; i < g.n(w / 10); i++) {
+        pine(ctx.mid, rng() * w, h * 0.84, Math.max(6, h * (0.15 + rng() * 0.12)), c.mid, c.accent);
+      }
+      rolling(g, ctx.near, { base: Math.floor(h * 0.85), amp: h * 0.02, period: w / 5, color: c.near });
+      ctx.near.fillStyle = c.accent;
+      for (let i = 0; i < g.n((w * h) / 400); i++) {
+        ctx.near.fillRect(Math.floor(rng() * w), Math.floor(rng() * h), 1, 1); // falling snow
+      }
+    },
+  },
+  underwater: {
+    label: "Underwater",
+    colors: ["#38bdf8", "#0c4a6e", "#075985", "#15803d", "#d6b370", "#e0f2fe"],
+    grain: 6,
+    draw(g) {
+      const { w, h, rng, ctx, c } = g;
+      // light shafts from the surface
+      ctx.far.fillStyle = c.accent + "26";
+      for (let i = 0; i < g.n(4); i++) {
+        const x = rng() * w,
+          s = w * (0.03 + rng() * 0.05);
+        ctx.far.beginPath();
+        ctx.far.moveTo(x, 0);
+        ctx.far.lineTo(x + s, 0);
+        ctx.far.lineTo(x + s * 3 + w * 0.1, h);
+        ctx.far.lineTo(x + w * 0.1, h);
+        ctx.far.closePath();
+        ctx.far.fill();
+      }
+      ridge(g, ctx.far, { base: Math.floor(h * 0.75), rough: Math.floor(h * 0.06), color: c.far });
+      // kelp
+      ctx.mid.strokeStyle = c.mid;
+      ctx.mid.lineWidth = Math.max(1, Math.round(w / 200));
+      for (let i = 0; i < g.n(w / 12); i++) {
+        const x0 = rng() * w,
+          kh = h * (0.2 + rng() * 0.35),
+          phase = rng() * 6;
+        ctx.mid.beginPath();
+        for (let y = 0; y <= kh; y++) ctx.mid.lineTo(x0 + Math.sin(y / 6 + phase) * 2, h * 0.92 - y);
+        ctx.mid.stroke();
+      }
+      rolling(g, ctx.near, { base: Math.floor(h * 0.92), amp: h * 0.015, period: w / 7, color: c.near });
+      // bubbles
+      ctx.near.strokeStyle = c.accent + "b0";
+      ctx.near.lineWidth = 1;
+      for (let i = 0; i < g.n(w / 10); i++) {
+        ctx.near.beginPath();
+        ctx.near.arc(rng() * w, rng() * h * 0.85, 1 + rng() * Math.max(1, w / 200), 0, Math.PI * 2);
+        ctx.near.stroke();
+      }
+    },
+  },
+  lava: {
+    label: "Lava",
+    colors: ["#450a0a", "#7f1d1d", "#292524", "#1c1917", "#f97316", "#fde047"],
+    grain: 8,
+    draw(g) {
+      const { w, h, rng, ctx, c } = g;
+      // embers
+      ctx.sky.fillStyle = c.near;
+      for (let i = 0; i < g.n((w * h) / 500); i++) ctx.sky.fillRect(Math.floor(rng() * w), Math.floor(rng() * h), 1, 1);
+      // volcanoes with glowing vents
+      for (let i = 0; i < Math.max(1, g.n(2)); i++) {
+        const x = rng() * w,
+          vh = h * (0.3 + rng() * 0.2),
+          vw = w * (0.25 + rng() * 0.2);
+        ctx.far.fillStyle = c.far;
+        ctx.far.beginPath();
+        ctx.far.moveTo(x - vw / 2, h * 0.8);
+        ctx.far.lineTo(x - vw / 12, h * 0.8 - vh);
+        ctx.far.lineTo(x + vw / 12, h * 0.8 - vh);
+        ctx.far.lineTo(x + vw / 2, h * 0.8);
+        ctx.far.closePath();
+        ctx.far.fill();
+        glow(ctx.far, x, h * 0.8 - vh, vw / 4, c.near + "c0", c.near + "00");
+      }
+      ctx.far.fillStyle = c.far;
+      ctx.far.fillRect(0, Math.floor(h * 0.8), w, h);
+      // rock pillars with pointed tops
+      for (let i = 0; i < g.n(3); i++) {
+        const pw = Math.max(3, w * (0.04 + rng() * 0.05));
+        const x = rng() * (w - pw),
+          top = h * (0.45 + rng() * 0.25);
+        ctx.mid.fillStyle = c.mid;
+        ctx.mid.fillRect(x, top, pw, h - top);
+        spike(ctx.mid, x + pw / 2, top, pw, -pw * 0.8, c.mid);
+      }
+      // lava pool
+      const top = Math.floor(h * 0.88);
+      fillGradient(ctx.near, w, c.near, shadeHex(c.near, -0.4), top, h);
+      ctx.near.fillStyle = c.accent;
+      for (let i = 0; i < g.n(w / 8); i++) {
+        ctx.near.fillRect(Math.floor(rng() * w), top + Math.floor(rng() * (h - top)), 1 + Math.floor(rng() * 2), 1);
+      }
+    },
+  },
+  clouds: {
+    label: "Clouds",
+    outdoor: true,
+    colors: ["#60a5fa", "#dbeafe", "#e0f2fe", "#f1f5f9", "#ffffff", "#fde68a"],
+    grain: 4,
+    draw(g) {
+      const { w, h, rng, ctx, c } = g;
+      const m = Math.min(w, h);
+      for (let i = 0; i < g.n(6); i++) cloud(ctx.far, rng() * w, rng() * h * 0.5, m * (0.03 + rng() * 0.03), c.far);
+      for (let i = 0; i < g.n(4); i++) {
+        cloud(ctx.mid, rng() * w, h * (0.3 + rng() * 0.4), m * (0.06 + rng() * 0.05), c.mid);
+      }
+      for (let x = -m * 0.1; x < w + m * 0.1; x += m * 0.15) {
+        cloud(ctx.near, x, h * (0.9 + rng() * 0.05), m * (0.1 + rng() * 0.06), c.near);
+      }
+    },
+  },
+};
+
+export const BackgroundThemes = Object.fromEntries(Object.entries(THEMES).map(([k, t]) => [k, t.label]));
+
+const ROLES = ["skyTop", "skyBottom", "far", "mid", "near", "accent"];
+
+// Outdoor scenes take on the light of the time of day; the accent (lights, glow) stays as is
+function colorsForTime(colors, time) {
+  if (time === "dusk") {
+    return {
+      ...colors,
+      skyTop: mixHex(colors.skyTop, "#f97316", 0.75),
+      skyBottom: mixHex(colors.skyBottom, "#7c3aed", 0.6),
+      far: mixHex(colors.far, "#7c3aed", 0.25),
+      mid: shadeHex(mixHex(colors.mid, "#4c1d95", 0.2), -0.15),
+      near: shadeHex(colors.near, -0.25),
+    };
+  }
+  if (time === "night") {
+    return {
+      ...colors,
+      skyTop: mixHex(colors.skyTop, "#0b1020", 0.9),
+      skyBottom: mixHex(colors.skyBottom, "#1e1b4b", 0.8),
+      far: mixHex(colors.far, "#0f172a", 0.6),
+      mid: mixHex(colors.mid, "#0f172a", 0.65),
+      near: mixHex(colors.near, "#020617", 0.7),
+    };
+  }
+  return colors;
+}
+
+/**
+ * Generate a deterministic background from explicit parameters (see BACKGROUND_DEFAULTS).
+ * Returns one composited canvas, or { sky, far, mid, near } canvases (transparent except sky)
+ * when `layers` is set.
+ */
+export function generateBackground(w, h, params = {}, { layers = false } = {}) {
+  const p = { ...BACKGROUND_DEFAULTS, ...params };
+  const theme = THEMES[p.theme] || THEMES.abstract;
+  const rng = mulberry32(p.seed >>> 0);
+  const base = typeof theme.colors === "function" ? theme.colors(rng) : theme.colors;
+  // Overrides may be short hex; alpha suffixes are appended to role colors, so normalize to #rrggbb
+  const list = base.map((col, i) => shadeHex(p.palette?.[i] || col, 0));
+  const time = theme.outdoor ? p.time : "day";
+  const c = colorsForTime(Object.fromEntries(ROLES.map((r, i) => [r, list[i]])), time);
+
+  // Tiling draws into a canvas with a margin on the wrapping sides, later folded back onto the opposite edge
+  const wrap = p.tile === "x" || p.tile === "xy";
+  const wrapY = p.tile === "xy" && !!theme.wrapY;
+  const mx = wrap ? Math.ceil(w / 2) : 0,
+    my = wrapY ? Math.ceil(h / 2) : 0;
+  let canvases = {};
+  const ctx = {};
+  for (const name of ParallaxLayers) {
+    canvases[name] = createPixelCanvas(w + mx * 2, h + my * 2);
+    ctx[name] = canvases[name].getContext("2d", { willReadFrequently: true });
+    ctx[name].imageSmoothingEnabled = false;
+    ctx[name].translate(mx, my);
+  }
+  const density = clamp(p.density ?? 0.5, 0, 1);
+  const k = 0.25 + density * 1.5;
+  const g = { w, h, rng, ctx, c, time, density, k, wrap, n: (v) => Math.max(0, Math.round(v * k)) };
+
+  if (wrapY) {
+    // Mirrored so the top and bottom rows match
+    fillGradient(ctx.sky, w, c.skyTop, c.skyBottom, 0, h / 2);
+    fillGradient(ctx.sky, w, c.skyBottom, c.skyTop, h / 2, h);
   } else {
-    // abstract gradient
-    const palettes = [
-      ["#06b6d4", "#3b82f6"],
-      ["#f472b6", "#8b5cf6"],
-      ["#22c55e", "#0ea5e9"],
-      ["#f59e0b", "#ef4444"],
-    ];
-    const pair = palettes[Math.floor(rng() * palettes.length)];
-    gradient(pair[0], pair[1]);
-    addGrain(ctx, w, h, rng, 10);
+    fillGradient(ctx.sky, w, c.skyTop, c.skyBottom, 0, h);
+  }
+  if (time === "night") stars(ctx.sky, w, h, rng, Math.floor(w * h * 0.01 * k), h * 0.6);
+  if (time === "dusk" && p.theme !== "sunset") {
+    glow(ctx.sky, w * (0.2 + rng() * 0.6), h * 0.55, Math.min(w, h) * 0.15, "rgba(255,237,213,0.85)");
+  }
+  theme.draw(g);
+  if (wrap) canvases = Object.fromEntries(ParallaxLayers.map((n) => [n, wrapEdges(canvases[n], w, h, mx, my)]));
+  if (theme.grain) {
+    ParallaxLayers.forEach((name) => addGrain(canvases[name].getContext("2d"), w, h, rng, theme.grain));
+  }
+
+  return layers ? canvases : composeLayers(canvases);
+}
+
+// Crop the w×h center of a canvas drawn with margins mx/my, adding what spilled past each edge onto the
+// opposite one. Every output pixel gathers all the margin pixels that share its position modulo the tile.
+function wrapEdges(src, w, h, mx, my) {
+  const out = createPixelCanvas(w, h);
+  const ctx = out.getContext("2d", { willReadFrequently: true });
+  for (const dy of my ? [-h, 0, h] : [0]) {
+    for (const dx of mx ? [-w, 0, w] : [0]) ctx.drawImage(src, dx - mx, dy - my);
+  }
+  return out;
+}
+
+/** Flatten parallax layers (sky at the back) into one canvas. */
+export function composeLayers(layers) {
+  const { width: w, height: h } = layers.sky;
+  const out = createPixelCanvas(w, h);
+  const ctx = out.getContext("2d");
+  for (const name of ParallaxLayers) if (layers[name]) ctx.drawImage(layers[name], 0, 0);
+  return out;
+}
+
+// ------------------------------ Seeds, variants and recipes ------------------------------
+/** Pick a fresh random seed (for "reroll"). */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/** `n` distinct seeds derived from `seed`, starting with `seed` itself. */
+export function variantSeeds(seed, n) {
+  const rng = mulberry32(seed >>> 0);
+  const out = [seed >>> 0];
+  while (out.length < n) {
+    const s = Math.floor(rng() * 4294967296) >>> 0;
+    if (!out.includes(s)) out.push(s);
   }
+  return out;
+}
+
+/** `n` composited variants of the same parameters, differing only in seed: [{ seed, canvas }]. */
+export function backgroundVariants(w, h, params, n = 6) {
+  return variantSeeds(params.seed ?? 0, n).map((seed) => ({
+    seed,
+    canvas: generateBackground(w, h, { ...params, seed }),
+  }));
+}
 
-  return c;
+/**
+ * Everything needed to regenerate a background: { version, description, seed, params }.
+ * `layer` names one parallax layer when the recipe belongs to that layer only.
+ */
+export function backgroundRecipe(params, { description = "", layer } = {}) {
+  const p = { ...BACKGROUND_DEFAULTS, ...params };
+  const recipe = {
+    version: BACKGROUND_GENERATOR_VERSION,
+    description,
+    seed: p.seed >>> 0,
+    params: {
+      theme: p.theme,
+      palette: p.palette ? p.palette.slice() : null,
+      time: p.time,
+      density: p.density,
+      tile: p.tile,
+    },
+  };
+  if (layer) recipe.layer = layer;
+  return recipe;
+}
+
+/** Parameters (including the seed) stored in a recipe. */
+export function recipeParams(recipe) {
+  return { ...BACKGROUND_DEFAULTS, ...recipe.params, seed: recipe.seed >>> 0 };
+}
+
+/**
+ * Regenerate the canvas a recipe describes (one parallax layer if the recipe names one).
+ * Throws for recipes from another generator version, which would not reproduce the same pixels.
+ */
+export function backgroundFromRecipe(w, h, recipe) {
+  if (recipe?.version !== BACKGROUND_GENERATOR_VERSION) {
+    throw new Error(`Background recipe is for generator v${recipe?.version}, this is v${BACKGROUND_GENERATOR_VERSION}`);
+  }
+  const params = recipeParams(recipe);
+  if (recipe.layer) return generateBackground(w, h, params, { layers: true })[recipe.layer];
+  return generateBackground(w, h, params);
+}
+
+// ------------------------------ Text front end ------------------------------
+// First match wins, so specific scenes come before broad ones ("underwater" before "water")
+const THEME_KEYWORDS = [
+  ["space", ["space", "stars", "galaxy", "nebula", "planet"]],
+  ["underwater", ["underwater", "under the sea", "reef", "coral", "seabed"]],
+  ["lava", ["lava", "volcan", "magma", "inferno"]],
+  ["cave", ["cave", "cavern", "dungeon", "mine", "underground"]],
+  ["castle", ["castle", "fortress", "kingdom", "medieval"]],
+  ["snow", ["snow", "winter", "ice", "icy", "frozen", "arctic"]],
+  ["forest", ["forest", "woods", "jungle", "trees", "pine"]],
+  ["mountains", ["mountain", "peak", "alps"]],
+  ["ocean", ["ocean", "sea", "water", "beach"]],
+  ["desert", ["desert", "sand", "dune"]],
+  ["city", ["city", "urban", "skyline", "town"]],
+  ["clouds", ["cloud", "sky", "heaven"]],
+];
+
+/**
+ * Map a short description to generateBackground() parameters. The seed is derived from the text,
+ * so the same description always gives the same image; hex colors in the text become the palette.
+ */
+export function parseBackgroundDescription(desc) {
+  const d = (desc || "").toLowerCase();
+  const has = (...words) => words.some((s) => new RegExp(`\\b${s}`).test(d));
+  let theme = THEME_KEYWORDS.find(([, words]) => has(...words))?.[0] || "abstract";
+  let time = "day";
+  if (has("night", "midnight", "moon")) time = "night";
+  else if (has("sunset", "sunrise", "dusk", "dawn", "evening")) time = "dusk";
+  // Keep the old single-word scenes: "night" is a starfield, "sunset" a sky with a sun
+  if (theme === "abstract" && time === "night") theme = "space";
+  if (theme === "abstract" && time === "dusk") theme = "sunset";
+  let density = 0.5;
+  if (has("dense", "lush", "crowded", "busy", "thick")) density = 0.85;
+  else if (has("sparse", "empty", "minimal", "lonely", "barren")) density = 0.2;
+  const tile = has("seamless", "tileable", "tiling", "repeating", "scrolling") ? "x" : "none";
+  const palette = d.match(/#(?:[0-9a-f]{6}|[0-9a-f]{3})\b/g);
+  return { theme, time, density, tile, seed: hashString(d), palette: palette || null };
+}
+
+/**
+ * Generate a deterministic background image from a short description.
+ * `seed` overrides the one derived from the text (to reroll the same prompt).
+ * Returns an offscreen canvas (pixel-perfect, no smoothing).
+ */
+export function backgroundFromText(w, h, desc, seed) {
+  const params = parseBackgroundDescription(desc);
+  return generateBackground(w, h, seed == null ? params : { ...params, seed: seed >>> 0 });
 }
@@ -0,0 +1,201 @@
+/**
+ * Brush tips, ordered-dither patterns and pixel-perfect strokes for the paint tools.
+ * A tip is { w, h, ox, oy, mask: Uint8Array(w*h), rgba? } where (ox, oy) is the hot spot and
+ * `rgba` (custom bitmap tips only) holds the tip's own colors.
+ * Pure functions only. No React imports here.
+ */
+import { clamp, hexToRgba } from "./canvas.js";
+
+export const BrushShapes = {
+  square: "Square",
+  round: "Round",
+  custom: "Custom",
+};
+
+// Share of pixels painted; patterns come from the 4×4 Bayer matrix in sprite space,
+// so overlapping dabs and neighbouring fills line up
+export const DitherPatterns = {
+  solid: { label: "Solid", density: 1 },
+  dither75: { label: "Dither 75%", density: 0.75 },
+  checker: { label: "Checker 50%", density: 0.5 },
+  dither25: { label: "Dither 25%", density: 0.25 },
+  dither12: { label: "Dither 12%", density: 0.125 },
+};
+
+const BAYER4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+/** Ordered-dither threshold in (0, 1) for sprite pixel (x, y). */
+export function bayer4(x, y) {
+  return (BAYER4[(x & 3) + (y & 3) * 4] + 0.5) / 16;
+}
+
+export function patternOn(pattern, x, y) {
+  const density = DitherPatterns[pattern]?.density ?? 1;
+  return BAYER4[(x & 3) + (y & 3) * 4] < density * 16;
+}
+
+/**
+ * Tip for a built-in shape. Square tips match drawLinePixel's footprint.
+ */
+export function createBrushTip(shape, size = 1, custom = null) {
+  if (shape === "custom" && custom) return custom;
+  const s = clamp(size, 1, 64);
+  const mask = new Uint8Array(s * s);
+  const c = (s - 1) / 2,
+    r = s / 2 - 0.25; // trimmed radius: size 3 is a plus, not a square
+  for (let j = 0; j < s; j++) {
+    for (let i = 0; i < s; i++) {
+      mask[i + j * s] = shape === "round" ? +((i - c) ** 2 + (j - c) ** 2 <= r * r) : 1;
+    }
+  }
+  const o = Math.floor((s - 1) / 2);
+  return { w: s, h: s, ox: o, oy: o, mask };
+}
+
+/**
+ * Custom bitmap tip from lifted pixels (see selection.js liftSelection); transparent pixels are left out.
+ */
+export function brushFromImageData(img, mask) {
+  const { width: w, height: h } = img;
+  const m = new Uint8Array(w * h);
+  for (let i = 0; i < m.length; i++) m[i] = mask[i] && img.data[i * 4 + 3] > 0 ? 1 : 0;
+  return { w, h, ox: Math.floor((w - 1) / 2), oy: Math.floor((h - 1) / 2), mask: m, rgba: img.data.slice() };
+}
+
+/** Bresenham points from (x0, y0) to (x1, y1), both ends included. */
+export function linePoints(x0, y0, x1, y1) {
+  const pts = [];
+  const dx = Math.abs(x1 - x0),
+    sx = x0 < x1 ? 1 : -1;
+  const dy = -Math.abs(y1 - y0),
+    sy = y0 < y1 ? 1 : -1;
+  let err = dx + dy;
+  let x = x0,
+    y = y0;
+  while (true) {
+    pts.push([x, y]);
+    if (x === x1 && y === y1) break;
+    const e2 = 2 * err;
+    if (e2 >= dy) {
+      err += dy;
+      x += sx;
+    }
+    if (e2 <= dx) {
+      err += dx;
+      y += sy;
+    }
+  }
+  return pts;
+}
+
+/**
+ * Stamp `tip` along a line, writing pixels directly (hard edges, no blending).
+ * Custom tips paint their own colors unless erasing; `pattern` masks pixels in sprite space.
+ */
+export function stampLine(canvas, x0, y0, x1, y1, tip, { color = "#000000", erase = false, pattern = "solid" } = {}) {
+  const pts = linePoints(x0, y0, x1, y1);
+  const bx0 = Math.max(0, Math.min(x0, x1) - tip.ox),
+    by0 = Math.max(0, Math.min(y0, y1) - tip.oy);
+  const bx1 = Math.min(canvas.width, Math.max(x0, x1) - tip.ox + tip.w),
+    by1 = Math.min(canvas.height, Math.max(y0, y1) - tip.oy + tip.h);
+  if (bx1 <= bx0 || by1 <= by0) return;
+  const bw = bx1 - bx0;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  const img = ctx.getImageData(bx0, by0, bw, by1 - by0);
+  const d = img.data;
+  const rgba = erase ? [0, 0, 0, 0] : hexToRgba(color);
+  for (const [px, py] of pts) {
+    for (let j = 0; j < tip.h; j++) {
+      const y = py - tip.oy + j;
+      if (y < by0 || y >= by1) continue;
+      for (let i = 0; i < tip.w; i++) {
+        const x = px - tip.ox + i;
+        if (x < bx0 || x >= bx1 || !tip.mask[i + j * tip.w] || !patternOn(pattern, x, y)) continue;
+        const o = (x - bx0 + (y - by0) * bw) * 4;
+        if (tip.rgba && !erase) d.set(tip.rgba.subarray((i + j * tip.w) * 4, (i + j * tip.w) * 4 + 4), o);
+        else d.set(rgba, o);
+      }
+    }
+  }
+  ctx.putImageData(img, bx0, by0);
+}
+
+/**
+ * Clear every pixel the pattern leaves out (turns a solid shape into a dithered one).
+ */
+export function applyPattern(canvas, pattern) {
+  if (!pattern || pattern === "solid") return;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  const img = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const A = new Uint32Array(img.data.buffer);
+  for (let y = 0; y < canvas.height; y++) {
+    for (let x = 0; x < canvas.width; x++) if (!patternOn(pattern, x, y)) A[x + y * canvas.width] = 0;
+  }
+  ctx.putImageData(img, 0, 0);
+}
+
+/**
+ * Pixel-perfect filter for 1px strokes. Feed it every stroke point; when the last three points form
+ * an L-shaped corner, the corner point is dropped and returned so the caller can revert it.
+ * Returns "skip" for repeated points, otherwise the corner [x, y] or null.
+ */
+export function createPixelPerfect() {
+  const pts = [];
+  return function add(x, y) {
+    const last = pts[pts.length - 1];
+    if (last && last[0] === x && last[1] === y) return "skip";
+    pts.push([x, y]);
+    if (pts.length < 3) return null;
+    const [a, b, c] = pts.slice(-3);
+    const diagonal = Math.abs(a[0] - c[0]) === 1 && Math.abs(a[1] - c[1]) === 1;
+    if (diagonal && (b[0] === a[0] || b[1] === a[1]) && (b[0] === c[0] || b[1] === c[1])) {
+      pts.splice(pts.length - 2, 1);
+      return b;
+    }
+    return null;
+  };
+}
+
+// ------------------------------ Region fills ------------------------------
+export const FillStyles = {
+  solid: "Solid",
+  "gradient-v": "Gradient ↓",
+  "gradient-h": "Gradient →",
+};
+
+/**
+ * Paint the pixels of `mask` (see canvas.js fillRegion), writing them directly with no anti-aliasing.
+ * Gradients run from `color` to `color2` across the mask bounds and are ordered-dithered,
+ * so they only ever use those two colors. `pattern` leaves pixels out as for brushes.
+ */
+export function paintMask(canvas, mask, { color, color2 = color, style = "solid", pattern = "solid" }) {
+  const w = canvas.width,
+    h = canvas.height;
+  let lo = Infinity,
+    hi = -Infinity;
+  const vertical = style === "gradient-v";
+  for (let i = 0; i < mask.length; i++) {
+    if (!mask[i]) continue;
+    const v = vertical ? Math.floor(i / w) : i % w;
+    if (v < lo) lo = v;
+    if (v > hi) hi = v;
+  }
+  if (hi < lo) return;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  const img = ctx.getImageData(0, 0, w, h);
+  const a = hexToRgba(color),
+    b = hexToRgba(color2);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = x + y * w;
+      if (!mask[i] || !patternOn(pattern, x, y)) continue;
+      let c = a;
+      if (style !== "solid") {
+        const t = ((vertical ? y : x) - lo + 0.5) / (hi - lo + 1);
+        if (bayer4(x, y) < t) c = b;
+      }
+      img.data.set(c, i * 4);
+    }
+  }
+  ctx.putImageData(img, 0, 0);
+}
@@ -24,6 +24,24 @@ export function canvasToBlob(canvas, type = "image/png", quality) {
   return new Promise((resolve) => canvas.toBlob(resolve, type, quality));
 }
 
+export function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Failed to load image"));
+    img.src = src;
+  });
+}
+
+/** Decode an image File/Blob onto a new pixel canvas at its natural size. */
+export async function fileToCanvas(file) {
+  const url = URL.createObjectURL(file);
+  const img = await loadImage(url).finally(() => URL.revokeObjectURL(url));
+  const c = createPixelCanvas(img.width, img.height);
+  c.getContext("2d").drawImage(img, 0, 0);
+  return c;
+}
+
 export function createPixelCanvas(w, h) {
   const c = document.createElement("canvas");
   c.width = w;
@@ -70,34 +88,67 @@ export function rgbaEq(a, b) {
   return a[0] === b[0] && a[1] === b[1] && a[2] === b[2] && a[3] === b[3];
 }
 
-export function floodFill(canvas, x, y, targetColor, replacementColor) {
-  const w = canvas.width,
-    h = canvas.height;
-  const ctx = canvas.getContext("2d", { willReadFrequently: true });
-  const img = ctx.getImageData(0, 0, w, h);
-  const data = img.data;
-  const ix = (x + y * w) * 4;
-  const start = [data[ix], data[ix + 1], data[ix + 2], data[ix + 3]];
-  if (rgbaEq(start, replacementColor)) return; // No-op
-  const stack = [[x, y]];
+/**
+ * Pixels matching the color at (x, y), as a Uint8Array mask over `img` (ImageData).
+ * - tolerance: max per-channel RGBA difference from the seed color (0 = exact)
+ * - connectivity: 4 or 8 (8 also crosses diagonal gaps)
+ * - contiguous: false selects every matching pixel in the image ("global" replace)
+ * Scanline fill: the stack holds one seed per span, not one entry per pixel.
+ */
+export function fillRegion(img, x, y, { tolerance = 0, connectivity = 4, contiguous = true } = {}) {
+  const { width: w, height: h, data } = img;
+  const mask = new Uint8Array(w * h);
+  if (x < 0 || y < 0 || x >= w || y >= h) return mask;
+  const px = new Uint32Array(data.buffer, data.byteOffset, w * h);
+  const seed = px[x + y * w];
+  const o = (x + y * w) * 4;
+  const [r0, g0, b0, a0] = [data[o], data[o + 1], data[o + 2], data[o + 3]];
+  const tol = clamp(tolerance, 0, 255);
+  const match =
+    tol === 0
+      ? (i) => px[i] === seed
+      : (i) => {
+          const p = i * 4;
+          return (
+            Math.abs(data[p] - r0) <= tol &&
+            Math.abs(data[p + 1] - g0) <= tol &&
+            Math.abs(data[p + 2] - b0) <= tol &&
+            Math.abs(data[p + 3] - a0) <= tol
+          );
+        };
+
+  if (!contiguous) {
+    for (let i = 0; i < mask.length; i++) if (match(i)) mask[i] = 1;
+    return mask;
+  }
+
+  const diag = connectivity === 8 ? 1 : 0;
+  const stack = [x, y];
   while (stack.length) {
-    const [cx, cy] = stack.pop();
-    if (cx < 0 || cy < 0 || cx >= w || cy >= h) continue;
-    const i = (cx + cy * w) * 4;
-    if (
-      data[i] === targetColor[0] &&
-      data[i + 1] === targetColor[1] &&
-      data[i + 2] === targetColor[2] &&
-      data[i + 3] === targetColor[3]
-    ) {
-      data[i] = replacementColor[0];
-      data[i + 1] = replacementColor[1];
-      data[i + 2] = replacementColor[2];
-      data[i + 3] = replacementColor[3];
-      stack.push([cx + 1, cy], [cx - 1, cy], [cx, cy + 1], [cx, cy - 1]);
+    const sy = stack.pop(),
+      sx = stack.pop();
+    const row = sy * w;
+    if (mask[row + sx] || !match(row + sx)) continue;
+    let l = sx,
+      r = sx;
+    while (l > 0 && !mask[row + l - 1] && match(row + l - 1)) l--;
+    while (r < w - 1 && !mask[row + r + 1] && match(row + r + 1)) r++;
+    mask.fill(1, row + l, row + r + 1);
+    // Seed each run of matching pixels in the rows above and below
+    const lo = Math.max(0, l - diag),
+      hi = Math.min(w - 1, r + diag);
+    for (const ny of [sy - 1, sy + 1]) {
+      if (ny < 0 || ny >= h) continue;
+      const nrow = ny * w;
+      let inRun = false;
+      for (let nx = lo; nx <= hi; nx++) {
+        const ok = !mask[nrow + nx] && match(nrow + nx);
+        if (ok && !inRun) stack.push(nx, ny);
+        inRun = ok;
+      }
     }
   }
-  ctx.putImageData(img, 0, 0);
+  return mask;
 }
 
 export function drawLinePixel(ctx, x0, y0, x1, y1, color = "#000000", size = 1, erase = false) {
@@ -135,6 +186,120 @@ export function drawLinePixel(ctx, x0, y0, x1, y1, color = "#000000", size = 1,
   ctx.restore();
 }
 
+// ------------------------------ Hard-edged shapes ------------------------------
+// Shapes are plotted as whole-pixel fillRects, so they never produce anti-aliased edge pixels.
+
+/**
+ * Rectangle between two corners (inclusive). The outline is `size` pixels thick, inside the bounds.
+ */
+export function drawRectPixel(ctx, x0, y0, x1, y1, color = "#000000", { filled = false, size = 1 } = {}) {
+  const ax = Math.min(x0, x1),
+    ay = Math.min(y0, y1);
+  const w = Math.abs(x1 - x0) + 1,
+    h = Math.abs(y1 - y0) + 1;
+  const s = clamp(size, 1, 64);
+  ctx.save();
+  ctx.globalCompositeOperation = "source-over";
+  ctx.fillStyle = color;
+  if (filled || w <= 2 * s || h <= 2 * s) {
+    ctx.fillRect(ax, ay, w, h);
+  } else {
+    ctx.fillRect(ax, ay, w, s);
+    ctx.fillRect(ax, ay + h - s, w, s);
+    ctx.fillRect(ax, ay + s, s, h - 2 * s);
+    ctx.fillRect(ax + w - s, ay + s, s, h - 2 * s);
+  }
+  ctx.restore();
+}
+
+// Midpoint ellipse inscribed in a rectangle (A. Zingl, "A Rasterizing Algorithm for Drawing Curves").
+// Works on the bounding box rather than center/radii so even-sized ellipses stay symmetric.
+function plotEllipseRect(x0, y0, x1, y1, plot) {
+  let a = Math.abs(x1 - x0),
+    b = Math.abs(y1 - y0),
+    b1 = b & 1;
+  let dx = 4 * (1 - a) * b * b,
+    dy = 4 * (b1 + 1) * a * a;
+  let err = dx + dy + b1 * a * a,
+    e2;
+  if (x0 > x1) {
+    x0 = x1;
+    x1 += a;
+  }
+  if (y0 > y1) y0 = y1;
+  y0 += (b + 1) >> 1;
+  y1 = y0 - b1;
+  a *= 8 * a;
+  b1 = 8 * b * b;
+  do {
+    plot(x1, y0);
+    plot(x0, y0);
+    plot(x0, y1);
+    plot(x1, y1);
+    e2 = 2 * err;
+    if (e2 <= dy) {
+      y0++;
+      y1--;
+      err += dy += a;
+    }
+    if (e2 >= dx || 2 * err > dy) {
+      x0++;
+      x1--;
+      err += dx += b1;
+    }
+  } while (x0 <= x1);
+  // Very flat ellipses: finish the tips
+  while (y0 - y1 <= b) {
+    plot(x0 - 1, y0);
+    plot(x1 + 1, y0++);
+    plot(x0 - 1, y1);
+    plot(x1 + 1, y1--);
+  }
+}
+
+// Row -> [minX, maxX] of the ellipse outline (the filled interior, since ellipses are convex)
+function ellipseSpans(x0, y0, x1, y1) {
+  const spans = new Map();
+  plotEllipseRect(x0, y0, x1, y1, (x, y) => {
+    const s = spans.get(y);
+    if (!s) spans.set(y, [x, x]);
+    else {
+      if (x < s[0]) s[0] = x;
+      if (x > s[1]) s[1] = x;
+    }
+  });
+  return spans;
+}
+
+/**
+ * Pixel-perfect ellipse inscribed in the rectangle between two corners (inclusive).
+ * Outlines thicker than one pixel are the ring between the ellipse and one inset by `size`.
+ */
+export function drawEllipsePixel(ctx, x0, y0, x1, y1, color = "#000000", { filled = false, size = 1 } = {}) {
+  const ax = Math.min(x0, x1),
+    ay = Math.min(y0, y1);
+  const bx = Math.max(x0, x1),
+    by = Math.max(y0, y1);
+  const s = clamp(size, 1, 64);
+  ctx.save();
+  ctx.globalCompositeOperation = "source-over";
+  ctx.fillStyle = color;
+  if (!filled && s === 1) {
+    plotEllipseRect(ax, ay, bx, by, (x, y) => ctx.fillRect(x, y, 1, 1));
+  } else {
+    const inner = !filled && bx - ax >= 2 * s && by - ay >= 2 * s ? ellipseSpans(ax + s, ay + s, bx - s, by - s) : null;
+    for (const [y, [l, r]] of ellipseSpans(ax, ay, bx, by)) {
+      const hole = inner?.get(y);
+      if (!hole) ctx.fillRect(l, y, r - l + 1, 1);
+      else {
+        ctx.fillRect(l, y, hole[0] - l, 1);
+        ctx.fillRect(hole[1] + 1, y, r - hole[1], 1);
+      }
+    }
+  }
+  ctx.restore();
+}
+
 // Nearest-neighbor draw helper for thumbnails/previews
 export function nearestNeighborDraw(srcCanvas, destCanvasEl) {
   if (!srcCanvas || !destCanvasEl) return;
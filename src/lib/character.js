@@ -0,0 +1,138 @@
+/**
+ * Character extraction: editor frames -> a game character for toScene.
+ * All frames are trimmed to one shared box (so the animation does not jitter), a collider is fitted to
+ * the opaque pixels, and the result remembers which frames / tag it came from so it can be re-extracted.
+ * Pure functions only. No React imports here.
+ */
+import { createPixelCanvas } from "./canvas.js";
+import { flattenFrame, makeId } from "./layers.js";
+
+export const ColliderModes = {
+  coverage: "Alpha coverage",
+  bbox: "Opaque bounding box",
+};
+
+export const CHARACTER_DEFAULTS = {
+  trimAlpha: 1, // any visible pixel is kept when trimming
+  solidAlpha: 128, // pixels at least this opaque count for the collider
+  colliderMode: "coverage",
+  coverage: 0.9, // share of the solid pixels the coverage collider keeps inside
+};
+
+/** Union bounding box { x, y, w, h } of pixels with alpha >= `minAlpha` over all canvases, or null. */
+export function opaqueBounds(canvases, minAlpha = CHARACTER_DEFAULTS.trimAlpha) {
+  let x0 = Infinity,
+    y0 = Infinity,
+    x1 = -1,
+    y1 = -1;
+  for (const c of canvases) {
+    const { data, width, height } = c.getContext("2d").getImageData(0, 0, c.width, c.height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[(y * width + x) * 4 + 3] < minAlpha) continue;
+        if (x < x0) x0 = x;
+        if (x > x1) x1 = x;
+        if (y < y0) y0 = y;
+        if (y > y1) y1 = y;
+      }
+    }
+  }
+  return x1 < 0 ? null : { x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1 };
+}
+
+export function cropCanvas(canvas, { x, y, w, h }) {
+  const out = createPixelCanvas(w, h);
+  out.getContext("2d").drawImage(canvas, x, y, w, h, 0, 0, w, h);
+  return out;
+}
+
+// Solid pixel counts per column and per row, summed over every canvas
+function alphaProfile(canvases, minAlpha) {
+  const { width, height } = canvases[0];
+  const cols = new Array(width).fill(0);
+  const rows = new Array(height).fill(0);
+  for (const c of canvases) {
+    const { data } = c.getContext("2d").getImageData(0, 0, width, height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[(y * width + x) * 4 + 3] < minAlpha) continue;
+        cols[x]++;
+        rows[y]++;
+      }
+    }
+  }
+  return { cols, rows };
+}
+
+// How many entries can be dropped from the start of `counts` without removing more than `budget`
+function trimmable(counts, budget) {
+  let n = 0,
+    removed = 0;
+  while (n < counts.length - 1 && removed + counts[n] <= budget) removed += counts[n++];
+  return n;
+}
+
+/**
+ * Suggested collider { w, h, offsetX, offsetY } for trimmed, same-size canvases (offsets from the
+ * top-left, as Phaser's body.setOffset expects). "bbox" hugs every solid pixel; "coverage" also
+ * drops thin outliers (raised arms, capes, weapon tips) at the sides and top while keeping `coverage`
+ * of the solid pixels. The bottom edge always stays on the lowest solid pixel so the feet touch ground.
+ */
+export function fitCollider(canvases, opts = {}) {
+  const { solidAlpha, colliderMode, coverage } = { ...CHARACTER_DEFAULTS, ...opts };
+  const box = opaqueBounds(canvases, solidAlpha) || opaqueBounds(canvases);
+  if (!box) return null;
+  let { x, y, w, h } = box;
+  if (colliderMode === "coverage") {
+    const { cols, rows } = alphaProfile(canvases, solidAlpha);
+    const total = cols.reduce((a, b) => a + b, 0);
+    const slack = total * (1 - coverage);
+    const colsIn = cols.slice(x, x + w);
+    const left = trimmable(colsIn, slack / 4);
+    const right = trimmable(colsIn.slice(left).reverse(), slack / 4);
+    const top = trimmable(rows.slice(y, y + h), slack / 2);
+    x += left;
+    w -= left + right;
+    y += top;
+    h -= top;
+  }
+  return { w, h, offsetX: x, offsetY: y };
+}
+
+/**
+ * Build a character from editor frames ({ id, layers }) as toScene expects it:
+ * { id, name, imageUrl, frames?, frameRate, collider, abilities, spawn?, source }.
+ * `imageUrl` is the first trimmed frame; `frames` (2+ frames only) holds the whole animation.
+ * `source` links back to the editor: { frameIds, tagId, bounds, size, extractedAt }.
+ * Pass `previous` when re-extracting to keep its id, name, spawn point and tuned abilities.
+ * Throws if every frame is empty.
+ */
+export function extractCharacter(frames, opts = {}) {
+  const { name = "Hero", abilities = {}, fps = 8, tagId = null, previous, ...rest } = opts;
+  const o = { ...CHARACTER_DEFAULTS, ...rest };
+  if (!frames.length) throw new Error("There are no frames to extract");
+  const flat = frames.map((f) => flattenFrame(f));
+  const bounds = opaqueBounds(flat, o.trimAlpha);
+  if (!bounds) throw new Error("The frames are empty: draw the character first");
+  const trimmed = flat.map((c) => cropCanvas(c, bounds));
+  const urls = trimmed.map((c) => c.toDataURL("image/png"));
+
+  return {
+    ...(previous?.spawn && { spawn: previous.spawn }),
+    id: previous?.id || makeId("char"),
+    name: previous?.name || name,
+    imageUrl: urls[0],
+    ...(urls.length > 1 && { frames: urls }),
+    frameRate: fps,
+    collider: fitCollider(trimmed, o),
+    // Toggles come from the editor; tuned numbers (moveSpeed, shoot...) survive a re-extract
+    abilities: { ...previous?.abilities, jump: !!abilities.jump, slide: !!abilities.slide, punch: !!abilities.punch },
+    source: {
+      frameIds: frames.map((f) => f.id),
+      tagId,
+      bounds,
+      size: { w: flat[0].width, h: flat[0].height },
+      extractedAt: Date.now(),
+    },
+  };
+}
@@ -0,0 +1,21 @@
+/**
+ * CRC-32 checksum (IEEE polynomial), as used by PNG chunks and zip entries.
+ * Pure functions only. No React imports here.
+ */
+
+let CRC_TABLE = null;
+
+/** CRC-32 of a byte array, as an unsigned 32-bit number. */
+export function crc32(bytes) {
+  if (!CRC_TABLE) {
+    CRC_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      CRC_TABLE[n] = c >>> 0;
+    }
+  }
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 255] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,326 @@
+/**
+ * Offline game generator: turns a SCENE (see scene.js toScene) into the static Phaser artifact
+ * described in task.md — index.html + game.js (+ assets) — without any LLM in the loop.
+ * game.js is the SCENE literal followed by the fixed, audited engine harness below; nothing from the
+ * scene is ever evaluated as code. Assets are either kept inline as data URIs or written as files.
+ */
+import { isAllowedImageUrl, validateScene } from "./scene.js";
+import { createZip } from "./zip.js";
+
+export const PHASER_CDN = "https://cdn.jsdelivr.net/npm/phaser@3/dist/phaser.min.js";
+
+export const GAME_BUNDLE_DEFAULTS = {
+  inline: true, // true: data URIs stay in game.js (opens from disk); false: written to assets/ (needs a server)
+  title: "Sketch Game",
+};
+
+const MIME_EXT = { "image/png": "png", "image/jpeg": "jpg", "image/webp": "webp", "image/gif": "gif" };
+
+// Engine glue, kept tiny & audited. Reads only the SCENE literal that precedes it in game.js.
+const HARNESS = `/* ==== ENGINE GLUE (kept tiny & audited) ==== */
+(function () {
+  const W = SCENE.world.width, H = SCENE.world.height;
+  const hero = SCENE.characters[0];
+  const controls = SCENE.controls || {};
+  const KeyCodes = Phaser.Input.Keyboard.KeyCodes;
+
+  new Phaser.Game({
+    type: Phaser.AUTO,
+    width: W,
+    height: H,
+    parent: 'game',
+    physics: { default: 'arcade', arcade: { gravity: { y: SCENE.world.gravity }, debug: false } },
+    scene: { preload, create, update }
+  });
+
+  let cursors, keyReset, keyShoot, player, facing = 1, canShootAt = 0, animated = false;
+  let platformsGroup, bulletsGroup, targetsGroup;
+
+  function preload() {
+    // Images load cross-origin (remote URLs, and ./assets/ too inside an opaque-origin sandbox), so their
+    // server must send CORS headers; failed loads fall back to placeholders in create()
+    this.load.crossOrigin = 'anonymous';
+    if (SCENE.background.imageUrl) this.load.image('bg', SCENE.background.imageUrl);
+    this.load.image('hero', hero.imageUrl);
+    if (hero.animation) hero.animation.frames.forEach((url, i) => this.load.image('hero-' + i, url));
+
+    // 1x1 white texture for rectangles (platforms, bullets, targets)
+    const g = this.add.graphics();
+    g.fillStyle(0xffffff, 1); g.fillRect(0, 0, 1, 1);
+    g.generateTexture('pixel', 1, 1); g.destroy();
+  }
+
+  function create() {
+    // Background
+    if (this.textures.exists('bg')) {
+      const bg = this.add.image(0, 0, 'bg').setOrigin(0, 0);
+      fitBackground(bg, SCENE.background.fit || 'cover', W, H);
+    } else {
+      this.cameras.main.setBackgroundColor('#1e2433');
+    }
+
+    // Platforms
+    platformsGroup = this.physics.add.staticGroup();
+    SCENE.platforms.forEach(p => {
+      const s = platformsGroup.create(p.x + p.w / 2, p.y + p.h / 2, 'pixel').setDisplaySize(p.w, p.h);
+      s.refreshBody();
+      s.setVisible(false); // flip true for debug
+    });
+
+    // Targets (optional)
+    targetsGroup = this.physics.add.staticGroup();
+    (SCENE.targets || []).forEach(t => {
+      const s = targetsGroup.create(t.x + t.w / 2, t.y + t.h / 2, 'pixel').setDisplaySize(t.w, t.h);
+      s.refreshBody();
+      s.setTint(0xffd54f).setAlpha(0.9); // small visual cue
+    });
+
+    // Player (a plain box when the sprite could not be loaded)
+    if (!this.textures.exists('hero')) {
+      const g = this.add.graphics();
+      g.fillStyle(0x4fc3f7, 1); g.fillRect(0, 0, 32, 48);
+      g.generateTexture('hero', 32, 48); g.destroy();
+    }
+    player = this.physics.add.sprite(hero.spawn.x, hero.spawn.y, 'hero');
+    player.setCollideWorldBounds(true);
+    if (hero.collider) {
+      player.body.setSize(hero.collider.w, hero.collider.h);
+      player.setOffset(hero.collider.offsetX || 0, hero.collider.offsetY || 0);
+    }
+    player.setBounce(0);
+
+    // Animation while moving (only when every frame loaded)
+    const frameKeys = (hero.animation ? hero.animation.frames : []).map((_, i) => 'hero-' + i);
+    animated = frameKeys.length > 1 && frameKeys.every(k => this.textures.exists(k));
+    if (animated && !this.anims.exists('hero-move')) {
+      this.anims.create({
+        key: 'hero-move', frames: frameKeys.map(key => ({ key })), frameRate: hero.animation.frameRate, repeat: -1
+      });
+    }
+
+    // Collisions
+    this.physics.add.collider(player, platformsGroup);
+    this.physics.add.overlap(player, targetsGroup, (_p, target) => {
+      target.destroy();
+      const s = this.add.text(W / 2, 60, 'Collected!', { fontFamily: 'system-ui', fontSize: 24, color: '#fff' });
+      s.setOrigin(0.5);
+      this.time.delayedCall(1000, () => s.destroy());
+    });
+
+    // Bullets (optional shoot)
+    bulletsGroup = this.physics.add.group({ maxSize: 24 });
+    this.physics.add.collider(bulletsGroup, platformsGroup, (b) => b.destroy());
+    this.physics.add.overlap(bulletsGroup, targetsGroup, (b, t) => { b.destroy(); t.destroy(); });
+
+    // Input
+    cursors = this.input.keyboard.createCursorKeys();
+    keyReset = this.input.keyboard.addKey(KeyCodes[controls.resetKey] || KeyCodes.R);
+    keyShoot = this.input.keyboard.addKey(KeyCodes[controls.shootKey] || KeyCodes.X);
+
+    // Expose for parent reset
+    window.__levelScene = this;
+
+    // Prevent page scroll when focused
+    this.input.keyboard.addCapture([KeyCodes.LEFT, KeyCodes.RIGHT, KeyCodes.UP, KeyCodes.SPACE]);
+  }
+
+  function update(time) {
+    const speed = clamp(hero.abilities.moveSpeed, 50, 800);
+    const jumpV = -clamp(hero.abilities.jumpVelocity, 100, 1500);
+
+    // Horizontal movement
+    if (cursors.left.isDown) {
+      player.setVelocityX(-speed);
+      facing = -1; player.setFlipX(true);
+    } else if (cursors.right.isDown) {
+      player.setVelocityX(speed);
+      facing = 1; player.setFlipX(false);
+    } else {
+      player.setVelocityX(0);
+    }
+    if (animated) {
+      if (player.body.velocity.x !== 0) player.anims.play('hero-move', true);
+      else if (player.anims.isPlaying) { player.anims.stop(); player.setTexture('hero'); }
+    }
+
+    // Jump (unless the character has jump turned off)
+    const grounded = player.body.blocked.down || player.body.touching.down;
+    const jumpPressed = (controls.spaceJump !== false && Phaser.Input.Keyboard.JustDown(cursors.space)) ||
+      Phaser.Input.Keyboard.JustDown(cursors.up);
+    if (hero.abilities.jump !== false && jumpPressed && grounded) {
+      player.setVelocityY(jumpV);
+    }
+
+    // Reset
+    if (Phaser.Input.Keyboard.JustDown(keyReset)) {
+      this.scene.restart();
+      return;
+    }
+
+    // Shoot (optional)
+    const shoot = hero.abilities.shoot;
+    if (shoot && Phaser.Input.Keyboard.JustDown(keyShoot) && time >= canShootAt) {
+      const dx = hero.collider ? hero.collider.w / 2 : 20;
+      fireBullet.call(this, player.x + facing * dx, player.y - 10, facing, shoot);
+      canShootAt = time + clamp(shoot.cooldownMs, 80, 2000);
+    }
+  }
+
+  function fireBullet(x, y, dir, shoot) {
+    const b = bulletsGroup.get(x, y, 'pixel');
+    if (!b) return;
+    b.setActive(true).setVisible(true).setDisplaySize(8, 3);
+    b.body.allowGravity = false;
+    b.setVelocityX(dir * clamp(shoot.projectileSpeed, 100, 2000));
+    b.setTint(0xff6d6d);
+    this.time.delayedCall(2000, () => { if (b.active) b.destroy(); });
+  }
+
+  function fitBackground(img, mode, w, h) {
+    if (mode === 'stretch') { img.setDisplaySize(w, h); return; }
+    const tex = img.texture.getSourceImage();
+    const s = Math.max(w / tex.width, h / tex.height);
+    img.setScale(s).setPosition(0, 0).setOrigin(0, 0);
+  }
+
+  function clamp(n, a, b) { return Math.max(a, Math.min(b, n)); }
+})();
+`;
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function controlsHint(scene) {
+  const c = scene.controls || {};
+  const hero = scene.characters[0];
+  return [
+    "Arrows move",
+    hero.abilities.jump !== false && (c.spaceJump !== false ? "Space jumps" : "Up jumps"),
+    `${c.resetKey || "R"} resets`,
+    hero.abilities.shoot && `${c.shootKey || "X"} shoots`,
+  ]
+    .filter(Boolean)
+    .join(" • ");
+}
+
+// `inlineScript` replaces the game.js reference (single-file build for blob: URLs, which cannot resolve ./game.js)
+function indexHtml(scene, title, inlineScript) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(title)}</title>
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <style>
+    html, body { margin:0; height:100%; background:#111; }
+    #game { width:100%; height:100%; display:flex; align-items:center; justify-content:center; }
+    canvas { outline:none; }
+    .hint { position:fixed; bottom:12px; left:12px; color:#bbb; font:12px/1.4 system-ui; }
+  </style>
+</head>
+<body>
+  <div id="game"></div>
+  <div class="hint">${escapeHtml(controlsHint(scene))}</div>
+
+  <!-- Phaser via CDN -->
+  <script src="${PHASER_CDN}"></script>
+
+  <!-- Game code (generated) -->
+  ${inlineScript ? `<script>\n${inlineScript}</script>` : '<script src="./game.js"></script>'}
+
+  <script>
+    // Reset support from parent
+    window.addEventListener('message', (e) => {
+      if (e.data && e.data.type === 'reset' && window.__levelScene) {
+        window.__levelScene.scene.restart();
+      }
+    }, false);
+  </script>
+</body>
+</html>
+`;
+}
+
+// Written next to assets/: Phaser fetches them with XHR, which file:// pages and the Play sandbox block
+function readme(title) {
+  return `${title}
+${"=".repeat(title.length)}
+
+Exported from Sprite Studio. The images in assets/ are loaded with XHR, so opening index.html
+straight from disk shows placeholder boxes instead of the sprites. Serve this folder over HTTP:
+
+    npx http-server --cors
+
+then open http://localhost:8080/. To load the game in Sprite Studio's Play mode, the server must
+also send "Access-Control-Allow-Origin: *" (--cors does). An export with "Inline assets" checked
+needs neither: it opens directly from disk.
+`;
+}
+
+function gameJs(scene) {
+  return `/* ==== GENERATED BY SPRITE STUDIO ==== */
+const SCENE = ${JSON.stringify(scene, null, 2).replace(/</g, "\\u003c")};
+
+${HARNESS}`;
+}
+
+// data:image/png;base64,... -> { ext, bytes }
+function decodeDataUri(uri) {
+  const [, mime, b64] = uri.match(/^data:([^;,]+);base64,(.*)$/);
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return { ext: MIME_EXT[mime], bytes };
+}
+
+/**
+ * Build the game files for a SCENE.
+ * Returns { "index.html": string, "game.js": string, "assets/...": Uint8Array, "README.txt"?: string }.
+ * Throws with every guardrail violation (see validateScene) when the scene cannot be exported.
+ * With `inline: false` embedded images become assets/background.<ext>, assets/<character id>.<ext> and
+ * assets/<character id>-<n>.<ext> for animation frames (each distinct image once); https URLs are left as they are.
+ * Such a bundle needs an HTTP server (with CORS headers for the Play sandbox, see PlayPanel); README.txt says so.
+ */
+export function buildGameBundle(scene, opts = {}) {
+  const { inline, title } = { ...GAME_BUNDLE_DEFAULTS, ...opts };
+  const errs = validateScene(scene);
+  if (errs.length) throw new Error(`The scene cannot be exported:\n- ${errs.join("\n- ")}`);
+
+  const files = {};
+  const written = new Map(); // data URI -> path, so identical images are written once
+  const out = structuredClone(scene);
+  const extract = (url, name) => {
+    if (inline || !isAllowedImageUrl(url) || !url.startsWith("data:")) return url;
+    if (!written.has(url)) {
+      const { ext, bytes } = decodeDataUri(url);
+      const path = `assets/${name}.${ext}`;
+      files[path] = bytes;
+      written.set(url, `./${path}`);
+    }
+    return written.get(url);
+  };
+  if (out.background.imageUrl) out.background.imageUrl = extract(out.background.imageUrl, "background");
+  out.characters.forEach((c) => {
+    c.imageUrl = extract(c.imageUrl, c.id);
+    if (c.animation) c.animation.frames = c.animation.frames.map((url, i) => extract(url, `${c.id}-${i + 1}`));
+  });
+
+  if (written.size) files["README.txt"] = readme(title);
+  return { "index.html": indexHtml(out, title), "game.js": gameJs(out), ...files };
+}
+
+/**
+ * The same game as one self-contained HTML document (game.js and images inlined), for Play mode:
+ * load it into a sandboxed iframe through a blob: URL.
+ */
+export function buildPlayableHtml(scene, opts = {}) {
+  const title = opts.title || GAME_BUNDLE_DEFAULTS.title;
+  const files = buildGameBundle(scene, { ...opts, inline: true });
+  return indexHtml(scene, title, files["game.js"]);
+}
+
+/** buildGameBundle packed as a zip Blob, ready for downloadBlob(). */
+export function gameBundleZip(scene, opts) {
+  return new Blob([createZip(buildGameBundle(scene, opts))], { type: "application/zip" });
+}
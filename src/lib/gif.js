@@ -0,0 +1,365 @@
+/**
+ * Animated GIF encoder (GIF89a) and decoder.
+ * One global palette for all frames: the exact colors when there are at most 255, else a median-cut
+ * palette. Index 0 is reserved for transparency (alpha < 128); frames are LZW-compressed.
+ * The decoder reads GIF87a/89a with local palettes, interlacing and frame disposal.
+ * Pure functions only. No React imports here.
+ */
+import { hexToRgba } from "./canvas.js";
+import { medianCut } from "./palette.js";
+
+const MAX_SAMPLES = 65536; // pixels fed to median cut when the frames have too many colors
+
+/**
+ * Encode same-sized ImageData frames. `delays` are in ms (GIF stores centiseconds);
+ * `loops` is 0 to repeat forever, otherwise the number of plays.
+ * Returns the file as a Uint8Array.
+ */
+export function encodeGif(images, { delays = [], loops = 0 } = {}) {
+  const { width, height } = images[0];
+  const palette = buildPalette(images);
+  const bits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+  const out = createWriter();
+
+  out.str("GIF89a");
+  out.u16(width);
+  out.u16(height);
+  out.byte(0x80 | 0x70 | (bits - 1)); // global table, 8-bit color resolution
+  out.byte(0); // background index
+  out.byte(0); // pixel aspect
+  for (let i = 0; i < 1 << bits; i++) {
+    const c = palette[i] || [0, 0, 0];
+    out.byte(c[0]);
+    out.byte(c[1]);
+    out.byte(c[2]);
+  }
+  if (loops !== 1) {
+    // NETSCAPE2.0 looping extension; the count is the number of repeats after the first play
+    out.bytes([0x21, 0xff, 0x0b]);
+    out.str("NETSCAPE2.0");
+    out.bytes([0x03, 0x01]);
+    out.u16(loops > 1 ? loops - 1 : 0);
+    out.byte(0);
+  }
+
+  const lookup = createLookup(palette);
+  images.forEach((img, f) => {
+    // Graphic control: dispose to background so transparent pixels do not show earlier frames
+    out.bytes([0x21, 0xf9, 0x04, (2 << 2) | 1]);
+    out.u16(Math.max(2, Math.round((delays[f] ?? 100) / 10)));
+    out.bytes([0, 0]); // transparent index, terminator
+    out.byte(0x2c);
+    out.u16(0);
+    out.u16(0);
+    out.u16(width);
+    out.u16(height);
+    out.byte(0); // no local table, not interlaced
+    const d = img.data;
+    const indices = new Uint8Array(width * height);
+    for (let i = 0; i < indices.length; i++) {
+      const o = i * 4;
+      indices[i] = d[o + 3] < 128 ? 0 : lookup(d[o], d[o + 1], d[o + 2]);
+    }
+    const minCode = Math.max(2, bits);
+    out.byte(minCode);
+    const data = lzwEncode(indices, minCode);
+    for (let i = 0; i < data.length; i += 255) {
+      const n = Math.min(255, data.length - i);
+      out.byte(n);
+      out.bytes(data.subarray(i, i + n));
+    }
+    out.byte(0);
+  });
+  out.byte(0x3b);
+  return out.result();
+}
+
+// [r, g, b] entries; index 0 is the transparent slot
+function buildPalette(images) {
+  const exact = new Set();
+  for (const img of images) {
+    const d = img.data;
+    for (let i = 0; i < d.length && exact.size <= 255; i += 4) {
+      if (d[i + 3] >= 128) exact.add((d[i] << 16) | (d[i + 1] << 8) | d[i + 2]);
+    }
+  }
+  let colors;
+  if (exact.size <= 255) {
+    colors = [...exact].map((c) => [c >> 16, (c >> 8) & 255, c & 255]);
+  } else {
+    const size = images[0].width * images[0].height;
+    const total = images.length * size;
+    const step = Math.max(1, Math.ceil(total / MAX_SAMPLES));
+    const samples = new Uint8ClampedArray(Math.ceil(total / step) * 4);
+    for (let p = 0, n = 0; p < total; p += step, n += 4) {
+      const o = (p % size) * 4;
+      samples.set(images[Math.floor(p / size)].data.subarray(o, o + 4), n);
+    }
+    colors = medianCut(samples, 255).map((hex) => hexToRgba(hex).slice(0, 3));
+  }
+  return [[0, 0, 0], ...colors];
+}
+
+// Nearest palette index for opaque colors, cached per RGB value
+function createLookup(palette) {
+  const cache = new Map();
+  return (r, g, b) => {
+    const key = (r << 16) | (g << 8) | b;
+    let idx = cache.get(key);
+    if (idx !== undefined) return idx;
+    let best = Infinity;
+    for (let i = 1; i < palette.length; i++) {
+      const [pr, pg, pb] = palette[i];
+      const dist = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+      if (dist < best) {
+        best = dist;
+        idx = i;
+      }
+    }
+    cache.set(key, idx);
+    return idx;
+  };
+}
+
+/** Variable-width LZW as used by GIF; returns the packed byte stream (not yet split into sub-blocks). */
+function lzwEncode(indices, minCode) {
+  const bytes = [];
+  const clear = 1 << minCode,
+    eoi = clear + 1;
+  let codeSize = minCode + 1,
+    next = eoi + 1;
+  let dict = new Map();
+  let buf = 0,
+    nbits = 0;
+  const emit = (code) => {
+    buf |= code << nbits;
+    nbits += codeSize;
+    while (nbits >= 8) {
+      bytes.push(buf & 255);
+      buf >>>= 8;
+      nbits -= 8;
+    }
+  };
+
+  emit(clear);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = dict.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (next === 4096) {
+      emit(clear);
+      dict = new Map();
+      codeSize = minCode + 1;
+      next = eoi + 1;
+    } else {
+      if (next >= 1 << codeSize) codeSize++;
+      dict.set(key, next++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoi);
+  if (nbits > 0) bytes.push(buf & 255);
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Decode a GIF (ArrayBuffer or Uint8Array) into full-size RGBA frames, each composited over the
+ * previous ones as a viewer would show it. Returns { width, height, loops, frames: [{ data, delay }] }
+ * with `data` a Uint8ClampedArray and `delay` in ms; `loops` is 0 for endless.
+ */
+export function decodeGif(buffer) {
+  const b = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const sig = String.fromCharCode(...b.subarray(0, 6));
+  if (sig !== "GIF87a" && sig !== "GIF89a") throw new Error("Not a GIF file");
+  const u16 = (o) => b[o] | (b[o + 1] << 8);
+  const width = u16(6),
+    height = u16(8);
+  let p = 13;
+  let global = null;
+  if (b[10] & 0x80) {
+    global = readTable(b, p, 2 << (b[10] & 7));
+    p += global.length;
+  }
+
+  const canvas = new Uint8ClampedArray(width * height * 4);
+  const frames = [];
+  let loops = 1;
+  let control = { disposal: 0, delay: 0, transparent: -1 };
+  while (p < b.length) {
+    const type = b[p++];
+    if (type === 0x3b) break;
+    if (type === 0x21) {
+      const label = b[p++];
+      if (label === 0xf9) {
+        control = { disposal: (b[p + 1] >> 2) & 7, delay: u16(p + 2) * 10, transparent: b[p + 1] & 1 ? b[p + 4] : -1 };
+      } else if (label === 0xff && String.fromCharCode(...b.subarray(p + 1, p + 12)) === "NETSCAPE2.0") {
+        const n = u16(p + 14);
+        loops = n === 0 ? 0 : n + 1;
+      }
+      p = readBlocks(b, p).end;
+    } else if (type === 0x2c) {
+      const fx = u16(p),
+        fy = u16(p + 2),
+        fw = u16(p + 4),
+        fh = u16(p + 6),
+        flags = b[p + 8];
+      p += 9;
+      let table = global;
+      if (flags & 0x80) {
+        table = readTable(b, p, 2 << (flags & 7));
+        p += table.length;
+      }
+      if (!table) throw new Error("GIF frame has no palette");
+      const minCode = b[p++];
+      const blocks = readBlocks(b, p);
+      p = blocks.end;
+      const indices = lzwDecode(blocks.data, minCode, fw * fh);
+      const saved = control.disposal === 3 ? canvas.slice() : null;
+      const rows = flags & 0x40 ? interlacedRows(fh) : null;
+      for (let j = 0; j < fh; j++) {
+        const y = fy + (rows ? rows[j] : j);
+        if (y >= height) continue;
+        for (let i = 0; i < fw; i++) {
+          const x = fx + i;
+          const k = indices[j * fw + i];
+          if (x >= width || k === control.transparent || k * 3 >= table.length) continue;
+          const o = (x + y * width) * 4;
+          canvas[o] = table[k * 3];
+          canvas[o + 1] = table[k * 3 + 1];
+          canvas[o + 2] = table[k * 3 + 2];
+          canvas[o + 3] = 255;
+        }
+      }
+      // Browsers treat tiny delays as 100 ms
+      frames.push({ data: canvas.slice(), delay: control.delay >= 20 ? control.delay : 100 });
+      if (control.disposal === 2) {
+        for (let y = fy; y < Math.min(height, fy + fh); y++) {
+          canvas.fill(0, (fx + y * width) * 4, (Math.min(width, fx + fw) + y * width) * 4);
+        }
+      } else if (saved) {
+        canvas.set(saved);
+      }
+      control = { disposal: 0, delay: 0, transparent: -1 };
+    } else {
+      throw new Error("Corrupt GIF");
+    }
+  }
+  if (!frames.length) throw new Error("GIF has no frames");
+  return { width, height, loops, frames };
+}
+
+function readTable(b, p, n) {
+  return b.slice(p, p + n * 3);
+}
+
+// Concatenated data of the sub-blocks starting at `p`, and the offset after the terminator
+function readBlocks(b, p) {
+  const parts = [];
+  let total = 0;
+  while (p < b.length && b[p]) {
+    parts.push(b.subarray(p + 1, p + 1 + b[p]));
+    total += b[p];
+    p += b[p] + 1;
+  }
+  const data = new Uint8Array(total);
+  let o = 0;
+  for (const part of parts) {
+    data.set(part, o);
+    o += part.length;
+  }
+  return { data, end: p + 1 };
+}
+
+// Image row for each stored row of an interlaced frame (passes every 8th, 8th, 4th, 2nd row)
+function interlacedRows(h) {
+  const rows = [];
+  for (const [start, step] of [
+    [0, 8],
+    [4, 8],
+    [2, 4],
+    [1, 2],
+  ]) {
+    for (let y = start; y < h; y += step) rows.push(y);
+  }
+  return rows;
+}
+
+function lzwDecode(data, minCode, count) {
+  const out = new Uint8Array(count);
+  const clear = 1 << minCode,
+    eoi = clear + 1;
+  const prefix = new Int16Array(4096),
+    suffix = new Uint8Array(4096),
+    first = new Uint8Array(4096),
+    length = new Uint16Array(4096);
+  for (let c = 0; c < clear; c++) {
+    prefix[c] = -1;
+    suffix[c] = first[c] = c;
+    length[c] = 1;
+  }
+  let codeSize = minCode + 1,
+    next = eoi + 1,
+    prev = -1;
+  let buf = 0,
+    nbits = 0,
+    i = 0,
+    pos = 0;
+  while (pos < count) {
+    while (nbits < codeSize) {
+      if (i >= data.length) return out; // truncated data: keep what was decoded
+      buf |= data[i++] << nbits;
+      nbits += 8;
+    }
+    const code = buf & ((1 << codeSize) - 1);
+    buf >>>= codeSize;
+    nbits -= codeSize;
+    if (code === clear) {
+      codeSize = minCode + 1;
+      next = eoi + 1;
+      prev = -1;
+      continue;
+    }
+    if (code === eoi) break;
+    if (prev < 0) {
+      if (code >= clear) break;
+    } else if (next < 4096) {
+      if (code > next) break;
+      // New entry: previous string plus the first index of the current one (itself when code === next)
+      prefix[next] = prev;
+      suffix[next] = code < next ? first[code] : first[prev];
+      first[next] = first[prev];
+      length[next] = length[prev] + 1;
+      next++;
+      if (next === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+    for (let c = code, j = length[code] - 1; j >= 0; j--) {
+      if (pos + j < count) out[pos + j] = suffix[c];
+      c = prefix[c];
+    }
+    pos += length[code];
+    prev = code;
+  }
+  return out;
+}
+
+function createWriter() {
+  const chunks = [];
+  return {
+    byte: (b) => chunks.push(b & 255),
+    bytes: (arr) => {
+      for (const b of arr) chunks.push(b);
+    },
+    u16: (v) => chunks.push(v & 255, (v >> 8) & 255),
+    str: (s) => {
+      for (let i = 0; i < s.length; i++) chunks.push(s.charCodeAt(i));
+    },
+    result: () => Uint8Array.from(chunks),
+  };
+}
@@ -0,0 +1,214 @@
+/**
+ * Command-based undo history for the editor.
+ * - One linear stack for pixel edits and timeline/layer edits.
+ * - Pixel edits store only the dirty rectangle (before/after), addressed by stable frame/layer ids.
+ * - Oldest steps are dropped when the byte budget or step limit is exceeded.
+ */
+
+export const HISTORY_DEFAULTS = {
+  maxBytes: 64 * 1024 * 1024,
+  maxSteps: 200,
+  mergeWindowMs: 1000, // consecutive commands with the same mergeKey collapse into one step
+};
+
+/**
+ * Command shape: { label, bytes, undo(), redo(), mergeKey?, merge?(next) }
+ */
+export function createHistory({
+  maxBytes = HISTORY_DEFAULTS.maxBytes,
+  maxSteps = HISTORY_DEFAULTS.maxSteps,
+  mergeWindowMs = HISTORY_DEFAULTS.mergeWindowMs,
+} = {}) {
+  let entries = [];
+  let index = 0; // number of applied entries
+  let lastPushAt = 0;
+  const listeners = new Set();
+
+  function getState() {
+    return {
+      labels: entries.map((c) => c.label),
+      index,
+      bytes: entries.reduce((n, c) => n + (c.bytes || 0), 0),
+      canUndo: index > 0,
+      canRedo: index < entries.length,
+    };
+  }
+  function emit() {
+    const s = getState();
+    listeners.forEach((fn) => fn(s));
+  }
+
+  function enforceBudget() {
+    let bytes = entries.reduce((n, c) => n + (c.bytes || 0), 0);
+    // Keep at least the newest applied step
+    while (entries.length > 1 && index > 1 && (entries.length > maxSteps || bytes > maxBytes)) {
+      const dropped = entries.shift();
+      bytes -= dropped.bytes || 0;
+      index -= 1;
+    }
+  }
+
+  /** Record a command that has ALREADY been applied. Discards the redo tail. */
+  function push(cmd) {
+    if (!cmd) return;
+    if (index < entries.length) entries = entries.slice(0, index);
+    const now = Date.now();
+    const last = entries[entries.length - 1];
+    if (last && cmd.mergeKey && last.mergeKey === cmd.mergeKey && last.merge && now - lastPushAt < mergeWindowMs) {
+      last.merge(cmd);
+    } else {
+      entries.push(cmd);
+      index = entries.length;
+    }
+    lastPushAt = now;
+    enforceBudget();
+    emit();
+  }
+
+  function undo() {
+    if (index <= 0) return;
+    index -= 1;
+    entries[index].undo();
+    lastPushAt = 0;
+    emit();
+  }
+
+  function redo() {
+    if (index >= entries.length) return;
+    entries[index].redo();
+    index += 1;
+    lastPushAt = 0;
+    emit();
+  }
+
+  /** Move to a position in the stack (0 = oldest retained state). */
+  function jumpTo(target) {
+    const t = Math.max(0, Math.min(entries.length, target));
+    while (index > t) {
+      index -= 1;
+      entries[index].undo();
+    }
+    while (index < t) {
+      entries[index].redo();
+      index += 1;
+    }
+    lastPushAt = 0;
+    emit();
+  }
+
+  function clear() {
+    entries = [];
+    index = 0;
+    emit();
+  }
+
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  return { push, undo, redo, jumpTo, clear, getState, subscribe };
+}
+
+// ------------------------------ Pixel edits (dirty rectangles) ------------------------------
+export function captureLayer(canvas) {
+  return canvas.getContext("2d", { willReadFrequently: true }).getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Bounding rectangle of pixels that differ between two same-sized ImageData, or null if identical.
+ */
+export function diffRect(a, b) {
+  if (a.width !== b.width || a.height !== b.height) return { x: 0, y: 0, w: b.width, h: b.height };
+  const w = a.width,
+    h = a.height;
+  const A = new Uint32Array(a.data.buffer, a.data.byteOffset, w * h);
+  const B = new Uint32Array(b.data.buffer, b.data.byteOffset, w * h);
+  let x0 = w,
+    y0 = h,
+    x1 = -1,
+    y1 = -1;
+  for (let y = 0; y < h; y++) {
+    const row = y * w;
+    for (let x = 0; x < w; x++) {
+      if (A[row + x] !== B[row + x]) {
+        if (x < x0) x0 = x;
+        if (x > x1) x1 = x;
+        if (y < y0) y0 = y;
+        if (y > y1) y1 = y;
+      }
+    }
+  }
+  if (x1 < 0) return null;
+  return { x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1 };
+}
+
+export function cropImageData(img, { x, y, w, h }) {
+  const out = new ImageData(w, h);
+  for (let r = 0; r < h; r++) {
+    const src = ((y + r) * img.width + x) * 4;
+    out.data.set(img.data.subarray(src, src + w * 4), r * w * 4);
+  }
+  return out;
+}
+
+/**
+ * Build a command for an edit already made on `canvas`, given its ImageData from before the edit.
+ * `resolve(frameId, layerId)` returns the layer canvas at undo/redo time (canvases can be replaced).
+ * Returns null when nothing changed.
+ */
+export function createPixelCommand({ label, frameId, layerId, canvas, before, resolve, onApply }) {
+  const after = captureLayer(canvas);
+  const rect = diffRect(before, after);
+  if (!rect) return null;
+  const beforeRect = cropImageData(before, rect);
+  const afterRect = cropImageData(after, rect);
+  const put = (img) => {
+    const target = resolve(frameId, layerId);
+    if (!target) return;
+    target.getContext("2d").putImageData(img, rect.x, rect.y);
+    onApply?.(frameId, layerId);
+  };
+  return {
+    label,
+    bytes: beforeRect.data.byteLength + afterRect.data.byteLength,
+    undo: () => put(beforeRect),
+    redo: () => put(afterRect),
+  };
+}
+
+// ------------------------------ State edits (timeline / layers) ------------------------------
+/**
+ * Command that swaps between two immutable document states via `apply(state)`.
+ * `bytes` should estimate pixel memory kept alive only by this step (e.g. a deleted frame).
+ */
+export function createStateCommand({ label, before, after, apply, bytes = 0, mergeKey }) {
+  const cmd = {
+    label,
+    bytes,
+    mergeKey,
+    undo: () => apply(before),
+    redo: () => apply(cmd.after),
+    after,
+    merge(next) {
+      cmd.after = next.after;
+      cmd.bytes = Math.max(cmd.bytes, next.bytes);
+    },
+  };
+  return cmd;
+}
+
+/**
+ * Several commands recorded as one step (e.g. clearing every layer of a frame).
+ * Returns null when none of the commands changed anything.
+ */
+export function createCompositeCommand({ label, commands }) {
+  const cmds = commands.filter(Boolean);
+  if (!cmds.length) return null;
+  return {
+    label,
+    bytes: cmds.reduce((n, c) => n + (c.bytes || 0), 0),
+    undo: () => cmds.slice().reverse().forEach((c) => c.undo()),
+    redo: () => cmds.forEach((c) => c.redo()),
+  };
+}
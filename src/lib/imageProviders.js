@@ -0,0 +1,157 @@
+/**
+ * Image-generation providers.
+ * Each provider declares the sizes / aspect ratios it can produce and how it authenticates, and either
+ * builds an HTTP request + reads the response, or generates locally. gptImage.js picks one and calls it.
+ * New backends can be added at runtime with registerImageProvider().
+ */
+import { backgroundFromText } from "./background.js";
+
+export const AuthMethods = {
+  none: "None",
+  bearer: "Bearer token",
+  basic: "Basic (user:password)",
+};
+
+/**
+ * Provider shape:
+ * { label, auth, endpoint?, sizes?: [[w, h]...], aspects?: ["w:h"...], multipleOf?, maxSide?,
+ *   request?(prompt, { width, height, model, seed }) -> JSON body, response?(json) -> base64 or data URL,
+ *   generate?(prompt, { width, height, seed }) -> Promise<data URL> }
+ * `sizes` null means any size (rounded to `multipleOf`, capped at `maxSide`); `aspects` null means any.
+ */
+const PROVIDERS = {
+  openai: {
+    label: "OpenAI-compatible",
+    auth: "bearer",
+    endpoint: "https://api.openai.com/v1/images/generations",
+    sizes: [
+      [1024, 1024],
+      [1536, 1024],
+      [1024, 1536],
+    ],
+    aspects: ["1:1", "3:2", "2:3"],
+    request: (prompt, { width, height, model }) => ({
+      model,
+      prompt,
+      size: `${width}x${height}`,
+      // gpt-image models always answer in base64 and reject the parameter
+      ...(/^dall-e/.test(model) && { response_format: "b64_json" }),
+    }),
+    response: (data) => data?.data?.[0]?.b64_json,
+  },
+  generic: {
+    label: "Generic JSON",
+    auth: "bearer",
+    sizes: null,
+    aspects: null,
+    maxSide: 4096,
+    request: (prompt, { width, height, seed }) => ({ prompt, width, height, seed, response_format: "b64_json" }),
+    response: (data) =>
+      data?.data?.[0]?.b64_json || data?.b64_json || (typeof data?.image === "string" ? data.image : null),
+  },
+  sd: {
+    label: "Stable Diffusion (local HTTP)",
+    auth: "none",
+    endpoint: "http://127.0.0.1:7860/sdapi/v1/txt2img",
+    sizes: null,
+    aspects: null,
+    multipleOf: 64,
+    maxSide: 2048,
+    // seed -1 lets the server pick one
+    request: (prompt, { width, height, seed }) => ({ prompt, width, height, seed: seed ?? -1, steps: 20 }),
+    response: (data) => data?.images?.[0],
+  },
+  offline: {
+    label: "Offline (procedural)",
+    auth: "none",
+    sizes: null,
+    aspects: null,
+    maxSide: 4096,
+    generate: async (prompt, { width, height, seed }) =>
+      backgroundFromText(width, height, prompt, seed).toDataURL("image/png"),
+  },
+};
+
+/** Registered providers as { key: label }, for selects. */
+export function imageProviderLabels() {
+  return Object.fromEntries(Object.entries(PROVIDERS).map(([k, p]) => [k, p.label]));
+}
+
+export function getImageProvider(key) {
+  const p = PROVIDERS[key];
+  if (!p) throw new Error(`Unknown image provider "${key}"`);
+  return p;
+}
+
+/** Add or replace a provider (see the shape above). */
+export function registerImageProvider(key, provider) {
+  if (!provider?.label || !AuthMethods[provider.auth]) {
+    throw new Error(`Image provider "${key}" needs a label and an auth method`);
+  }
+  if (!provider.generate && !(provider.request && provider.response)) {
+    throw new Error(`Image provider "${key}" needs generate() or request() + response()`);
+  }
+  PROVIDERS[key] = { sizes: null, aspects: null, ...provider };
+}
+
+/**
+ * The size to ask `provider` for when the caller wants width × height: the supported size with the
+ * closest aspect ratio (then the closest area), or the request rounded and capped to the provider limits.
+ */
+export function providerSize(provider, width, height) {
+  if (provider.sizes?.length) {
+    const ratio = Math.log(width / height);
+    const score = ([w, h]) => [Math.abs(Math.log(w / h) - ratio), Math.abs(Math.log((w * h) / (width * height)))];
+    return provider.sizes
+      .map((s) => ({ s, k: score(s) }))
+      .sort((a, b) => a.k[0] - b.k[0] || a.k[1] - b.k[1])
+      .map(({ s: [w, h] }) => ({ width: w, height: h }))[0];
+  }
+  let w = width,
+    h = height;
+  const max = provider.maxSide || Infinity;
+  if (Math.max(w, h) > max) {
+    const k = max / Math.max(w, h);
+    w *= k;
+    h *= k;
+  }
+  const m = provider.multipleOf || 1;
+  return { width: Math.max(m, Math.round(w / m) * m), height: Math.max(m, Math.round(h / m) * m) };
+}
+
+/** Request headers for an auth method; `apiKey` is a token, or "user:password" for basic. */
+export function authHeaders(auth, apiKey) {
+  if (!apiKey || auth === "none") return {};
+  if (auth === "basic") return { Authorization: `Basic ${btoa(apiKey)}` };
+  return { Authorization: `Bearer ${apiKey}` };
+}
+
+/**
+ * Generate an image with a provider. Resolves to { dataUrl, width, height } where width/height are
+ * the size that was requested from the provider (see providerSize). `seed` is passed on where supported.
+ * HTTP errors carry `status` (and `retryAfter` in seconds when the server sent one).
+ */
+export async function generateWithProvider(key, prompt, { width, height, endpoint, apiKey, model, seed, signal } = {}) {
+  const provider = getImageProvider(key);
+  const size = providerSize(provider, width, height);
+  if (provider.generate) return { dataUrl: await provider.generate(prompt, { ...size, seed }), ...size };
+
+  const url = endpoint || provider.endpoint;
+  if (!url) throw new Error(`No endpoint configured for the ${provider.label} image provider`);
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...authHeaders(provider.auth, apiKey) },
+    body: JSON.stringify(provider.request(prompt, { ...size, model, seed })),
+    signal,
+  });
+  if (!res.ok) {
+    const text = await res.text();
+    const err = new Error(`Image API error ${res.status}: ${text}`);
+    err.status = res.status;
+    err.retryAfter = Number(res.headers.get("retry-after")) || null;
+    throw err;
+  }
+  const b64 = provider.response(await res.json());
+  if (!b64) throw new Error("No image data returned by the image API");
+  return { dataUrl: b64.startsWith("data:") ? b64 : `data:image/png;base64,${b64}`, ...size };
+}
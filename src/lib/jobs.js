@@ -0,0 +1,157 @@
+/**
+ * Job manager for slow, failure-prone calls (AI image generation).
+ * Every job can be cancelled, each attempt has a timeout, and rate limits / server errors are retried
+ * with exponential backoff. Subscribers get a fresh job list on every state change.
+ */
+
+export const JOB_DEFAULTS = {
+  timeoutMs: 90000, // per attempt
+  retries: 3, // extra attempts after the first one
+  baseDelayMs: 1000, // backoff: base * 2^(attempt - 1), plus jitter
+  maxDelayMs: 20000,
+  keepFinished: 10, // finished jobs kept in the list
+};
+
+export const JobStatus = {
+  running: "Running",
+  waiting: "Waiting to retry",
+  done: "Done",
+  failed: "Failed",
+  cancelled: "Cancelled",
+};
+
+/**
+ * Whether an attempt that threw `err` is worth repeating: HTTP 429 and 5xx (errors carrying `status`),
+ * timeouts and network failures. Cancellation and other 4xx are final.
+ */
+export function isRetryable(err) {
+  if (err?.name === "AbortError") return false;
+  if (err?.name === "TimeoutError") return true;
+  if (typeof err?.status === "number") return err.status === 429 || err.status >= 500;
+  return err instanceof TypeError; // fetch reports network failures as TypeError
+}
+
+/** Delay before attempt `attempt` + 1; honors a server Retry-After (seconds) when present. */
+export function backoffDelay(attempt, err, opts = {}) {
+  const { baseDelayMs, maxDelayMs } = { ...JOB_DEFAULTS, ...opts };
+  if (err?.retryAfter > 0) return Math.min(maxDelayMs, err.retryAfter * 1000);
+  const exp = baseDelayMs * 2 ** (attempt - 1);
+  return Math.min(maxDelayMs, exp + Math.random() * baseDelayMs * 0.25);
+}
+
+function namedError(name, message) {
+  const e = new Error(message);
+  e.name = name;
+  return e;
+}
+
+// Resolves after `ms`, or rejects with an AbortError as soon as `signal` aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(namedError("AbortError", "Cancelled"));
+    };
+    const t = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+let jobCounter = 0;
+
+/**
+ * `run(label, task, meta)` starts a job; `task(signal, { attempt })` must honor the AbortSignal.
+ * The returned promise resolves with the task result, or rejects with the last error
+ * (name "AbortError" when cancelled). `onChange(jobs)` receives the list, newest first.
+ */
+export function createJobManager({ onChange, ...opts } = {}) {
+  const o = { ...JOB_DEFAULTS, ...opts };
+  let jobs = [];
+  const controllers = new Map();
+
+  function emit() {
+    onChange?.(jobs.slice());
+  }
+  function update(id, patch) {
+    jobs = jobs.map((j) => (j.id === id ? { ...j, ...patch } : j));
+    emit();
+  }
+  function prune() {
+    const finished = jobs.filter((j) => !controllers.has(j.id));
+    const drop = new Set(finished.slice(o.keepFinished).map((j) => j.id));
+    if (drop.size) jobs = jobs.filter((j) => !drop.has(j.id));
+  }
+
+  async function attempt(task, signal, n) {
+    const ctl = new AbortController();
+    const onAbort = () => ctl.abort();
+    signal.addEventListener("abort", onAbort, { once: true });
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      ctl.abort();
+    }, o.timeoutMs);
+    try {
+      return await task(ctl.signal, { attempt: n });
+    } catch (e) {
+      if (timedOut) throw namedError("TimeoutError", `Timed out after ${Math.round(o.timeoutMs / 1000)} s`);
+      if (signal.aborted) throw namedError("AbortError", "Cancelled");
+      throw e;
+    } finally {
+      clearTimeout(timer);
+      signal.removeEventListener("abort", onAbort);
+    }
+  }
+
+  async function run(label, task, meta = {}) {
+    const id = `job-${++jobCounter}`;
+    const ctl = new AbortController();
+    controllers.set(id, ctl);
+    const maxAttempts = o.retries + 1;
+    const now = Date.now();
+    const job = { id, label, meta, status: "running", attempt: 1, maxAttempts, timeoutMs: o.timeoutMs };
+    jobs = [{ ...job, startedAt: now, attemptStartedAt: now }, ...jobs];
+    emit();
+    try {
+      for (let n = 1; ; n++) {
+        try {
+          const result = await attempt(task, ctl.signal, n);
+          update(id, { status: "done", error: null, finishedAt: Date.now() });
+          return result;
+        } catch (e) {
+          if (n >= maxAttempts || !isRetryable(e)) throw e;
+          const delay = backoffDelay(n, e, o);
+          update(id, { status: "waiting", error: e.message, retryAt: Date.now() + delay });
+          await sleep(delay, ctl.signal);
+          update(id, { status: "running", attempt: n + 1, attemptStartedAt: Date.now(), retryAt: null });
+        }
+      }
+    } catch (e) {
+      const cancelled = e?.name === "AbortError";
+      const status = cancelled ? "cancelled" : "failed";
+      update(id, { status, error: e?.message || String(e), finishedAt: Date.now() });
+      throw e;
+    } finally {
+      controllers.delete(id);
+      prune();
+      emit();
+    }
+  }
+
+  return {
+    run,
+    cancel(id) {
+      controllers.get(id)?.abort();
+    },
+    /** Remove a finished job from the list. */
+    dismiss(id) {
+      if (controllers.has(id)) return;
+      jobs = jobs.filter((j) => j.id !== id);
+      emit();
+    },
+    list: () => jobs.slice(),
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * Layer model for Sprite Studio frames.
+ * A frame is { id, layers: Layer[], duration } with layers ordered bottom -> top; each layer owns a pixel canvas.
+ * `duration` is the frame's display time in ms, or null to follow the sprite fps (see animation.js).
+ * Frame and layer ids are stable across reorders so history and tags can refer to them.
+ * Layers are only composited (flattened) for display and export.
+ */
+import { createPixelCanvas, clamp } from "./canvas.js";
+
+// UI label -> canvas globalCompositeOperation
+export const BlendModes = {
+  normal: "source-over",
+  multiply: "multiply",
+  screen: "screen",
+  overlay: "overlay",
+  darken: "darken",
+  lighten: "lighten",
+  add: "lighter",
+};
+
+let idCounter = 0;
+export function makeId(prefix = "id") {
+  idCounter += 1;
+  return `${prefix}-${Date.now().toString(36)}-${idCounter.toString(36)}`;
+}
+
+export function createLayer(w, h, props = {}) {
+  return {
+    id: props.id || makeId("layer"),
+    name: props.name || "Layer",
+    canvas: props.canvas || createPixelCanvas(w, h),
+    visible: props.visible ?? true,
+    opacity: clamp(props.opacity ?? 1, 0, 1),
+    locked: props.locked ?? false,
+    blend: BlendModes[props.blend] ? props.blend : "normal",
+    recipe: props.recipe || null, // background recipe the pixels were generated from (see background.js)
+  };
+}
+
+export function createFrame(w, h, props = {}) {
+  return {
+    id: props.id || makeId("frame"),
+    layers: props.layers || [createLayer(w, h, { name: "Layer 1" })],
+    duration: props.duration > 0 ? props.duration : null,
+  };
+}
+
+export function cloneLayer(layer, props = {}) {
+  const c = createPixelCanvas(layer.canvas.width, layer.canvas.height);
+  c.getContext("2d").drawImage(layer.canvas, 0, 0);
+  return { ...layer, id: makeId("layer"), canvas: c, ...props };
+}
+
+export function cloneFrame(frame) {
+  return { ...frame, id: makeId("frame"), layers: frame.layers.map((l) => cloneLayer(l)) };
+}
+
+/**
+ * Resize every layer of a frame with nearest neighbor. Returns the same frame if sizes already match.
+ */
+export function resizeFrame(frame, w, h) {
+  if (frame.layers.every((l) => l.canvas.width === w && l.canvas.height === h)) return frame;
+  return {
+    ...frame,
+    layers: frame.layers.map((l) => {
+      if (l.canvas.width === w && l.canvas.height === h) return l;
+      const tmp = createPixelCanvas(w, h);
+      const tctx = tmp.getContext("2d");
+      tctx.imageSmoothingEnabled = false;
+      tctx.drawImage(l.canvas, 0, 0, l.canvas.width, l.canvas.height, 0, 0, w, h);
+      return { ...l, canvas: tmp };
+    }),
+  };
+}
+
+/**
+ * Composite visible layers (opacity + blend) into a single canvas.
+ * Pass `target` to reuse a canvas (it is cleared first); otherwise a new one is created.
+ */
+export function flattenFrame(frame, target) {
+  const base = frame.layers[0].canvas;
+  const out = target || createPixelCanvas(base.width, base.height);
+  const ctx = out.getContext("2d", { willReadFrequently: true });
+  ctx.save();
+  ctx.imageSmoothingEnabled = false;
+  ctx.clearRect(0, 0, out.width, out.height);
+  for (const l of frame.layers) {
+    if (!l.visible || l.opacity <= 0) continue;
+    ctx.globalAlpha = l.opacity;
+    ctx.globalCompositeOperation = BlendModes[l.blend] || "source-over";
+    ctx.drawImage(l.canvas, 0, 0);
+  }
+  ctx.restore();
+  return out;
+}
@@ -0,0 +1,144 @@
+/**
+ * Level layout in world pixels: rectangle platforms, targets (coins) and character spawn points.
+ * Rects are { x, y, w, h } (targets add `type`), matching toScene's `platforms` and `background.targets`;
+ * a spawn is the sprite center, as the game places it. Pure functions only. No React imports here.
+ */
+import { clamp } from "./canvas.js";
+
+export const LevelTools = {
+  select: "Select / move",
+  platform: "Platform",
+  target: "Coin",
+  spawn: "Spawn",
+};
+
+export const LEVEL_DEFAULTS = {
+  grid: 16,
+  snap: true,
+  minSize: 8, // smallest platform / target side
+  targetSize: 28,
+  handleSize: 8, // screen pixels
+};
+
+// Resize handles: which edges each one moves
+export const HANDLES = {
+  nw: { l: 1, t: 1 },
+  n: { t: 1 },
+  ne: { r: 1, t: 1 },
+  e: { r: 1 },
+  se: { r: 1, b: 1 },
+  s: { b: 1 },
+  sw: { l: 1, b: 1 },
+  w: { l: 1 },
+};
+
+export function snapValue(v, grid, on = true) {
+  return on && grid > 1 ? Math.round(v / grid) * grid : Math.round(v);
+}
+
+/** Rect spanned by two corners, snapped and kept inside the world. */
+export function rectFromPoints(x0, y0, x1, y1, world, { grid, snap, minSize } = LEVEL_DEFAULTS) {
+  const l = clamp(snapValue(Math.min(x0, x1), grid, snap), 0, world.width - minSize);
+  const t = clamp(snapValue(Math.min(y0, y1), grid, snap), 0, world.height - minSize);
+  const r = clamp(snapValue(Math.max(x0, x1), grid, snap), l + minSize, world.width);
+  const b = clamp(snapValue(Math.max(y0, y1), grid, snap), t + minSize, world.height);
+  return { x: l, y: t, w: r - l, h: b - t };
+}
+
+/** `rect` moved by (dx, dy) from where a drag started; the top-left corner snaps, the size never changes. */
+export function moveRect(rect, dx, dy, world, { grid, snap } = LEVEL_DEFAULTS) {
+  return {
+    ...rect,
+    x: clamp(snapValue(rect.x + dx, grid, snap), 0, world.width - rect.w),
+    y: clamp(snapValue(rect.y + dy, grid, snap), 0, world.height - rect.h),
+  };
+}
+
+/** `rect` with the edges of `handle` (see HANDLES) dragged by (dx, dy). */
+export function resizeRect(rect, handle, dx, dy, world, opts = LEVEL_DEFAULTS) {
+  const { grid, snap, minSize } = opts;
+  const edges = HANDLES[handle];
+  let l = rect.x,
+    t = rect.y,
+    r = rect.x + rect.w,
+    b = rect.y + rect.h;
+  if (edges.l) l = clamp(snapValue(l + dx, grid, snap), 0, r - minSize);
+  if (edges.r) r = clamp(snapValue(r + dx, grid, snap), l + minSize, world.width);
+  if (edges.t) t = clamp(snapValue(t + dy, grid, snap), 0, b - minSize);
+  if (edges.b) b = clamp(snapValue(b + dy, grid, snap), t + minSize, world.height);
+  return { ...rect, x: l, y: t, w: r - l, h: b - t };
+}
+
+/** `rect` pulled back inside the world (shrunk first if it no longer fits); the same object if it already fits. */
+export function fitRect(rect, world) {
+  const w = Math.min(rect.w, world.width);
+  const h = Math.min(rect.h, world.height);
+  const x = clamp(rect.x, 0, world.width - w);
+  const y = clamp(rect.y, 0, world.height - h);
+  return x === rect.x && y === rect.y && w === rect.w && h === rect.h ? rect : { ...rect, x, y, w, h };
+}
+
+/** Handle positions of a rect: [[key, x, y]...] in world pixels. */
+export function rectHandles({ x, y, w, h }) {
+  const xs = { l: x, c: x + w / 2, r: x + w };
+  const ys = { t: y, m: y + h / 2, b: y + h };
+  return [
+    ["nw", xs.l, ys.t],
+    ["n", xs.c, ys.t],
+    ["ne", xs.r, ys.t],
+    ["e", xs.r, ys.m],
+    ["se", xs.r, ys.b],
+    ["s", xs.c, ys.b],
+    ["sw", xs.l, ys.b],
+    ["w", xs.l, ys.m],
+  ];
+}
+
+function inRect(r, x, y) {
+  return x >= r.x && y >= r.y && x < r.x + r.w && y < r.y + r.h;
+}
+
+/**
+ * What is under world point (x, y): { kind: "spawn" | "target" | "platform", index }, or for
+ * a resize handle of `selected` ({ kind, index }, checked first) { kind: "handle", index, of: kind, handle }; or null.
+ * `tolerance` is in world pixels.
+ * Spawns are { x, y, w, h } boxes centered on the spawn point. Later items are on top.
+ */
+export function hitTest({ platforms, targets, spawns, selected }, x, y, tolerance) {
+  const sel = selected && { platform: platforms, target: targets }[selected.kind]?.[selected.index];
+  if (sel) {
+    const hit = rectHandles(sel).find(([, hx, hy]) => Math.abs(hx - x) <= tolerance && Math.abs(hy - y) <= tolerance);
+    if (hit) return { kind: "handle", index: selected.index, of: selected.kind, handle: hit[0] };
+  }
+  const lists = [
+    ["spawn", spawns.map((s) => ({ x: s.x - s.w / 2, y: s.y - s.h / 2, w: s.w, h: s.h }))],
+    ["target", targets],
+    ["platform", platforms],
+  ];
+  for (const [kind, list] of lists) {
+    for (let i = list.length - 1; i >= 0; i--) if (inRect(list[i], x, y)) return { kind, index: i };
+  }
+  return null;
+}
+
+/** A coin centered on (x, y), snapped and inside the world. */
+export function createTarget(x, y, world, { grid, snap, targetSize } = LEVEL_DEFAULTS) {
+  const s = targetSize;
+  return {
+    x: clamp(snapValue(x - s / 2, grid, snap), 0, world.width - s),
+    y: clamp(snapValue(y - s / 2, grid, snap), 0, world.height - s),
+    w: s,
+    h: s,
+    type: "coin",
+  };
+}
+
+/** A starter layout (ground plus one ledge) so a new level is playable straight away. */
+export function defaultPlatforms(world) {
+  const { width: W, height: H } = world;
+  const ground = Math.max(LEVEL_DEFAULTS.minSize, Math.round(H / 12));
+  return [
+    { x: 0, y: H - ground, w: W, h: ground },
+    { x: Math.round(W / 4), y: Math.round(H * 0.7), w: Math.round(W / 4), h: 24 },
+  ];
+}
@@ -0,0 +1,300 @@
+/**
+ * Palette utilities: file formats (GPL, .hex, PAL, ASE), extraction from images and color remapping.
+ * Colors are lowercase "#rrggbb" strings. Pure functions only. No React imports here.
+ */
+import { hexToRgba } from "./canvas.js";
+
+export const DEFAULT_PALETTE = [
+  "#000000",
+  "#ffffff",
+  "#ef4444",
+  "#f59e0b",
+  "#10b981",
+  "#3b82f6",
+  "#8b5cf6",
+  "#ec4899",
+  "#78350f",
+  "#6b7280",
+];
+
+export const PaletteFormats = {
+  gpl: { label: "GIMP (.gpl)", ext: ".gpl", mime: "text/plain" },
+  hex: { label: "Hex list (.hex)", ext: ".hex", mime: "text/plain" },
+  pal: { label: "JASC (.pal)", ext: ".pal", mime: "text/plain" },
+  ase: { label: "Adobe (.ase)", ext: ".ase", mime: "application/octet-stream" },
+};
+
+export function rgbToHex(r, g, b) {
+  const to2 = (n) => Math.max(0, Math.min(255, Math.round(n))).toString(16).padStart(2, "0");
+  return "#" + to2(r) + to2(g) + to2(b);
+}
+
+export function normalizeHex(hex) {
+  const [r, g, b] = hexToRgba(hex);
+  return rgbToHex(r, g, b);
+}
+
+// ------------------------------ Parsing ------------------------------
+/**
+ * Parse a palette file. `name` is used for extension sniffing; content sniffing wins when possible.
+ * Returns { name, colors }. Throws on unrecognized data.
+ */
+export function parsePalette(name, buffer) {
+  const bytes = new Uint8Array(buffer);
+  const magic = String.fromCharCode(...bytes.slice(0, 4));
+  const base = (name || "palette").replace(/\.[^.]+$/, "");
+  if (magic === "ASEF") return { name: base, colors: parseAse(buffer) };
+  if (magic === "RIFF") return { name: base, colors: parseRiffPal(buffer) };
+
+  const text = new TextDecoder().decode(bytes);
+  const first = text.trimStart().split(/\r?\n/, 1)[0].trim();
+  let colors;
+  if (first === "GIMP Palette") colors = parseGpl(text);
+  else if (first === "JASC-PAL") colors = parseJascPal(text);
+  else colors = parseHexList(text);
+  if (!colors.length) throw new Error(`No colors found in ${name || "palette"}`);
+  return { name: base, colors };
+}
+
+function parseGpl(text) {
+  const out = [];
+  for (const line of text.split(/\r?\n/).slice(1)) {
+    const t = line.trim();
+    if (!t || t.startsWith("#") || /^(Name|Columns):/i.test(t)) continue;
+    const m = /^(\d+)\s+(\d+)\s+(\d+)/.exec(t);
+    if (m) out.push(rgbToHex(+m[1], +m[2], +m[3]));
+  }
+  return out;
+}
+
+function parseJascPal(text) {
+  const lines = text.split(/\r?\n/).map((l) => l.trim());
+  const count = parseInt(lines[2], 10) || 0;
+  const out = [];
+  for (const line of lines.slice(3, 3 + count)) {
+    const m = /^(\d+)\s+(\d+)\s+(\d+)/.exec(line);
+    if (m) out.push(rgbToHex(+m[1], +m[2], +m[3]));
+  }
+  return out;
+}
+
+function parseHexList(text) {
+  const out = [];
+  for (const line of text.split(/\r?\n/)) {
+    const m = /^\s*#?([0-9a-f]{6})(?:[0-9a-f]{2})?\s*$/i.exec(line);
+    if (m) out.push("#" + m[1].toLowerCase());
+  }
+  return out;
+}
+
+// Microsoft RIFF palette: "RIFF" <size> "PAL " "data" <size> <version u16> <count u16> [r g b flags]*
+function parseRiffPal(buffer) {
+  const v = new DataView(buffer);
+  let p = 12;
+  while (p + 8 <= v.byteLength) {
+    const id = String.fromCharCode(...new Uint8Array(buffer, p, 4));
+    const size = v.getUint32(p + 4, true);
+    if (id === "data") {
+      const count = v.getUint16(p + 10, true);
+      const out = [];
+      for (let i = 0; i < count; i++) {
+        const o = p + 12 + i * 4;
+        out.push(rgbToHex(v.getUint8(o), v.getUint8(o + 1), v.getUint8(o + 2)));
+      }
+      return out;
+    }
+    p += 8 + size + (size & 1);
+  }
+  throw new Error("RIFF palette has no data chunk");
+}
+
+// Adobe Swatch Exchange: big-endian blocks; color entries carry a UTF-16 name, a model and float values
+function parseAse(buffer) {
+  const v = new DataView(buffer);
+  const blocks = v.getUint32(8);
+  const out = [];
+  let p = 12;
+  for (let b = 0; b < blocks && p + 6 <= v.byteLength; b++) {
+    const type = v.getUint16(p);
+    const len = v.getUint32(p + 2);
+    const body = p + 6;
+    if (type === 0x0001) {
+      const nameLen = v.getUint16(body);
+      let q = body + 2 + nameLen * 2;
+      const model = String.fromCharCode(...new Uint8Array(buffer, q, 4)).trim();
+      q += 4;
+      const f = (i) => v.getFloat32(q + i * 4);
+      if (model === "RGB") out.push(rgbToHex(f(0) * 255, f(1) * 255, f(2) * 255));
+      else if (model === "Gray") out.push(rgbToHex(f(0) * 255, f(0) * 255, f(0) * 255));
+      else if (model === "CMYK") {
+        const k = 1 - f(3);
+        out.push(rgbToHex(255 * (1 - f(0)) * k, 255 * (1 - f(1)) * k, 255 * (1 - f(2)) * k));
+      }
+      // LAB entries are skipped (no reliable conversion without a white point)
+    }
+    p = body + len;
+  }
+  return out;
+}
+
+// ------------------------------ Writing ------------------------------
+/**
+ * Serialize colors to a palette format. Returns a Blob.
+ */
+export function formatPalette(colors, format = "gpl", name = "Sprite Studio") {
+  const rgb = colors.map((c) => hexToRgba(c).slice(0, 3));
+  const fmt = PaletteFormats[format];
+  if (!fmt) throw new Error(`Unknown palette format "${format}"`);
+  if (format === "ase") return new Blob([writeAse(colors)], { type: fmt.mime });
+
+  let text;
+  if (format === "gpl") {
+    const pad = (n) => String(n).padStart(3);
+    const rows = rgb.map(([r, g, b], i) => `${pad(r)} ${pad(g)} ${pad(b)}\t${colors[i]}`);
+    text = ["GIMP Palette", `Name: ${name}`, `Columns: ${Math.min(16, colors.length)}`, "#", ...rows].join("\n");
+  } else if (format === "pal") {
+    text = ["JASC-PAL", "0100", String(colors.length), ...rgb.map((c) => c.join(" "))].join("\r\n");
+  } else {
+    text = colors.map((c) => c.slice(1)).join("\n");
+  }
+  return new Blob([text + "\n"], { type: fmt.mime });
+}
+
+function writeAse(colors) {
+  const entries = colors.map((hex) => {
+    const name = hex + "\0";
+    const len = 2 + name.length * 2 + 4 + 12 + 2;
+    return { hex, name, len };
+  });
+  const size = 12 + entries.reduce((n, e) => n + 6 + e.len, 0);
+  const v = new DataView(new ArrayBuffer(size));
+  [65, 83, 69, 70].forEach((c, i) => v.setUint8(i, c)); // "ASEF"
+  v.setUint16(4, 1);
+  v.setUint16(6, 0);
+  v.setUint32(8, entries.length);
+  let p = 12;
+  for (const e of entries) {
+    v.setUint16(p, 0x0001);
+    v.setUint32(p + 2, e.len);
+    p += 6;
+    v.setUint16(p, e.name.length);
+    p += 2;
+    for (let i = 0; i < e.name.length; i++, p += 2) v.setUint16(p, e.name.charCodeAt(i));
+    [82, 71, 66, 32].forEach((c, i) => v.setUint8(p + i, c)); // "RGB "
+    p += 4;
+    const [r, g, b] = hexToRgba(e.hex);
+    v.setFloat32(p, r / 255);
+    v.setFloat32(p + 4, g / 255);
+    v.setFloat32(p + 8, b / 255);
+    p += 12;
+    v.setUint16(p, 2); // normal (not global/spot)
+    p += 2;
+  }
+  return v.buffer;
+}
+
+// ------------------------------ Extraction & matching ------------------------------
+/**
+ * Median-cut quantization of opaque pixels. `pixels` is RGBA data (Uint8ClampedArray).
+ * Returns up to `n` hex colors, most populous first.
+ */
+export function medianCut(pixels, n = 16, alphaThreshold = 128) {
+  const pts = [];
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (pixels[i + 3] >= alphaThreshold) pts.push([pixels[i], pixels[i + 1], pixels[i + 2]]);
+  }
+  if (!pts.length) return [];
+  let boxes = [pts];
+  while (boxes.length < n) {
+    // Split the box with the widest channel range
+    let best = -1,
+      bestRange = 0,
+      bestCh = 0;
+    boxes.forEach((box, bi) => {
+      if (box.length < 2) return;
+      for (let ch = 0; ch < 3; ch++) {
+        let lo = 255,
+          hi = 0;
+        for (const p of box) {
+          if (p[ch] < lo) lo = p[ch];
+          if (p[ch] > hi) hi = p[ch];
+        }
+        if (hi - lo > bestRange) {
+          bestRange = hi - lo;
+          best = bi;
+          bestCh = ch;
+        }
+      }
+    });
+    if (best < 0) break;
+    const box = boxes[best].sort((a, b) => a[bestCh] - b[bestCh]);
+    const mid = box.length >> 1;
+    boxes.splice(best, 1, box.slice(0, mid), box.slice(mid));
+  }
+  return boxes
+    .sort((a, b) => b.length - a.length)
+    .map((box) => {
+      const s = box.reduce((acc, p) => [acc[0] + p[0], acc[1] + p[1], acc[2] + p[2]], [0, 0, 0]);
+      return rgbToHex(s[0] / box.length, s[1] / box.length, s[2] / box.length);
+    })
+    .filter((c, i, arr) => arr.indexOf(c) === i);
+}
+
+/**
+ * Palette of an image: its exact colors when there are at most `maxColors`, else median-cut.
+ */
+export function extractPalette(imageData, maxColors = 32) {
+  const d = imageData.data;
+  const counts = new Map();
+  for (let i = 0; i < d.length; i += 4) {
+    if (d[i + 3] < 128) continue;
+    const key = rgbToHex(d[i], d[i + 1], d[i + 2]);
+    counts.set(key, (counts.get(key) || 0) + 1);
+    if (counts.size > maxColors) return medianCut(d, maxColors);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([c]) => c);
+}
+
+export function nearestColor(hex, palette) {
+  if (!palette.length) return hex;
+  const [r, g, b] = hexToRgba(hex);
+  let best = palette[0],
+    bestD = Infinity;
+  for (const c of palette) {
+    const [pr, pg, pb] = hexToRgba(c);
+    // Weighted RGB distance (cheap perceptual approximation)
+    const d = 2 * (pr - r) ** 2 + 4 * (pg - g) ** 2 + 3 * (pb - b) ** 2;
+    if (d < bestD) {
+      bestD = d;
+      best = c;
+    }
+  }
+  return best;
+}
+
+/**
+ * Indices (pixel offsets) of opaque pixels in `imageData` whose RGB equals `hex`.
+ */
+export function pixelsOfColor(imageData, hex) {
+  const [r, g, b] = hexToRgba(hex);
+  const d = imageData.data;
+  const out = [];
+  for (let i = 0, p = 0; i < d.length; i += 4, p++) {
+    if (d[i + 3] > 0 && d[i] === r && d[i + 1] === g && d[i + 2] === b) out.push(p);
+  }
+  return Int32Array.from(out);
+}
+
+/**
+ * Copy of `imageData` with the listed pixels set to `hex` (alpha preserved).
+ */
+export function recolorPixels(imageData, indices, hex) {
+  const [r, g, b] = hexToRgba(hex);
+  const out = new ImageData(new Uint8ClampedArray(imageData.data), imageData.width, imageData.height);
+  for (const p of indices) {
+    out.data[p * 4] = r;
+    out.data[p * 4 + 1] = g;
+    out.data[p * 4 + 2] = b;
+  }
+  return out;
+}
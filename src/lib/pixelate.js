@@ -0,0 +1,236 @@
+/**
+ * Import pipeline that turns photos and generated images into pixel art:
+ * fit to a target size, area-averaging downsample, alpha threshold, then quantization to N colors
+ * (median cut or k-means) or to the project palette, with optional Floyd–Steinberg or ordered dithering.
+ * Images are ImageData-like { width, height, data }. Pure functions only. No React imports here.
+ */
+import { hexToRgba } from "./canvas.js";
+import { medianCut, rgbToHex } from "./palette.js";
+import { bayer4 } from "./brush.js";
+
+export const FitModes = {
+  contain: "Fit",
+  cover: "Fill (crop)",
+  stretch: "Stretch",
+};
+
+export const QuantizeModes = {
+  none: "Keep colors",
+  median: "Median cut",
+  kmeans: "K-means",
+  project: "Project palette",
+};
+
+export const DitherModes = {
+  none: "None",
+  floyd: "Floyd–Steinberg",
+  ordered: "Ordered (Bayer)",
+};
+
+export const PIXELATE_DEFAULTS = {
+  width: 64,
+  height: 64,
+  fit: "contain",
+  quantize: "median",
+  colors: 16,
+  dither: "none",
+  alphaThreshold: 128,
+};
+
+/**
+ * Source crop and destination rect for fitting a sw×sh image into w×h.
+ * "contain" letterboxes, "cover" crops the source centrally, "stretch" ignores aspect.
+ */
+export function fitRects(sw, sh, w, h, fit = "contain") {
+  const full = { x: 0, y: 0, w: sw, h: sh };
+  if (fit === "stretch") return { src: full, dst: { x: 0, y: 0, w, h } };
+  if (fit === "cover") {
+    const s = Math.max(w / sw, h / sh);
+    const cw = w / s,
+      ch = h / s;
+    return { src: { x: (sw - cw) / 2, y: (sh - ch) / 2, w: cw, h: ch }, dst: { x: 0, y: 0, w, h } };
+  }
+  const s = Math.min(w / sw, h / sh);
+  const dw = Math.max(1, Math.round(sw * s)),
+    dh = Math.max(1, Math.round(sh * s));
+  return { src: full, dst: { x: Math.floor((w - dw) / 2), y: Math.floor((h - dh) / 2), w: dw, h: dh } };
+}
+
+/**
+ * Box-filter resample of the (fractional) `rect` of `src` to dw×dh. Every source pixel counts by the
+ * area it covers; colors are alpha-weighted so transparent pixels do not darken edges.
+ */
+export function areaDownsample(src, rect, dw, dh) {
+  const { width: W, height: H, data: d } = src;
+  const out = new Uint8ClampedArray(dw * dh * 4);
+  const fx = rect.w / dw,
+    fy = rect.h / dh;
+  for (let j = 0; j < dh; j++) {
+    const y0 = rect.y + j * fy,
+      y1 = y0 + fy;
+    for (let i = 0; i < dw; i++) {
+      const x0 = rect.x + i * fx,
+        x1 = x0 + fx;
+      let r = 0,
+        g = 0,
+        b = 0,
+        a = 0,
+        area = 0;
+      for (let y = Math.max(0, Math.floor(y0)); y < Math.min(H, Math.ceil(y1)); y++) {
+        const wy = Math.min(y + 1, y1) - Math.max(y, y0);
+        for (let x = Math.max(0, Math.floor(x0)); x < Math.min(W, Math.ceil(x1)); x++) {
+          const wgt = wy * (Math.min(x + 1, x1) - Math.max(x, x0));
+          const o = (x + y * W) * 4;
+          const wa = d[o + 3] * wgt;
+          r += d[o] * wa;
+          g += d[o + 1] * wa;
+          b += d[o + 2] * wa;
+          a += wa;
+          area += wgt;
+        }
+      }
+      const o = (i + j * dw) * 4;
+      if (a > 0) {
+        out[o] = r / a;
+        out[o + 1] = g / a;
+        out[o + 2] = b / a;
+        out[o + 3] = a / area;
+      }
+    }
+  }
+  return { width: dw, height: dh, data: out };
+}
+
+/**
+ * K-means palette of the opaque pixels, seeded with median cut. Returns up to `n` hex colors.
+ */
+export function kMeans(pixels, n = 16, { iterations = 8, alphaThreshold = 128 } = {}) {
+  const centers = medianCut(pixels, n, alphaThreshold).map((hex) => hexToRgba(hex).slice(0, 3));
+  if (!centers.length) return [];
+  const pts = [];
+  const step = Math.max(1, Math.floor(pixels.length / 4 / 20000)) * 4; // sample large images
+  for (let i = 0; i < pixels.length; i += step) {
+    if (pixels[i + 3] >= alphaThreshold) pts.push(pixels[i], pixels[i + 1], pixels[i + 2]);
+  }
+  for (let it = 0; it < iterations; it++) {
+    const sums = centers.map(() => [0, 0, 0, 0]);
+    for (let i = 0; i < pts.length; i += 3) {
+      const s = sums[nearestIndex(centers, pts[i], pts[i + 1], pts[i + 2])];
+      s[0] += pts[i];
+      s[1] += pts[i + 1];
+      s[2] += pts[i + 2];
+      s[3]++;
+    }
+    let moved = false;
+    sums.forEach((s, k) => {
+      if (!s[3]) return; // empty cluster keeps its seed
+      const c = [s[0] / s[3], s[1] / s[3], s[2] / s[3]];
+      if (c.some((v, ch) => Math.abs(v - centers[k][ch]) > 0.5)) moved = true;
+      centers[k] = c;
+    });
+    if (!moved) break;
+  }
+  return centers.map((c) => rgbToHex(c[0], c[1], c[2])).filter((c, i, arr) => arr.indexOf(c) === i);
+}
+
+function nearestIndex(pal, r, g, b) {
+  let best = 0,
+    bestD = Infinity;
+  for (let k = 0; k < pal.length; k++) {
+    const dist = (r - pal[k][0]) ** 2 + (g - pal[k][1]) ** 2 + (b - pal[k][2]) ** 2;
+    if (dist < bestD) {
+      bestD = dist;
+      best = k;
+    }
+  }
+  return best;
+}
+
+/**
+ * Hard alpha (below `alphaThreshold` becomes transparent, the rest opaque) and, when `palette` has
+ * colors, every opaque pixel mapped to it with the chosen dithering. Returns a new image.
+ */
+export function quantize(img, palette, { dither = "none", alphaThreshold = 128 } = {}) {
+  const { width: w, height: h } = img;
+  const out = new Uint8ClampedArray(img.data);
+  const pal = palette.map((hex) => hexToRgba(hex));
+  const thr = Math.max(1, alphaThreshold);
+  const err = dither === "floyd" && pal.length ? new Float32Array(w * h * 3) : null;
+  const spread = 255 / Math.cbrt(Math.max(2, pal.length)); // ordered dither amplitude ~ palette step
+  const cache = new Map();
+  const lookup = (r, g, b) => {
+    const key = (r << 16) | (g << 8) | b;
+    let k = cache.get(key);
+    if (k === undefined) cache.set(key, (k = nearestIndex(pal, r, g, b)));
+    return k;
+  };
+  const push = (x, y, er, eg, eb, f) => {
+    if (x < 0 || x >= w || y >= h) return;
+    const e = (x + y * w) * 3;
+    err[e] += er * f;
+    err[e + 1] += eg * f;
+    err[e + 2] += eb * f;
+  };
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = x + y * w,
+        o = i * 4;
+      if (out[o + 3] < thr) {
+        out.fill(0, o, o + 4);
+        continue;
+      }
+      out[o + 3] = 255;
+      if (!pal.length) continue;
+      let r = out[o],
+        g = out[o + 1],
+        b = out[o + 2];
+      if (err) {
+        r += err[i * 3];
+        g += err[i * 3 + 1];
+        b += err[i * 3 + 2];
+      } else if (dither === "ordered") {
+        const t = (bayer4(x, y) - 0.5) * spread;
+        r += t;
+        g += t;
+        b += t;
+      }
+      const clampByte = (v) => (v < 0 ? 0 : v > 255 ? 255 : Math.round(v));
+      const c = pal[lookup(clampByte(r), clampByte(g), clampByte(b))];
+      out[o] = c[0];
+      out[o + 1] = c[1];
+      out[o + 2] = c[2];
+      if (err) {
+        const er = r - c[0],
+          eg = g - c[1],
+          eb = b - c[2];
+        push(x + 1, y, er, eg, eb, 7 / 16);
+        push(x - 1, y + 1, er, eg, eb, 3 / 16);
+        push(x, y + 1, er, eg, eb, 5 / 16);
+        push(x + 1, y + 1, er, eg, eb, 1 / 16);
+      }
+    }
+  }
+  return { width: w, height: h, data: out };
+}
+
+/**
+ * Full pipeline: `src` fitted into opts.width × opts.height, downsampled and quantized.
+ * `projectPalette` is used when opts.quantize is "project". Returns { image, palette }.
+ */
+export function pixelate(src, opts = {}, projectPalette = []) {
+  const o = { ...PIXELATE_DEFAULTS, ...opts };
+  const { src: rect, dst } = fitRects(src.width, src.height, o.width, o.height, o.fit);
+  const small = areaDownsample(src, rect, dst.w, dst.h);
+  const placed = new Uint8ClampedArray(o.width * o.height * 4);
+  for (let y = 0; y < dst.h; y++) {
+    placed.set(small.data.subarray(y * dst.w * 4, (y + 1) * dst.w * 4), ((dst.y + y) * o.width + dst.x) * 4);
+  }
+  const thr = Math.max(1, o.alphaThreshold);
+  let palette = [];
+  if (o.quantize === "project") palette = projectPalette;
+  else if (o.quantize === "median") palette = medianCut(placed, o.colors, thr);
+  else if (o.quantize === "kmeans") palette = kMeans(placed, o.colors, { alphaThreshold: thr });
+  const image = quantize({ width: o.width, height: o.height, data: placed }, palette, o);
+  return { image, palette };
+}
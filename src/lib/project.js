@@ -0,0 +1,245 @@
+/**
+ * Project document (.sprite.json) for Sprite Studio.
+ * Serializes editor frames/layers (as PNG data URIs) plus studio state into a versioned JSON document,
+ * and re-opens it with migration + validation.
+ * Layers still holding exactly what their background recipe generates are saved as the recipe alone.
+ */
+import { createPixelCanvas, loadImage } from "./canvas.js";
+import { BACKGROUND_GENERATOR_VERSION, backgroundFromRecipe } from "./background.js";
+import { BlendModes, createFrame, createLayer } from "./layers.js";
+import { LoopModes, createTag } from "./animation.js";
+
+export const PROJECT_FORMAT = "sprite-studio-project";
+export const PROJECT_VERSION = 1;
+export const PROJECT_EXTENSION = ".sprite.json";
+
+/**
+ * Migrations keyed by the version they upgrade FROM. Each returns a document one version newer.
+ * Example for a future v2: `1: (doc) => ({ ...doc, version: 2, newField: defaultValue })`.
+ */
+const MIGRATIONS = {};
+
+export function migrateProject(doc) {
+  let out = doc;
+  while (out && typeof out.version === "number" && out.version < PROJECT_VERSION) {
+    const step = MIGRATIONS[out.version];
+    if (!step) throw new Error(`No migration from project version ${out.version}`);
+    out = step(out);
+  }
+  return out;
+}
+
+// ------------------------------ Frames <-> JSON ------------------------------
+function pixelHash(canvas) {
+  const { data } = canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+  let h = 2166136261 >>> 0; // FNV-1a
+  for (let i = 0; i < data.length; i++) h = Math.imul(h ^ data[i], 16777619) >>> 0;
+  return h;
+}
+
+// Hash of the pixels each recipe regenerates at a given size, computed once per recipe
+const recipeHashes = new WeakMap();
+
+// True when the layer can be rebuilt from its recipe, i.e. it was not painted on since
+function matchesRecipe(layer) {
+  if (!layer.recipe) return false;
+  const { width: w, height: h } = layer.canvas;
+  const key = `${w}x${h}`;
+  let hashes = recipeHashes.get(layer.recipe);
+  if (!hashes) recipeHashes.set(layer.recipe, (hashes = {}));
+  try {
+    hashes[key] ??= pixelHash(backgroundFromRecipe(w, h, layer.recipe));
+  } catch {
+    return false;
+  }
+  return hashes[key] === pixelHash(layer.canvas);
+}
+
+export function serializeFrames(frames) {
+  return frames.map((f) => ({
+    id: f.id,
+    duration: f.duration ?? null,
+    layers: f.layers.map((l) => ({
+      id: l.id,
+      name: l.name,
+      visible: l.visible,
+      opacity: l.opacity,
+      locked: l.locked,
+      blend: l.blend,
+      ...(l.recipe && { recipe: l.recipe }),
+      ...(!matchesRecipe(l) && { png: l.canvas.toDataURL("image/png") }),
+    })),
+  }));
+}
+
+export async function deserializeFrames(data, w, h) {
+  return Promise.all(
+    data.map(async (f) =>
+      createFrame(w, h, {
+        id: f.id,
+        duration: f.duration,
+        layers: await Promise.all(
+          f.layers.map(async (l) => {
+            if (!l.png && l.recipe) return createLayer(w, h, { ...l, canvas: backgroundFromRecipe(w, h, l.recipe) });
+            const canvas = createPixelCanvas(w, h);
+            if (l.png) {
+              const img = await loadImage(l.png);
+              canvas.getContext("2d").drawImage(img, 0, 0);
+            }
+            return createLayer(w, h, { ...l, canvas });
+          })
+        ),
+      })
+    )
+  );
+}
+
+// ------------------------------ Document ------------------------------
+/**
+ * Build a project document.
+ * `editor` is the CanvasEditor snapshot ({ spriteW, spriteH, fps, color, palette, indexed, attributes, frames, tags });
+ * `studio` is { world, characters, background, platforms }.
+ */
+export function serializeProject({ editor, studio }) {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    sprite: {
+      width: editor.spriteW,
+      height: editor.spriteH,
+      fps: editor.fps,
+      color: editor.color,
+      palette: editor.palette.slice(),
+      indexed: !!editor.indexed,
+    },
+    attributes: { ...editor.attributes },
+    frames: serializeFrames(editor.frames),
+    tags: (editor.tags || []).map((t) => ({ ...t })),
+    world: { ...studio.world },
+    characters: studio.characters || [],
+    background: studio.background ?? null,
+    platforms: studio.platforms || [],
+  };
+}
+
+/**
+ * Schema check. Returns an array of human-readable violations (empty when valid).
+ */
+export function validateProject(doc) {
+  const errs = [];
+  const isObj = (v) => v && typeof v === "object" && !Array.isArray(v);
+  const isInt = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+  const isHex = (v) => typeof v === "string" && /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(v);
+
+  if (!isObj(doc)) return ["Project is not a JSON object"];
+  if (doc.format !== PROJECT_FORMAT) errs.push(`Unknown format "${doc.format}"`);
+  if (!Number.isInteger(doc.version)) errs.push("Missing project version");
+  else if (doc.version > PROJECT_VERSION)
+    errs.push(`Project version ${doc.version} is newer than supported (${PROJECT_VERSION})`);
+
+  const s = doc.sprite;
+  if (!isObj(s)) errs.push("Missing sprite settings");
+  else {
+    if (!isInt(s.width, 1, 1024) || !isInt(s.height, 1, 1024)) errs.push("Sprite size must be 1..1024");
+    if (!isInt(s.fps, 1, 60)) errs.push("fps must be an integer 1..60");
+    if (!isHex(s.color)) errs.push("Invalid current color");
+    if (!Array.isArray(s.palette) || !s.palette.every(isHex)) errs.push("Palette must be a list of hex colors");
+    if (s.indexed != null && typeof s.indexed !== "boolean") errs.push("Indexed mode must be a boolean");
+  }
+
+  const a = doc.attributes;
+  if (!isObj(a) || ["jump", "slide", "punch"].some((k) => typeof a[k] !== "boolean"))
+    errs.push("Attributes must have boolean jump/slide/punch");
+
+  if (!Array.isArray(doc.frames) || doc.frames.length === 0) errs.push("Project needs at least one frame");
+  else
+    doc.frames.forEach((f, i) => {
+      if (!isObj(f) || !Array.isArray(f.layers) || f.layers.length === 0) {
+        errs.push(`Frame #${i + 1} has no layers`);
+        return;
+      }
+      if (f.duration != null && !isInt(f.duration, 1, 60000)) errs.push(`Frame #${i + 1} duration must be 1..60000 ms`);
+      f.layers.forEach((l, j) => {
+        const where = `Frame #${i + 1} layer #${j + 1}`;
+        if (!isObj(l)) return errs.push(`${where} is not an object`);
+        if (l.png != null && !(typeof l.png === "string" && l.png.startsWith("data:image/")))
+          errs.push(`${where} pixels must be an image data URI`);
+        const regenerable = isObj(l.recipe) && l.recipe.version === BACKGROUND_GENERATOR_VERSION;
+        if (l.png == null && l.recipe != null && !regenerable)
+          errs.push(`${where} has no pixels and a background recipe this version cannot regenerate`);
+        if (l.blend != null && !BlendModes[l.blend]) errs.push(`${where} has unknown blend "${l.blend}"`);
+        if (l.opacity != null && !(typeof l.opacity === "number" && l.opacity >= 0 && l.opacity <= 1))
+          errs.push(`${where} opacity must be 0..1`);
+      });
+    });
+
+  // Tags are optional (older v1 documents have none)
+  if (doc.tags != null) {
+    const ids = new Set(Array.isArray(doc.frames) ? doc.frames.map((f) => f?.id) : []);
+    if (!Array.isArray(doc.tags)) errs.push("Tags must be a list");
+    else
+      doc.tags.forEach((t, i) => {
+        const where = `Tag #${i + 1}`;
+        if (!isObj(t) || typeof t.name !== "string" || !t.name) return errs.push(`${where} needs a name`);
+        if (!ids.has(t.from) || !ids.has(t.to)) errs.push(`${where} ("${t.name}") refers to missing frames`);
+        if (t.loop != null && !LoopModes[t.loop]) errs.push(`${where} has unknown loop mode "${t.loop}"`);
+      });
+  }
+
+  const w = doc.world;
+  if (!isObj(w) || !Number.isFinite(w.width) || !Number.isFinite(w.height) || !Number.isFinite(w.gravity))
+    errs.push("World must have numeric width/height/gravity");
+  if (!Array.isArray(doc.characters)) errs.push("Characters must be a list");
+  else if (doc.characters.some((c) => !isObj(c))) errs.push("Each character must be an object");
+  if (doc.background != null && !isObj(doc.background)) errs.push("Background must be an object or null");
+  const rect = (r) => isObj(r) && [r.x, r.y, r.w, r.h].every(Number.isFinite);
+  if (doc.platforms != null && !(Array.isArray(doc.platforms) && doc.platforms.every(rect)))
+    errs.push("Platforms must be a list of { x, y, w, h } rects");
+
+  return errs;
+}
+
+/**
+ * Parse a .sprite.json file's text and decode it (see decodeProject).
+ */
+export async function parseProject(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new Error("Project file is not valid JSON");
+  }
+  return decodeProject(doc);
+}
+
+/**
+ * Migrate, validate and decode a project document object.
+ * Resolves to { editor, studio } ready to hand to CanvasEditor / SpriteStudio; throws on invalid input.
+ */
+export async function decodeProject(input) {
+  const doc = migrateProject(input);
+  const errs = validateProject(doc);
+  if (errs.length) throw new Error(`Invalid project:\n- ${errs.join("\n- ")}`);
+
+  const { width, height } = doc.sprite;
+  return {
+    editor: {
+      spriteW: width,
+      spriteH: height,
+      fps: doc.sprite.fps,
+      color: doc.sprite.color,
+      palette: doc.sprite.palette,
+      indexed: !!doc.sprite.indexed,
+      attributes: { ...doc.attributes },
+      frames: await deserializeFrames(doc.frames, width, height),
+      tags: (doc.tags || []).map((t) => createTag(t.name, t.from, t.to, t)),
+    },
+    studio: {
+      world: { ...doc.world },
+      characters: doc.characters,
+      background: doc.background,
+      platforms: doc.platforms || [],
+    },
+  };
+}
@@ -13,6 +13,9 @@ export const CONSTRAINTS = {
   bgMaxMB: 1.5, // JPEG/WebP preferred
   spriteMaxMB: 1.0,
   maxCharacters: 3,
+  minPlatforms: 2,
+  maxAnimationFrames: 32,
+  frameRate: { min: 1, max: 30 },
   canvasMax: { w: 1280, h: 720 },
   gravity: { min: 100, max: 3000 },
   moveSpeed: { min: 50, max: 800 },
@@ -29,6 +32,15 @@ export function toScene({ characters, platforms, background, world = {}, control
     id: c.id || `char-${i + 1}`,
     name: c.name || "Hero",
     imageUrl: c.imageUrl, // data URI or remote URL (CORS-safe)
+    // Extracted multi-frame characters (see character.js) play their frames while moving
+    ...(c.frames?.length > 1
+      ? {
+          animation: {
+            frames: c.frames.slice(0, CONSTRAINTS.maxAnimationFrames),
+            frameRate: clamp(c.frameRate ?? 8, CONSTRAINTS.frameRate.min, CONSTRAINTS.frameRate.max),
+          },
+        }
+      : {}),
     collider: c.collider
       ? {
           w: clamp(c.collider.w, 8, 256),
@@ -109,11 +121,11 @@ export function validateAssets({ background, characters }) {
   }
 
   (characters || []).forEach((c, i) => {
-    if (c.imageUrl?.startsWith("data:")) {
-      const sz = dataUriBytes(c.imageUrl);
-      const max = CONSTRAINTS.spriteMaxMB * 1024 * 1024;
-      if (sz > max) errs.push(`Character #${i + 1} ${MB(sz)} MB exceeds limit ${CONSTRAINTS.spriteMaxMB} MB`);
-    }
+    // A character's animation frames count towards its sprite budget
+    const urls = new Set([c.imageUrl, ...(c.frames || c.animation?.frames || [])]);
+    const sz = [...urls].reduce((n, url) => n + (url?.startsWith("data:") ? dataUriBytes(url) : 0), 0);
+    const max = CONSTRAINTS.spriteMaxMB * 1024 * 1024;
+    if (sz > max) errs.push(`Character #${i + 1} ${MB(sz)} MB exceeds limit ${CONSTRAINTS.spriteMaxMB} MB`);
   });
 
   if ((characters || []).length > CONSTRAINTS.maxCharacters) {
@@ -122,3 +134,91 @@ export function validateAssets({ background, characters }) {
 
   return errs;
 }
+
+// Image sources a generated game may load: embedded images, or https URLs (the host must send CORS headers)
+const IMAGE_URL = /^(data:image\/(png|jpeg|webp|gif);base64,[A-Za-z0-9+/=]+|https:\/\/[^\s"'<>\\]+)$/;
+const KEY_NAME = /^[A-Z0-9]$/;
+
+/** Whether `url` is an image source the harness is allowed to load. */
+export function isAllowedImageUrl(url) {
+  return typeof url === "string" && IMAGE_URL.test(url);
+}
+
+/**
+ * Guardrails run before any game files are written: numeric ranges, image URLs and arrays
+ * of a SCENE (see toScene). Returns an array of violations, like validateAssets.
+ */
+export function validateScene(scene) {
+  const errs = [];
+  const num = (v) => typeof v === "number" && Number.isFinite(v);
+  const inRange = (v, { min, max }) => num(v) && v >= min && v <= max;
+  const { world, background, characters, controls } = scene || {};
+  const rects = (list, label) => {
+    if (!Array.isArray(list)) return errs.push(`${label} must be an array`);
+    list.forEach((r, i) => {
+      if (![r?.x, r?.y, r?.w, r?.h].every(num) || r.w <= 0 || r.h <= 0) {
+        errs.push(`${label} #${i + 1} needs numeric x, y and a positive w, h`);
+      } else if (num(world?.width) && num(world?.height)) {
+        // The world can shrink after the level was drawn
+        if (r.x < 0 || r.y < 0 || r.x + r.w > world.width || r.y + r.h > world.height) {
+          errs.push(`${label} #${i + 1} lies outside the ${world.width}×${world.height} world`);
+        }
+      }
+    });
+  };
+
+  if (!num(world?.width) || !num(world?.height) || world.width < 64 || world.height < 64) {
+    errs.push("World size must be at least 64×64");
+  }
+  if (!inRange(world?.gravity, CONSTRAINTS.gravity)) errs.push("World gravity is out of range");
+
+  if (background?.imageUrl != null && !isAllowedImageUrl(background.imageUrl)) {
+    errs.push("Background image must be an embedded image or an https URL");
+  }
+  if (background?.fit && !["cover", "stretch"].includes(background.fit)) {
+    errs.push(`Unknown background fit "${background.fit}"`);
+  }
+
+  rects(scene?.platforms, "Platform");
+  if (Array.isArray(scene?.platforms) && scene.platforms.length < CONSTRAINTS.minPlatforms) {
+    errs.push(`Draw at least ${CONSTRAINTS.minPlatforms} platforms in the level editor`);
+  }
+  rects(scene?.targets, "Target");
+
+  if (!Array.isArray(characters) || !characters.length) {
+    errs.push("Add at least one character");
+  } else {
+    characters.forEach((c, i) => {
+      const label = `Character #${i + 1}`;
+      if (!isAllowedImageUrl(c.imageUrl)) errs.push(`${label} image must be an embedded image or an https URL`);
+      if (c.animation) {
+        const { frames, frameRate } = c.animation;
+        if (!Array.isArray(frames) || frames.length < 2 || frames.length > CONSTRAINTS.maxAnimationFrames) {
+          errs.push(`${label} animation needs 2 to ${CONSTRAINTS.maxAnimationFrames} frames`);
+        } else if (!frames.every(isAllowedImageUrl)) {
+          errs.push(`${label} animation frames must be embedded images or https URLs`);
+        }
+        if (!inRange(frameRate, CONSTRAINTS.frameRate)) errs.push(`${label} frame rate is out of range`);
+      }
+      if (!/^[\w-]+$/.test(c.id || "")) errs.push(`${label} id may only use letters, digits, "-" and "_"`);
+      const a = c.abilities || {};
+      if (!inRange(a.moveSpeed, CONSTRAINTS.moveSpeed)) errs.push(`${label} move speed is out of range`);
+      if (!inRange(a.jumpVelocity, CONSTRAINTS.jumpVelocity)) errs.push(`${label} jump velocity is out of range`);
+      if (a.shoot && !inRange(a.shoot.projectileSpeed, CONSTRAINTS.projectileSpeed)) {
+        errs.push(`${label} projectile speed is out of range`);
+      }
+      if (a.shoot && !inRange(a.shoot.cooldownMs, CONSTRAINTS.cooldownMs)) {
+        errs.push(`${label} cooldown is out of range`);
+      }
+      if (!num(c.spawn?.x) || !num(c.spawn?.y)) errs.push(`${label} needs a numeric spawn point`);
+    });
+    const ids = new Set(characters.map((c) => c.id));
+    if (ids.size !== characters.length) errs.push("Character ids must be unique");
+  }
+
+  if (controls && ![controls.resetKey, controls.shootKey].every((k) => k == null || KEY_NAME.test(k))) {
+    errs.push("Reset and shoot keys must be single letters or digits");
+  }
+
+  return errs.concat(validateAssets(scene || {}));
+}
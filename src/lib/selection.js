@@ -0,0 +1,303 @@
+/**
+ * Pixel selections and floating (lifted) pixels for the editor.
+ * A selection is { w, h, mask: Uint8Array(w*h), bounds, edges } in sprite pixel space.
+ * A floating piece is { canvas, mask, x, y } — pixels lifted off a layer while they are moved/transformed.
+ * Pure functions only. No React imports here.
+ */
+import { createPixelCanvas, fillRegion } from "./canvas.js";
+
+export function createSelection(w, h, mask) {
+  const bounds = maskBounds(mask, w, h);
+  if (!bounds) return null;
+  return { w, h, mask, bounds, edges: maskEdges(mask, w, h) };
+}
+
+export function maskBounds(mask, w, h) {
+  let x0 = w,
+    y0 = h,
+    x1 = -1,
+    y1 = -1;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (!mask[x + y * w]) continue;
+      if (x < x0) x0 = x;
+      if (x > x1) x1 = x;
+      if (y < y0) y0 = y;
+      if (y > y1) y1 = y;
+    }
+  }
+  return x1 < 0 ? null : { x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1 };
+}
+
+/**
+ * Outline segments [x0, y0, x1, y1] along mask borders (for marching ants).
+ * Horizontal and vertical runs are merged to keep the count low.
+ */
+export function maskEdges(mask, w, h) {
+  const at = (x, y) => x >= 0 && y >= 0 && x < w && y < h && mask[x + y * w];
+  const segs = [];
+  // Horizontal edges: between row y-1 and y
+  for (let y = 0; y <= h; y++) {
+    let start = -1;
+    for (let x = 0; x <= w; x++) {
+      const edge = x < w && !!at(x, y) !== !!at(x, y - 1);
+      if (edge && start < 0) start = x;
+      if (!edge && start >= 0) {
+        segs.push([start, y, x, y]);
+        start = -1;
+      }
+    }
+  }
+  // Vertical edges: between column x-1 and x
+  for (let x = 0; x <= w; x++) {
+    let start = -1;
+    for (let y = 0; y <= h; y++) {
+      const edge = y < h && !!at(x, y) !== !!at(x - 1, y);
+      if (edge && start < 0) start = y;
+      if (!edge && start >= 0) {
+        segs.push([x, start, x, y]);
+        start = -1;
+      }
+    }
+  }
+  return segs;
+}
+
+export function selectionContains(sel, x, y) {
+  return !!sel && x >= 0 && y >= 0 && x < sel.w && y < sel.h && !!sel.mask[x + y * sel.w];
+}
+
+// ------------------------------ Builders ------------------------------
+export function rectSelection(w, h, x0, y0, x1, y1) {
+  const mask = new Uint8Array(w * h);
+  const ax = Math.max(0, Math.min(x0, x1)),
+    bx = Math.min(w - 1, Math.max(x0, x1));
+  const ay = Math.max(0, Math.min(y0, y1)),
+    by = Math.min(h - 1, Math.max(y0, y1));
+  for (let y = ay; y <= by; y++) mask.fill(1, ax + y * w, bx + y * w + 1);
+  return createSelection(w, h, mask);
+}
+
+export function selectAll(w, h) {
+  return createSelection(w, h, new Uint8Array(w * h).fill(1));
+}
+
+export function invertSelection(sel, w, h) {
+  const mask = new Uint8Array(w * h);
+  for (let i = 0; i < mask.length; i++) mask[i] = sel && sel.mask[i] ? 0 : 1;
+  return createSelection(w, h, mask);
+}
+
+/**
+ * Polygon (lasso) selection. Pixels whose centers fall inside the path (even-odd) are selected,
+ * plus the pixels the path itself passes through.
+ */
+export function lassoSelection(w, h, points) {
+  const mask = new Uint8Array(w * h);
+  const set = (x, y) => {
+    if (x >= 0 && y >= 0 && x < w && y < h) mask[x + y * w] = 1;
+  };
+  const n = points.length;
+  if (n === 0) return null;
+  for (let y = 0; y < h; y++) {
+    const cy = y + 0.5;
+    const xs = [];
+    for (let i = 0; i < n; i++) {
+      const [ax, ay] = points[i];
+      const [bx, by] = points[(i + 1) % n];
+      const pay = ay + 0.5,
+        pby = by + 0.5;
+      if ((pay <= cy && pby > cy) || (pby <= cy && pay > cy)) {
+        xs.push(ax + 0.5 + ((cy - pay) / (pby - pay)) * (bx - ax));
+      }
+    }
+    xs.sort((a, b) => a - b);
+    for (let k = 0; k + 1 < xs.length; k += 2) {
+      for (let x = Math.ceil(xs[k] - 0.5); x + 0.5 <= xs[k + 1]; x++) set(x, y);
+    }
+  }
+  // Include the outline so thin lassos still select something
+  for (let i = 0; i < n; i++) {
+    const [x0, y0] = points[i];
+    const [x1, y1] = points[(i + 1) % n];
+    const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+    for (let s = 0; s <= steps; s++) {
+      set(Math.round(x0 + ((x1 - x0) * s) / steps), Math.round(y0 + ((y1 - y0) * s) / steps));
+    }
+  }
+  return createSelection(w, h, mask);
+}
+
+/**
+ * Magic wand: the region around (x, y) matching its color (scanline fill, see fillRegion).
+ * `opts` are fillRegion's options: tolerance, connectivity, contiguous.
+ */
+export function wandSelection(canvas, x, y, opts = {}) {
+  const img = canvas.getContext("2d", { willReadFrequently: true }).getImageData(0, 0, canvas.width, canvas.height);
+  return createSelection(canvas.width, canvas.height, fillRegion(img, x, y, opts));
+}
+
+// ------------------------------ Masked editing ------------------------------
+/**
+ * Undo any change outside the selection: copies pixels from `before` wherever the mask is 0.
+ */
+export function restoreOutsideMask(canvas, before, sel) {
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  const img = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const A = new Uint32Array(img.data.buffer),
+    B = new Uint32Array(before.data.buffer);
+  for (let i = 0; i < A.length; i++) if (!sel.mask[i]) A[i] = B[i];
+  ctx.putImageData(img, 0, 0);
+}
+
+export function clearSelected(canvas, sel) {
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  const img = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const A = new Uint32Array(img.data.buffer);
+  for (let i = 0; i < A.length; i++) if (sel.mask[i]) A[i] = 0;
+  ctx.putImageData(img, 0, 0);
+}
+
+/**
+ * Paint every selected pixel with `color` (hard-edged; used for filled polygons).
+ */
+export function fillSelection(canvas, sel, color) {
+  const ctx = canvas.getContext("2d");
+  ctx.save();
+  ctx.globalCompositeOperation = "source-over";
+  ctx.fillStyle = color;
+  for (let y = 0; y < sel.h; y++) {
+    let start = -1;
+    for (let x = 0; x <= sel.w; x++) {
+      const on = x < sel.w && sel.mask[x + y * sel.w];
+      if (on && start < 0) start = x;
+      if (!on && start >= 0) {
+        ctx.fillRect(start, y, x - start, 1);
+        start = -1;
+      }
+    }
+  }
+  ctx.restore();
+}
+
+// ------------------------------ Floating pieces ------------------------------
+/**
+ * Copy (and with `cut`, clear) the selected pixels of `canvas` into a floating piece.
+ */
+export function liftSelection(canvas, sel, { cut = false } = {}) {
+  const { x, y, w, h } = sel.bounds;
+  const src = canvas.getContext("2d", { willReadFrequently: true });
+  const img = src.getImageData(x, y, w, h);
+  const mask = new Uint8Array(w * h);
+  const P = new Uint32Array(img.data.buffer);
+  for (let r = 0; r < h; r++) {
+    for (let c = 0; c < w; c++) {
+      const m = sel.mask[x + c + (y + r) * sel.w];
+      mask[c + r * w] = m;
+      if (!m) P[c + r * w] = 0;
+    }
+  }
+  const piece = createPixelCanvas(w, h);
+  piece.getContext("2d").putImageData(img, 0, 0);
+  if (cut) clearSelected(canvas, sel);
+  return { canvas: piece, mask, x, y };
+}
+
+export function floatingFromCanvas(src, x = 0, y = 0) {
+  const piece = createPixelCanvas(src.width, src.height);
+  piece.getContext("2d").drawImage(src, 0, 0);
+  return { canvas: piece, mask: new Uint8Array(src.width * src.height).fill(1), x, y };
+}
+
+export function cloneFloating(f) {
+  return { ...floatingFromCanvas(f.canvas, f.x, f.y), mask: f.mask.slice() };
+}
+
+// Remap pixels + mask through `map(c, r) -> [srcC, srcR]` into a new nw×nh piece
+function remapFloating(f, nw, nh, map) {
+  const sw = f.canvas.width,
+    sh = f.canvas.height;
+  const srcImg = f.canvas.getContext("2d", { willReadFrequently: true }).getImageData(0, 0, sw, sh);
+  const src = new Uint32Array(srcImg.data.buffer);
+  const out = new ImageData(nw, nh);
+  const dst = new Uint32Array(out.data.buffer);
+  const mask = new Uint8Array(nw * nh);
+  for (let r = 0; r < nh; r++) {
+    for (let c = 0; c < nw; c++) {
+      const [sc, sr] = map(c, r);
+      const si = sc + sr * sw;
+      dst[c + r * nw] = src[si];
+      mask[c + r * nw] = f.mask[si];
+    }
+  }
+  const piece = createPixelCanvas(nw, nh);
+  piece.getContext("2d").putImageData(out, 0, 0);
+  return { canvas: piece, mask, x: f.x, y: f.y };
+}
+
+export function flipFloating(f, axis = "h") {
+  const w = f.canvas.width,
+    h = f.canvas.height;
+  return remapFloating(f, w, h, (c, r) => (axis === "h" ? [w - 1 - c, r] : [c, h - 1 - r]));
+}
+
+/**
+ * Rotate 90° (dir 1 = clockwise, -1 = counter-clockwise) around the piece center.
+ */
+export function rotateFloating(f, dir = 1) {
+  const w = f.canvas.width,
+    h = f.canvas.height;
+  const out = remapFloating(f, h, w, (c, r) => (dir > 0 ? [r, h - 1 - c] : [w - 1 - r, c]));
+  out.x = f.x + Math.floor((w - h) / 2);
+  out.y = f.y + Math.floor((h - w) / 2);
+  return out;
+}
+
+/**
+ * Nearest-neighbor scale to nw×nh (top-left anchored).
+ */
+export function scaleFloating(f, nw, nh) {
+  const w = f.canvas.width,
+    h = f.canvas.height;
+  return remapFloating(f, nw, nh, (c, r) => [
+    Math.min(w - 1, Math.floor((c * w) / nw)),
+    Math.min(h - 1, Math.floor((r * h) / nh)),
+  ]);
+}
+
+export function floatingContains(f, x, y) {
+  if (!f) return false;
+  const c = x - f.x,
+    r = y - f.y;
+  const w = f.canvas.width;
+  return c >= 0 && r >= 0 && c < w && r < f.canvas.height && !!f.mask[c + r * w];
+}
+
+/**
+ * Composite a floating piece onto a layer canvas (source-over, clipped by canvas bounds).
+ */
+export function stampFloating(canvas, f) {
+  const ctx = canvas.getContext("2d");
+  ctx.save();
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(f.canvas, f.x, f.y);
+  ctx.restore();
+}
+
+/**
+ * Selection covering a floating piece's mask at its current position.
+ */
+export function floatingSelection(f, w, h) {
+  const mask = new Uint8Array(w * h);
+  const pw = f.canvas.width,
+    ph = f.canvas.height;
+  for (let r = 0; r < ph; r++) {
+    const y = f.y + r;
+    if (y < 0 || y >= h) continue;
+    for (let c = 0; c < pw; c++) {
+      const x = f.x + c;
+      if (x >= 0 && x < w && f.mask[c + r * pw]) mask[x + y * w] = 1;
+    }
+  }
+  return createSelection(w, h, mask);
+}
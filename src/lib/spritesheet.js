@@ -0,0 +1,356 @@
+/**
+ * Spritesheet packing and metadata export.
+ * Frames are packed as a strip, a fixed-column grid or a trimmed shelf-packed atlas, with optional padding
+ * (gap between frames), extrusion (edge pixels repeated outward against texture bleeding) and
+ * power-of-two sheet sizes. Metadata is written as Phaser 3, Aseprite or TexturePacker JSON.
+ * Import goes the other way: sheets are sliced by a grid, by transparent gutters or by a JSON atlas.
+ * Pure functions only. No React imports here.
+ */
+import { createPixelCanvas } from "./canvas.js";
+
+export const SheetLayouts = {
+  strip: "Horizontal strip",
+  grid: "Grid",
+  atlas: "Packed atlas",
+};
+
+export const SheetFormats = {
+  phaser: "Phaser 3 atlas",
+  aseprite: "Aseprite",
+  "tp-hash": "TexturePacker (hash)",
+  "tp-array": "TexturePacker (array)",
+};
+
+export const SHEET_DEFAULTS = {
+  layout: "strip",
+  columns: 4,
+  trim: false,
+  padding: 0,
+  extrude: 0,
+  pot: false,
+  format: "phaser",
+};
+
+const APP = "sprite-studio";
+
+export function nextPow2(n) {
+  let p = 1;
+  while (p < n) p *= 2;
+  return p;
+}
+
+/**
+ * Bounds of the non-transparent pixels of `canvas`, or null when it is empty.
+ */
+export function trimBounds(canvas) {
+  const w = canvas.width,
+    h = canvas.height;
+  const data = canvas.getContext("2d", { willReadFrequently: true }).getImageData(0, 0, w, h).data;
+  let x0 = w,
+    y0 = h,
+    x1 = -1,
+    y1 = -1;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (!data[(x + y * w) * 4 + 3]) continue;
+      if (x < x0) x0 = x;
+      if (x > x1) x1 = x;
+      if (y < y0) y0 = y;
+      if (y > y1) y1 = y;
+    }
+  }
+  return x1 < 0 ? null : { x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1 };
+}
+
+// Shelf packing: tallest first, rows filled left to right up to `maxW`
+function shelfPack(items, maxW, gap) {
+  const order = items.map((_, i) => i).sort((a, b) => items[b].h - items[a].h || items[b].w - items[a].w);
+  const pos = [];
+  let x = 0,
+    y = 0,
+    rowH = 0,
+    width = 0;
+  for (const i of order) {
+    const { w, h } = items[i];
+    if (x > 0 && x + w > maxW) {
+      x = 0;
+      y += rowH + gap;
+      rowH = 0;
+    }
+    pos[i] = { x, y };
+    x += w + gap;
+    rowH = Math.max(rowH, h);
+    width = Math.max(width, x - gap);
+  }
+  return { pos, width, height: y + rowH };
+}
+
+/**
+ * Pack frame canvases (all the same size) into one sheet.
+ * Returns { canvas, width, height, frames: [{ frame, trimmed, spriteSourceSize, sourceSize }] } with one
+ * entry per input frame, in input order. `frame` excludes extrusion.
+ */
+export function packSpritesheet(canvases, opts = {}) {
+  const { layout, columns, trim, padding, extrude, pot } = { ...SHEET_DEFAULTS, ...opts };
+  const sw = canvases[0].width,
+    sh = canvases[0].height;
+  const ex = Math.max(0, extrude | 0),
+    gap = Math.max(0, padding | 0);
+
+  // Source rect of each frame. Only atlases trim (grids keep cells aligned); empty frames keep one pixel.
+  const trimming = layout === "atlas" && trim;
+  const src = canvases.map((c) =>
+    trimming ? trimBounds(c) || { x: 0, y: 0, w: 1, h: 1 } : { x: 0, y: 0, w: sw, h: sh }
+  );
+  const slots = src.map((r) => ({ w: r.w + 2 * ex, h: r.h + 2 * ex }));
+
+  let pos, width, height;
+  if (layout === "atlas") {
+    const area = slots.reduce((n, s) => n + (s.w + gap) * (s.h + gap), 0);
+    const maxW = Math.max(...slots.map((s) => s.w), Math.ceil(Math.sqrt(area)));
+    ({ pos, width, height } = shelfPack(slots, pot ? nextPow2(maxW) : maxW, gap));
+  } else {
+    const cols = layout === "grid" ? Math.max(1, Math.min(columns | 0 || 1, canvases.length)) : canvases.length;
+    const rows = Math.ceil(canvases.length / cols);
+    const cw = sw + 2 * ex,
+      ch = sh + 2 * ex;
+    pos = canvases.map((_, i) => ({ x: (i % cols) * (cw + gap), y: Math.floor(i / cols) * (ch + gap) }));
+    width = cols * cw + (cols - 1) * gap;
+    height = rows * ch + (rows - 1) * gap;
+  }
+  if (pot) {
+    width = nextPow2(width);
+    height = nextPow2(height);
+  }
+
+  const sheet = createPixelCanvas(width, height);
+  const ctx = sheet.getContext("2d");
+  ctx.imageSmoothingEnabled = false;
+  const frames = canvases.map((c, i) => {
+    const r = src[i];
+    const x = pos[i].x + ex,
+      y = pos[i].y + ex;
+    ctx.drawImage(c, r.x, r.y, r.w, r.h, x, y, r.w, r.h);
+    if (ex) extrudeEdges(ctx, c, r, x, y, ex);
+    const trimmed = r.w !== sw || r.h !== sh;
+    return {
+      frame: { x, y, w: r.w, h: r.h },
+      trimmed,
+      spriteSourceSize: { x: r.x, y: r.y, w: r.w, h: r.h },
+      sourceSize: { w: sw, h: sh },
+    };
+  });
+  return { canvas: sheet, width, height, frames };
+}
+
+// Repeat the outermost pixels of the source rect `n` times around the placed frame
+function extrudeEdges(ctx, c, r, x, y, n) {
+  const { x: sx, y: sy, w, h } = r;
+  ctx.drawImage(c, sx, sy, w, 1, x, y - n, w, n); // top
+  ctx.drawImage(c, sx, sy + h - 1, w, 1, x, y + h, w, n); // bottom
+  ctx.drawImage(c, sx, sy, 1, h, x - n, y, n, h); // left
+  ctx.drawImage(c, sx + w - 1, sy, 1, h, x + w, y, n, h); // right
+  ctx.drawImage(c, sx, sy, 1, 1, x - n, y - n, n, n);
+  ctx.drawImage(c, sx + w - 1, sy, 1, 1, x + w, y - n, n, n);
+  ctx.drawImage(c, sx, sy + h - 1, 1, 1, x - n, y + h, n, n);
+  ctx.drawImage(c, sx + w - 1, sy + h - 1, 1, 1, x + w, y + h, n, n);
+}
+
+// Aseprite-style frame tags (also read by Phaser's anims.createFromAseprite)
+function frameTags(tags) {
+  return tags.map((t) => ({
+    name: t.name,
+    from: t.from,
+    to: t.to,
+    direction: t.loop === "pingpong" ? "pingpong" : "forward",
+    ...(t.loop === "once" ? { repeat: "1" } : {}),
+  }));
+}
+
+/**
+ * Sheet metadata in `format` (see SheetFormats).
+ * `tags` is animation.js tagsMeta() output; `durations` holds each frame's duration in ms.
+ */
+export function sheetMetadata(packed, format, opts = {}) {
+  const { image = "spritesheet.png", name = "sprite", tags = [], durations = [] } = opts;
+  const frameName = (i) => `${name}_${i}`;
+  const entry = (f, i) => ({
+    frame: f.frame,
+    rotated: false,
+    trimmed: f.trimmed,
+    spriteSourceSize: f.spriteSourceSize,
+    sourceSize: f.sourceSize,
+    ...(durations[i] != null ? { duration: durations[i] } : {}),
+  });
+  const meta = {
+    app: APP,
+    version: "1.0",
+    image,
+    format: "RGBA8888",
+    size: { w: packed.width, h: packed.height },
+    scale: "1",
+    frameTags: frameTags(tags),
+  };
+
+  if (format === "phaser") {
+    // Phaser 3 multi-texture layout; this.load.atlas() reads textures[0]
+    return {
+      textures: [
+        {
+          image,
+          format: "RGBA8888",
+          size: meta.size,
+          scale: 1,
+          frames: packed.frames.map((f, i) => ({ filename: frameName(i), ...entry(f, i) })),
+        },
+      ],
+      meta,
+    };
+  }
+  if (format === "tp-array") {
+    return { frames: packed.frames.map((f, i) => ({ filename: frameName(i), ...entry(f, i) })), meta };
+  }
+  // Aseprite and TexturePacker hash share the keyed layout
+  const frames = {};
+  packed.frames.forEach((f, i) => {
+    frames[format === "aseprite" ? `${name} ${i}.aseprite` : frameName(i)] = entry(f, i);
+  });
+  return { frames, meta: format === "aseprite" ? { ...meta, layers: [], slices: [] } : meta };
+}
+
+// ------------------------------ Import (slicing) ------------------------------
+export const SliceModes = {
+  grid: "Grid",
+  auto: "Auto (gutters)",
+};
+
+export const SLICE_DEFAULTS = {
+  mode: "grid",
+  cellW: 32,
+  cellH: 32,
+  offsetX: 0,
+  offsetY: 0,
+  spacingX: 0,
+  spacingY: 0,
+};
+
+/** Cells of a regular grid, row by row. Partial cells at the right and bottom edges are skipped. */
+export function gridCells(width, height, opts = {}) {
+  const { cellW, cellH, offsetX, offsetY, spacingX, spacingY } = { ...SLICE_DEFAULTS, ...opts };
+  const out = [];
+  if (cellW < 1 || cellH < 1) return out;
+  for (let y = Math.max(0, offsetY); y + cellH <= height; y += cellH + Math.max(0, spacingY)) {
+    for (let x = Math.max(0, offsetX); x + cellW <= width; x += cellW + Math.max(0, spacingX)) {
+      out.push({ x, y, w: cellW, h: cellH });
+    }
+  }
+  return out;
+}
+
+/**
+ * Cells separated by fully transparent gutters in ImageData `img`: bands of rows first, then sprites
+ * within each band, each cropped to its own opaque rows. Reading order, like gridCells.
+ */
+export function detectCells(img) {
+  const { width: w, data } = img;
+  const opaque = (x, y) => data[(x + y * w) * 4 + 3] > 0;
+  const anyInRow = (y, x0, x1) => {
+    for (let x = x0; x < x1; x++) if (opaque(x, y)) return true;
+    return false;
+  };
+  const anyInCol = (x, y0, y1) => {
+    for (let y = y0; y < y1; y++) if (opaque(x, y)) return true;
+    return false;
+  };
+  const cells = [];
+  for (const [y0, y1] of runs(img.height, (y) => anyInRow(y, 0, w))) {
+    for (const [x0, x1] of runs(w, (x) => anyInCol(x, y0, y1))) {
+      const rows = runs(y1 - y0, (j) => anyInRow(y0 + j, x0, x1));
+      const top = rows[0][0],
+        bottom = rows[rows.length - 1][1];
+      cells.push({ x: x0, y: y0 + top, w: x1 - x0, h: bottom - top });
+    }
+  }
+  return cells;
+}
+
+// [start, end) runs of consecutive indices in 0..n where filled(i) holds
+function runs(n, filled) {
+  const out = [];
+  let start = -1;
+  for (let i = 0; i <= n; i++) {
+    const f = i < n && filled(i);
+    if (f && start < 0) start = i;
+    else if (!f && start >= 0) {
+      out.push([start, i]);
+      start = -1;
+    }
+  }
+  return out;
+}
+
+/**
+ * Cut `cells` out of `sheet` onto canvases of one size (the largest cell). Smaller cells are
+ * bottom-centered so sprites keep standing on the same line.
+ */
+export function sliceCells(sheet, cells) {
+  const w = Math.max(...cells.map((c) => c.w)),
+    h = Math.max(...cells.map((c) => c.h));
+  return cells.map((c) => {
+    const out = createPixelCanvas(w, h);
+    out.getContext("2d").drawImage(sheet, c.x, c.y, c.w, c.h, Math.floor((w - c.w) / 2), h - c.h, c.w, c.h);
+    return out;
+  });
+}
+
+/**
+ * Frames and tags of a JSON atlas: Phaser 3 (textures[]), TexturePacker hash/array or Aseprite.
+ * Returns { image, frames: [{ name, frame, rotated, spriteSourceSize, sourceSize, duration }], tags }
+ * where tags are { name, from, to, loop } with frame indices. Throws on malformed input.
+ */
+export function parseAtlas(json) {
+  const data = typeof json === "string" ? JSON.parse(json) : json;
+  const list = data?.textures?.[0]?.frames ?? data?.frames;
+  if (!list || typeof list !== "object") throw new Error("No frames in atlas");
+  const entries = Array.isArray(list) ? list.map((f, i) => [f.filename ?? String(i), f]) : Object.entries(list);
+  if (!entries.length) throw new Error("No frames in atlas");
+  const frames = entries.map(([name, f]) => {
+    const r = f?.frame;
+    if (!r || !(r.w > 0) || !(r.h > 0)) throw new Error(`Frame "${name}" has no rectangle`);
+    const frame = { x: r.x | 0, y: r.y | 0, w: r.w | 0, h: r.h | 0 };
+    return {
+      name,
+      frame,
+      rotated: !!f.rotated,
+      spriteSourceSize: f.spriteSourceSize || { x: 0, y: 0, w: frame.w, h: frame.h },
+      sourceSize: f.sourceSize || { w: frame.w, h: frame.h },
+      duration: f.duration > 0 ? f.duration : null,
+    };
+  });
+  const tags = (data.meta?.frameTags || [])
+    .filter((t) => frames[t.from] && frames[t.to])
+    .map((t) => ({
+      name: String(t.name || "tag"),
+      from: t.from,
+      to: t.to,
+      loop: t.direction === "pingpong" ? "pingpong" : String(t.repeat) === "1" ? "once" : "loop",
+    }));
+  return { image: data.textures?.[0]?.image || data.meta?.image || null, frames, tags };
+}
+
+/** Canvas of one parsed atlas frame at its source size, with trimming and rotation undone. */
+export function atlasFrameCanvas(sheet, f) {
+  const out = createPixelCanvas(f.sourceSize.w, f.sourceSize.h);
+  const ctx = out.getContext("2d");
+  const { x, y, w, h } = f.frame;
+  const s = f.spriteSourceSize;
+  if (f.rotated) {
+    // Stored turned 90° clockwise, so it covers h×w pixels in the sheet
+    ctx.translate(s.x, s.y + h);
+    ctx.rotate(-Math.PI / 2);
+    ctx.drawImage(sheet, x, y, h, w, 0, 0, h, w);
+  } else {
+    ctx.drawImage(sheet, x, y, w, h, s.x, s.y, w, h);
+  }
+  return out;
+}
@@ -0,0 +1,50 @@
+/**
+ * Mirror drawing helpers.
+ * Axis positions are line coordinates in sprite pixels, in half-pixel steps:
+ * x = 32 runs between pixels 31 and 32, x = 16.5 runs through the middle of pixel 16.
+ * Pure functions only. No React imports here.
+ */
+
+// Mode -> UI label. "horizontal" mirrors left/right across a vertical axis line (like Aseprite).
+export const SymmetryModes = {
+  none: "Off",
+  horizontal: "Horizontal",
+  vertical: "Vertical",
+  both: "Both",
+};
+
+export function defaultAxis(w, h) {
+  return { x: w / 2, y: h / 2 };
+}
+
+/** Snap a position to the nearest half pixel inside the sprite. */
+export function snapAxis(v, size) {
+  return Math.min(size - 0.5, Math.max(0.5, Math.round(v * 2) / 2));
+}
+
+/**
+ * Point transforms for the active mode, identity first.
+ * `size` is the brush size: even brushes are not centered on their pixel, so their mirrored
+ * anchor shifts by one to keep the painted footprint an exact mirror image.
+ */
+export function mirrorTransforms(mode, axis, size = 1) {
+  const shift = (size + 1) % 2;
+  const mx = (x) => 2 * axis.x - 1 - x - shift;
+  const my = (y) => 2 * axis.y - 1 - y - shift;
+  const out = [(x, y) => [x, y]];
+  if (mode === "horizontal" || mode === "both") out.push((x, y) => [mx(x), y]);
+  if (mode === "vertical" || mode === "both") out.push((x, y) => [x, my(y)]);
+  if (mode === "both") out.push((x, y) => [mx(x), my(y)]);
+  return out;
+}
+
+/**
+ * Rectangles (inclusive pixel bounds) mirrored across the active axes, original first.
+ */
+export function mirrorRects(mode, axis, { x0, y0, x1, y1 }) {
+  return mirrorTransforms(mode, axis).map((t) => {
+    const [ax, ay] = t(x0, y0);
+    const [bx, by] = t(x1, y1);
+    return { x0: Math.min(ax, bx), y0: Math.min(ay, by), x1: Math.max(ax, bx), y1: Math.max(ay, by) };
+  });
+}
@@ -0,0 +1,80 @@
+/**
+ * Minimal zip writer (no compression).
+ * Entries are stored as-is with a fixed timestamp, so the same files always produce the same bytes.
+ * Assets are PNG/JPEG (already compressed) and text files are small, so deflate is not worth carrying.
+ */
+import { crc32 } from "./crc32.js";
+
+// 1980-01-01 00:00 in DOS date/time format
+const DOS_TIME = 0;
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+const UTF8_FLAG = 0x0800;
+
+/**
+ * Build a zip archive from { "path/name.ext": string | Uint8Array }. Strings are written as UTF-8.
+ * Returns a Uint8Array; wrap it in a Blob of type "application/zip" to download.
+ */
+export function createZip(files) {
+  const enc = new TextEncoder();
+  const entries = Object.entries(files).map(([name, data]) => {
+    const bytes = typeof data === "string" ? enc.encode(data) : data;
+    return { name: enc.encode(name), bytes, crc: crc32(bytes) };
+  });
+
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const e of entries) {
+    const local = new Uint8Array(30 + e.name.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true);
+    lv.setUint16(4, 20, true); // version needed
+    lv.setUint16(6, UTF8_FLAG, true);
+    lv.setUint16(8, 0, true); // stored
+    lv.setUint16(10, DOS_TIME, true);
+    lv.setUint16(12, DOS_DATE, true);
+    lv.setUint32(14, e.crc, true);
+    lv.setUint32(18, e.bytes.length, true);
+    lv.setUint32(22, e.bytes.length, true);
+    lv.setUint16(26, e.name.length, true);
+    local.set(e.name, 30);
+
+    const central = new Uint8Array(46 + e.name.length);
+    const cv = new DataView(central.buffer);
+    cv.setUint32(0, 0x02014b50, true);
+    cv.setUint16(4, 20, true); // version made by
+    cv.setUint16(6, 20, true);
+    cv.setUint16(8, UTF8_FLAG, true);
+    cv.setUint16(10, 0, true);
+    cv.setUint16(12, DOS_TIME, true);
+    cv.setUint16(14, DOS_DATE, true);
+    cv.setUint32(16, e.crc, true);
+    cv.setUint32(20, e.bytes.length, true);
+    cv.setUint32(24, e.bytes.length, true);
+    cv.setUint16(28, e.name.length, true);
+    cv.setUint32(42, offset, true);
+    central.set(e.name, 46);
+
+    locals.push(local, e.bytes);
+    centrals.push(central);
+    offset += local.length + e.bytes.length;
+  }
+
+  const centralSize = centrals.reduce((n, c) => n + c.length, 0);
+  const end = new Uint8Array(22);
+  const ev = new DataView(end.buffer);
+  ev.setUint32(0, 0x06054b50, true);
+  ev.setUint16(8, entries.length, true);
+  ev.setUint16(10, entries.length, true);
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, end];
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let pos = 0;
+  for (const p of parts) {
+    out.set(p, pos);
+    pos += p.length;
+  }
+  return out;
+}